@@ -9,6 +9,7 @@ const {
   getToken,
   connectUser,
   connectGoogleUser,
+  bindSessionUser,
 } = require('../utils/utils');
 const AppError = require('../utils/classes/AppError');
 const User = require('../models/userModel');
@@ -380,6 +381,9 @@ exports.protect = catchAsync(
     //3) Access the logged user to be used in the next middleware function if everything is fine
     req.user = currentUser;
 
+    // The socket session of the client is linked to the user, to send him his alerts
+    bindSessionUser(req.headers.sessionid, currentUser._id);
+
     next();
   },
 );
@@ -713,6 +717,7 @@ exports.checkConnected = catchAsync(
         if (connectedUser) {
           query.owner = { $ne: connectedUser._id };
           req.user = connectedUser;
+          bindSessionUser(req.headers.sessionid, connectedUser._id);
 
           req.own = false;
           next();
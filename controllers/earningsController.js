@@ -0,0 +1,109 @@
+/**
+ * Functions related to calling the earnings resource in the API
+ * @module earningsController
+ */
+const { catchAsync } = require('../utils/utils');
+const {
+  isValidPeriod,
+  getStatements,
+  getStatement,
+  toCSV,
+  toPDF,
+} = require('../utils/earnings');
+const AppError = require('../utils/classes/AppError');
+
+exports.getMyEarnings = catchAsync(
+  /**
+   * Function used to get the monthly payout statements of the connected provider, optionally restricted to a range of months.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      query: { from, to },
+    } = req;
+
+    if ((from && !isValidPeriod(from)) || (to && !isValidPeriod(to))) {
+      next(
+        new AppError(
+          'Please provide valid months in YYYY-MM format for the range of the statements.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const statements = await getStatements(userId, { from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: { statements },
+    });
+  },
+);
+
+exports.getMyStatement = catchAsync(
+  /**
+   * Function used to get the payout statement of the connected provider for a specific month, in JSON, CSV or PDF format.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { period },
+      query: { format = 'json' },
+    } = req;
+
+    if (!isValidPeriod(period)) {
+      next(
+        new AppError(
+          'Please provide a valid month in YYYY-MM format for the statement.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      next(
+        new AppError(
+          'Please provide a valid format for the statement (json / csv / pdf).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const statement = await getStatement(user._id, period);
+    const filename = `earnings-${period}`;
+
+    if (format === 'csv') {
+      res
+        .status(200)
+        .attachment(`${filename}.csv`)
+        .type('text/csv')
+        .send(toCSV(statement));
+      return;
+    }
+
+    if (format === 'pdf') {
+      const pdf = await toPDF(statement, user);
+
+      res
+        .status(200)
+        .attachment(`${filename}.pdf`)
+        .type('application/pdf')
+        .send(pdf);
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { statement },
+    });
+  },
+);
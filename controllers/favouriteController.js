@@ -0,0 +1,180 @@
+/**
+ * Functions related to calling the favourite resource in the API
+ * @module favouriteController
+ */
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Parking = require('../models/parkingModel');
+const { catchAsync, queryById } = require('../utils/utils');
+const AppError = require('../utils/classes/AppError');
+
+exports.getMyFavourites = catchAsync(
+  /**
+   * Function used to get the favourite parkings of the connected user, from the last added one. The deleted parkings aren't listed anymore.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const { favourites } = await User.findById(userId)
+      .select('+favourites')
+      .populate({
+        path: 'favourites.parking',
+        select:
+          '_id name type price location photos isOccupied ratingsAverage ratingsQuantity lot',
+      });
+
+    const existingFavourites = favourites
+      .filter(({ parking }) => parking)
+      .sort((a, b) => b.addedAt - a.addedAt);
+
+    existingFavourites.forEach(({ parking }) => {
+      parking.generateFileAbsolutePath();
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: existingFavourites.length,
+      data: { favourites: existingFavourites },
+    });
+  },
+);
+
+exports.addFavourite = catchAsync(
+  /**
+   * Function used to add a validated parking to the favourites of the connected user, with its availability alerts enabled by default.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { parking: parkingId, alerts },
+    } = req;
+
+    if (alerts !== undefined && typeof alerts !== 'boolean') {
+      next(
+        new AppError(
+          'Please provide true or false for the alerts variable.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(Parking, parkingId, { isValidated: true });
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    // Conditional update: the parking isn't added twice to the favourites
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'favourites.parking': { $ne: parking._id } },
+      { $push: { favourites: { parking: parking._id, alerts } } },
+      { new: true, runValidators: true },
+    ).select('+favourites');
+
+    if (!user) {
+      next(new AppError('This parking is already in your favourites.', 400));
+      return;
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'The parking was added to your favourites.',
+      data: { favourite: user.favourites[user.favourites.length - 1] },
+    });
+  },
+);
+
+exports.updateFavourite = catchAsync(
+  /**
+   * Function used to enable or disable the availability alerts of a favourite parking of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { parkingId },
+      body: { alerts },
+    } = req;
+
+    if (typeof alerts !== 'boolean') {
+      next(
+        new AppError(
+          'Please provide true or false for the alerts variable.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const user = mongoose.isValidObjectId(parkingId)
+      ? await User.findOneAndUpdate(
+          { _id: userId, 'favourites.parking': parkingId },
+          { 'favourites.$.alerts': alerts },
+          { new: true, runValidators: true },
+        ).select('+favourites')
+      : null;
+
+    if (!user) {
+      next(
+        new AppError("The requested parking isn't in your favourites.", 404),
+      );
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: alerts
+        ? 'You will be alerted when this parking becomes free.'
+        : "You won't be alerted anymore when this parking becomes free.",
+      data: {
+        favourite: user.favourites.find(({ parking }) =>
+          parking.equals(parkingId),
+        ),
+      },
+    });
+  },
+);
+
+exports.deleteFavourite = catchAsync(
+  /**
+   * Function used to remove a parking from the favourites of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { parkingId },
+    } = req;
+
+    const { modifiedCount } = mongoose.isValidObjectId(parkingId)
+      ? await User.updateOne(
+          { _id: userId },
+          { $pull: { favourites: { parking: parkingId } } },
+        )
+      : { modifiedCount: 0 };
+
+    if (modifiedCount === 0) {
+      next(
+        new AppError("The requested parking isn't in your favourites.", 404),
+      );
+      return;
+    }
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
@@ -0,0 +1,638 @@
+/**
+ * Functions related to calling the parking lot resource in the API
+ * @module lotController
+ */
+const {
+  catchAsync,
+  checkLocation,
+  queryById,
+  getLocation,
+  parseJSONField,
+  getSessionSocket,
+  runTransaction,
+} = require('../utils/utils');
+const {
+  getSharedFields,
+  getLotAvailability,
+  findFreeSpot,
+  getUnusedPhotos,
+} = require('../utils/lots');
+const { findUserVehicle } = require('../utils/vehicles');
+const { moderateParking } = require('../utils/moderation');
+const {
+  deletePhotoFiles,
+  removePhoto,
+  reorderPhotos,
+  setCoverPhoto,
+} = require('../utils/photos');
+const Lot = require('../models/lotModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const { MAX_PARKING_PHOTOS } = require('../utils/globals');
+const AppError = require('../utils/classes/AppError');
+const APIFeatures = require('../utils/classes/APIFeatures');
+
+/**
+ * Sort keys accepted in the sort parameter of the parking lot listings, with the path of the field they sort on.
+ * @type {Object<string, string>}
+ */
+const LOT_SORT_FIELDS = {
+  price: 'price',
+  name: 'name',
+  creationDate: 'creationDate',
+};
+
+/**
+ * Fields of the parking lots that can be selected in the parking lot listings.
+ * @type {string[]}
+ */
+const LOT_SELECTABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'price',
+  'pricing',
+  'location',
+  'owner',
+  'photos',
+];
+
+/**
+ * Fields of a parking lot that can be modified by its owner (the location is modified by sending new coordinates).
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = ['name', 'description', 'type', 'price', 'pricing'];
+
+/**
+ * Fields of a parking lot whose modification requires a new validation of its spots by an admin.
+ * @type {string[]}
+ */
+const REVALIDATION_FIELDS = ['price', 'pricing', 'location'];
+
+/**
+ * Function used to retrieve a parking lot managed by the connected user, who has to be its owner or an admin.
+ * @param {string} id the id of the parking lot
+ * @param {User} user the connected user
+ * @returns {Promise<mongoose.Document<Lot>>} the parking lot
+ * @throws {AppError} if the parking lot doesn't exist (404) or belongs to another user (403)
+ */
+const getManagedLot = async (id, { _id: userId, role }) => {
+  const lot = await queryById(Lot, id);
+
+  if (!lot) throw new AppError("The requested parking lot doesn't exist.", 404);
+
+  if (role !== 'admin' && lot.owner.valueOf() !== userId.valueOf())
+    throw new AppError('You can only modify your own parking lots.', 403);
+
+  return lot;
+};
+
+exports.getAllLots = catchAsync(
+  /**
+   * Function used to get all the parking lots having validated spots, paginated, sorted and with the selected fields requested in the query parameters. Each parking lot comes with its number of free spots.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const filter = {};
+
+    // The parking lots without validated spots can't be reserved, only the admins see them
+    if (req?.user?.role !== 'admin')
+      filter._id = {
+        $in: await Parking.distinct('lot', {
+          lot: { $exists: true },
+          isValidated: true,
+          isDeleted: { $ne: true },
+        }),
+      };
+
+    const { documents: lots, ...pagination } = await new APIFeatures(
+      Lot,
+      filter,
+      req,
+      {
+        sortFields: LOT_SORT_FIELDS,
+        defaultSort: '-creationDate',
+        selectableFields: LOT_SELECTABLE_FIELDS,
+      },
+    ).execute(query =>
+      query.populate({
+        path: 'owner',
+        select: '_id username email',
+      }),
+    );
+
+    const availability = await getLotAvailability(lots.map(({ _id }) => _id));
+
+    lots.forEach(lot => {
+      lot.generateFileAbsolutePath();
+    });
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: {
+        lots: lots.map(lot => ({
+          ...lot._doc,
+          photoSources: lot.photoSources,
+          availability: availability.get(lot._id.valueOf()) ?? {
+            free: 0,
+            total: 0,
+          },
+        })),
+      },
+    });
+  },
+);
+
+exports.getLot = catchAsync(
+  /**
+   * Function used to get a single parking lot with its spots and its number of free spots. The spots waiting for validation are only listed to the owner of the lot and the admins.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const lot = await queryById(
+      Lot,
+      id,
+      {},
+      { path: 'owner', select: '_id username photo' },
+    );
+
+    if (!lot) {
+      next(new AppError("The requested parking lot doesn't exist.", 404));
+      return;
+    }
+
+    const isManager =
+      req.user &&
+      (req.user.role === 'admin' ||
+        lot.owner._id.valueOf() === req.user._id.valueOf());
+
+    const spots = isManager
+      ? await Parking.find({ lot: lot._id })
+          .select('+isValidated +moderation')
+          .sort('name')
+      : await Parking.find({ lot: lot._id, isValidated: true }).sort('name');
+
+    if (!isManager && spots.length === 0) {
+      next(new AppError("The requested parking lot doesn't exist.", 404));
+      return;
+    }
+
+    const availability = await getLotAvailability([lot._id]);
+
+    lot.generateFileAbsolutePath();
+    spots.forEach(spot => {
+      spot.generateFileAbsolutePath();
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lot: {
+          ...lot._doc,
+          photoSources: lot.photoSources,
+          availability: availability.get(lot._id.valueOf()) ?? {
+            free: 0,
+            total: 0,
+          },
+          spots,
+        },
+      },
+    });
+  },
+);
+
+exports.createLot = catchAsync(
+  /**
+   * Function used to create a new parking lot, whose address, photos and pricing are shared by the spots added to it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { name, description, type, price, coordinates, photos },
+      user: { _id: userId },
+    } = req;
+
+    const pricing = parseJSONField(req.body.pricing, 'pricing rules');
+
+    if (!checkLocation(coordinates)) {
+      next(
+        new AppError(
+          'Please provide valid coordinates values for your location.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const location = await getLocation(coordinates);
+
+    const lot = await Lot.create({
+      name,
+      description,
+      type,
+      price,
+      pricing,
+      location,
+      photos,
+      owner: userId,
+    });
+
+    lot.generateFileAbsolutePath();
+
+    res.status(201).json({
+      status: 'success',
+      message:
+        'Your parking lot was created. Add its spots to submit them for validation.',
+      data: { lot },
+    });
+  },
+);
+
+exports.updateLot = catchAsync(
+  /**
+   * Function used to modify an existing parking lot, the shared fields are copied on all its spots. Only the owner of the lot and the admins can modify it, and the modification of its price or location submits its spots again for validation. The uploaded photos are added after the existing ones.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      user: { _id: userId, role },
+      params: { id },
+      body,
+    } = req;
+
+    const lot = await getManagedLot(id, user);
+
+    // Only keep the editable fields sent by the user
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [
+        field,
+        body[field],
+      ]),
+    );
+
+    if (fields.pricing !== undefined)
+      fields.pricing = parseJSONField(fields.pricing, 'pricing rules');
+
+    if (body.coordinates !== undefined) {
+      if (!checkLocation(body.coordinates)) {
+        next(
+          new AppError(
+            'Please provide valid coordinates values for your location.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      fields.location = await getLocation(body.coordinates);
+    }
+
+    if (Object.keys(fields).length === 0 && !body.photos) {
+      next(
+        new AppError(
+          'Please provide at least one field to modify (name, description, type, price, pricing, coordinates or photos).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (
+      body.photos &&
+      lot.photos.length + body.photos.length > MAX_PARKING_PHOTOS
+    ) {
+      next(
+        new AppError(
+          `A parking lot can't have more than ${MAX_PARKING_PHOTOS} photos.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const spotIds = await Parking.distinct('_id', { lot: lot._id });
+
+    const requiresValidation =
+      role !== 'admin' &&
+      spotIds.length > 0 &&
+      REVALIDATION_FIELDS.some(field => field in fields);
+
+    // The spots waiting for validation can't be reserved: the modification is refused while they have active or upcoming reservations
+    if (
+      requiresValidation &&
+      (await Occupation.exists({ parking: { $in: spotIds }, end: undefined }))
+    ) {
+      next(
+        new AppError(
+          "You can't modify the price or the location of a parking lot whose spots have active or upcoming reservations.",
+          400,
+        ),
+      );
+      return;
+    }
+
+    const updatedLot = await runTransaction(async session => {
+      const newLot = await Lot.findByIdAndUpdate(
+        lot._id,
+        {
+          ...fields,
+          ...(body.photos && { $push: { photos: { $each: body.photos } } }),
+        },
+        {
+          new: true,
+          runValidators: true,
+          session,
+        },
+      );
+
+      const sharedFields = getSharedFields({
+        ...fields,
+        ...(body.photos && { photos: newLot.photos }),
+      });
+
+      if (Object.keys(sharedFields).length > 0)
+        await Parking.updateMany(
+          { lot: lot._id },
+          {
+            ...sharedFields,
+            ...(requiresValidation && { isValidated: false }),
+          },
+          { runValidators: true, session },
+        );
+
+      // The approved spots go back to the submitted state, the other ones keep their moderation state
+      if (requiresValidation)
+        await Promise.all(
+          spotIds.map(spotId =>
+            moderateParking(spotId, 'submitted', {
+              by: userId,
+              comment:
+                'The price or the location of the parking lot was modified.',
+              from: ['approved'],
+              session,
+            }),
+          ),
+        );
+
+      return newLot;
+    });
+
+    updatedLot.generateFileAbsolutePath();
+
+    res.status(200).json({
+      status: 'success',
+      message: requiresValidation
+        ? 'Your parking lot modifications were submitted for validation.'
+        : 'Your parking lot was successfully modified.',
+      data: { lot: updatedLot },
+    });
+  },
+);
+
+exports.deleteLot = catchAsync(
+  /**
+   * Function used to delete an existing parking lot. Only the owner of the lot and the admins can delete it, once all its spots were deleted.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+    } = req;
+
+    const lot = await getManagedLot(id, user);
+
+    if (await Parking.exists({ lot: lot._id })) {
+      next(
+        new AppError(
+          'Please delete the spots of your parking lot before deleting it.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    await Lot.deleteOne({ _id: lot._id });
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
+
+exports.createSpot = catchAsync(
+  /**
+   * Function used to add a new spot to a parking lot. The spot is a parking sharing the address, photos and pricing of the lot, that has to be validated by an admin who installs its own thingy.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user,
+      params: { id },
+      body: { name, description },
+    } = req;
+
+    const lot = await getManagedLot(id, user);
+
+    const { _id } = await Parking.create({
+      ...getSharedFields(lot),
+      name,
+      description,
+      dimensions: parseJSONField(req.body.dimensions, 'dimensions'),
+      amenities: parseJSONField(req.body.amenities, 'amenities'),
+      lot: lot._id,
+      creationDate: Date.now(),
+      owner: lot.owner,
+    });
+
+    const newSpot = await Parking.findById(_id).select('-owner');
+
+    newSpot.generateFileAbsolutePath();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Your spot was submitted for validation.',
+      data: { parking: newSpot },
+    });
+  },
+);
+
+exports.selectFreeSpot = catchAsync(
+  /**
+   * Function used to select a free spot of a parking lot, the reservation of the lot is then handled as the reservation of this spot.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, _, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { vehicle: vehicleId },
+    } = req;
+
+    const socket = getSessionSocket(req.headers.sessionid);
+
+    try {
+      const lot = await queryById(Lot, id);
+
+      if (!lot)
+        throw new AppError("The requested parking lot doesn't exist.", 404);
+
+      const vehicle = vehicleId
+        ? await findUserVehicle(userId, vehicleId)
+        : undefined;
+
+      const spot = await findFreeSpot(lot._id, { userId, vehicle });
+
+      if (!spot)
+        throw new AppError(
+          'There is no free spot in the requested parking lot at the moment.',
+          400,
+        );
+
+      req.params.id = spot._id.valueOf();
+    } catch (err) {
+      if (socket) socket.emit('unsuccessful_reservation', {});
+      throw err;
+    }
+
+    next();
+  },
+);
+
+/**
+ * Function used to modify the photo list of a parking lot managed by the connected user, the new photo list is copied on all its spots. The files of the removed photos that no other parking uses are deleted.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @param {Function} getPhotos the function computing the new photo list of the parking lot from its current one
+ * @param {string} message the message sent back to the user once the photos are modified
+ */
+const updateLotPhotos = async (req, res, next, getPhotos, message) => {
+  const {
+    user,
+    params: { id },
+  } = req;
+
+  const lot = await getManagedLot(id, user);
+
+  const currentPhotos = [...lot.photos];
+  const photos = getPhotos(currentPhotos);
+
+  const updatedLot = await runTransaction(async session => {
+    // Conditional update: the photos aren't modified if they were modified in the meantime
+    const newLot = await Lot.findOneAndUpdate(
+      { _id: lot._id, photos: currentPhotos },
+      { photos },
+      { new: true, runValidators: true, session },
+    );
+
+    if (!newLot) return null;
+
+    await Parking.updateMany(
+      { lot: lot._id },
+      { photos },
+      { runValidators: true, session },
+    );
+
+    return newLot;
+  });
+
+  if (!updatedLot) {
+    next(
+      new AppError(
+        'The photos of the parking lot were modified in the meantime. Please try again.',
+        400,
+      ),
+    );
+    return;
+  }
+
+  try {
+    await deletePhotoFiles(
+      await getUnusedPhotos(
+        currentPhotos.filter(photo => !photos.includes(photo)),
+      ),
+    );
+  } catch (err) {
+    console.error(
+      'Error while trying to delete the files of a parking lot photo.',
+    );
+    console.error(err);
+  }
+
+  updatedLot.generateFileAbsolutePath();
+
+  res.status(200).json({
+    status: 'success',
+    message,
+    data: { lot: updatedLot },
+  });
+};
+
+exports.deleteLotPhoto = catchAsync(
+  /**
+   * Function used to delete a photo of a parking lot and of its spots, with its resized variants. If the cover photo is deleted, the next photo becomes the cover.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateLotPhotos(
+      req,
+      res,
+      next,
+      photos => removePhoto(photos, req.params.photo),
+      'The photo was deleted from your parking lot.',
+    ),
+);
+
+exports.reorderLotPhotos = catchAsync(
+  /**
+   * Function used to reorder the photos of a parking lot and of its spots, the first photo of the new order becomes the cover photo.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateLotPhotos(
+      req,
+      res,
+      next,
+      photos => reorderPhotos(photos, req.body.photos),
+      'The photos of your parking lot were reordered.',
+    ),
+);
+
+exports.setLotCoverPhoto = catchAsync(
+  /**
+   * Function used to choose the cover photo of a parking lot and of its spots. The other photos keep their order.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateLotPhotos(
+      req,
+      res,
+      next,
+      photos => setCoverPhoto(photos, req.params.photo),
+      'The cover photo of your parking lot was changed.',
+    ),
+);
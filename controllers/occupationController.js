@@ -1,9 +1,49 @@
 const Occupation = require('../models/occupationModel');
-const { catchAsync } = require('../utils/utils');
+const { catchAsync, queryById } = require('../utils/utils');
+const { refundFunds } = require('../utils/wallet');
+const {
+  createInvoice,
+  renderInvoiceHTML,
+  renderInvoicePDF,
+} = require('../utils/invoices');
+const Parking = require('../models/parkingModel');
+const AppError = require('../utils/classes/AppError');
+const APIFeatures = require('../utils/classes/APIFeatures');
+
+/**
+ * Sort keys of the occupation listings, with the path of the field they sort on.
+ * @type {Object<string, string>}
+ */
+const OCCUPATION_SORT_FIELDS = {
+  start: 'start',
+  end: 'end',
+  bookingStart: 'bookingStart',
+  bill: 'bill',
+  creationDate: 'creationDate',
+};
+
+/**
+ * Fields of the occupations that can be selected in the occupation listings.
+ * @type {string[]}
+ */
+const OCCUPATION_SELECTABLE_FIELDS = [
+  'start',
+  'end',
+  'client',
+  'parking',
+  'bill',
+  'billDetails',
+  'status',
+  'bookingStart',
+  'bookingEnd',
+  'creationDate',
+  'cancellation',
+  'payment',
+];
 
 exports.getOwnOccupations = catchAsync(
   /**
-   * Function used to get all parking occupations of the connected user.
+   * Function used to get all parking occupations of the connected user, paginated, sorted and with the selected fields requested in the query parameters.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    */
@@ -12,17 +52,163 @@ exports.getOwnOccupations = catchAsync(
       user: { _id },
     } = req;
 
-    const occupations = await Occupation.find({ client: _id }).populate([
+    const { documents: occupations, ...pagination } = await new APIFeatures(
+      Occupation,
+      { client: _id },
+      req,
       {
-        path: 'client',
-        select: '_id username email',
+        sortFields: OCCUPATION_SORT_FIELDS,
+        defaultSort: '-creationDate',
+        selectableFields: OCCUPATION_SELECTABLE_FIELDS,
       },
-      {
-        path: 'parking',
-        select: '_id name',
-      },
-    ]);
+    ).execute(query =>
+      query.populate([
+        {
+          path: 'client',
+          select: '_id username email',
+        },
+        {
+          path: 'parking',
+          select: '_id name',
+          options: { withDeleted: true },
+        },
+      ]),
+    );
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: { occupations },
+    });
+  },
+);
+
+exports.refundOccupation = catchAsync(
+  /**
+   * Function used to refund (a part of) the amount charged for an occupation on the wallet of its client.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      body: { amount, reason },
+    } = req;
+
+    const occupation = await queryById(Occupation, id);
+
+    if (!occupation) {
+      next(new AppError("The requested occupation doesn't exist.", 404));
+      return;
+    }
+
+    const { captured = 0, refunded = 0 } = occupation.payment ?? {};
+
+    // Refund the whole remaining charged amount by default
+    const value =
+      amount === undefined
+        ? Math.round((captured - refunded) * 100) / 100
+        : Math.round(parseFloat(amount) * 100) / 100;
+
+    if (isNaN(value) || value <= 0) {
+      next(new AppError('Please provide a valid amount to refund.', 400));
+      return;
+    }
+
+    const refundedOccupation = await refundFunds(
+      occupation,
+      value,
+      reason
+        ? `Refund of the occupation of a parking: ${reason}`
+        : 'Refund of the occupation of a parking.',
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The occupation was successfully refunded.',
+      data: { occupation: refundedOccupation },
+    });
+  },
+);
+
+exports.getOccupationInvoice = catchAsync(
+  /**
+   * Function used to get the invoice of a completed occupation, in PDF (default), HTML or JSON format. The invoice is accessible to the client of the occupation, the owner of the parking and the admins.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId, role },
+      params: { id },
+      query: { format = 'pdf' },
+    } = req;
+
+    if (!['pdf', 'html', 'json'].includes(format)) {
+      next(
+        new AppError(
+          'Please provide a valid format for the invoice (pdf / html / json).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const occupation = await queryById(Occupation, id);
+
+    if (!occupation) {
+      next(new AppError("The requested occupation doesn't exist.", 404));
+      return;
+    }
+
+    const isClient = occupation.client?.valueOf() === userId.valueOf();
+    const isOwner =
+      !isClient &&
+      role !== 'admin' &&
+      (await Parking.exists({
+        _id: occupation.parking,
+        owner: userId,
+      }).setOptions({ withDeleted: true }));
+
+    if (!isClient && !isOwner && role !== 'admin') {
+      next(
+        new AppError(
+          "You don't have access to the invoice of this occupation.",
+          403,
+        ),
+      );
+      return;
+    }
+
+    if (occupation.status !== 'completed') {
+      next(new AppError('Only completed occupations can be invoiced.', 400));
+      return;
+    }
+
+    // The invoice is generated on the first request if it wasn't at the end of the occupation
+    const invoice = await createInvoice(occupation._id);
+
+    if (format === 'json') {
+      res.status(200).json({ status: 'success', data: { invoice } });
+      return;
+    }
+
+    if (format === 'html') {
+      res
+        .status(200)
+        .type('html')
+        .send(await renderInvoiceHTML(invoice));
+      return;
+    }
+
+    const pdf = await renderInvoicePDF(invoice);
 
-    res.status(200).json({ status: 'success', data: { occupations } });
+    res
+      .status(200)
+      .attachment(`invoice-${invoice.number}.pdf`)
+      .type('application/pdf')
+      .send(pdf);
   },
 );
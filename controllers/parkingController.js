@@ -10,32 +10,99 @@ const {
   checkLocation,
   queryById,
   waitClickButton,
+  isValidDate,
+  findOverlappingOccupation,
+  getOverlappingOccupationFilter,
+  getSessionSocket,
+  getUserSockets,
+  getLocation,
+  parseJSONField,
+  runTransaction,
 } = require('../utils/utils');
+const {
+  cancelOccupation,
+  releasePendingParking,
+  occupyParking,
+  freeParking,
+} = require('../utils/reservations');
+const { computePrice, computeOverstay } = require('../utils/pricing');
+const { getScheduleConflict } = require('../utils/schedule');
+const {
+  savePhoto,
+  deletePhotoFiles,
+  removePhoto,
+  reorderPhotos,
+  setCoverPhoto,
+} = require('../utils/photos');
+const { findUserVehicle, getVehicleFitConflict } = require('../utils/vehicles');
+const {
+  LOT_SHARED_FIELDS,
+  getLotAvailability,
+  getUnusedPhotos,
+} = require('../utils/lots');
+const { getHoldAmount, hasAvailableFunds } = require('../utils/wallet');
+const { createInvoice, renderInvoicePDF } = require('../utils/invoices');
+const { moderateParking, getModerationStatus } = require('../utils/moderation');
+const {
+  findFreeThingy,
+  installThingy,
+  uninstallThingy,
+  resolveThingyName,
+} = require('../utils/thingies');
 const Parking = require('../models/parkingModel');
 const Occupation = require('../models/occupationModel');
+const Confirmation = require('../models/confirmationModel');
+const SavedSearch = require('../models/savedSearchModel');
 const { uploadImage } = require('../utils/utils');
 const {
-  PARKINGS_FOLDER,
-  GEOAPI_REVERSE_URL,
-  GEOAPI_SEARCH_URL,
-  SOCKET_CONNECTIONS,
+  GEOCODER,
   BACKEND_URL,
+  FRONTEND_URL,
   API_ROUTE,
+  BOOKING_ARRIVAL_TOLERANCE,
+  PENDING_RESERVATION_DELAY,
+  BUTTON_CONFIRMATION_DELAY,
+  CURRENCY,
+  OVERSTAY_GRACE_DELAY,
+  OVERSTAY_SURCHARGE_RATE,
+  SAVED_SEARCH_ALERT_DELAY,
+  MAX_QUOTE_DURATION,
+  MAX_BOOKING_DURATION,
+  MAX_PARKING_PHOTOS,
 } = require('../utils/globals');
 const AppError = require('../utils/classes/AppError');
-const sharp = require('sharp');
-const {
-  env: { GEOAPIFY_API_KEY },
-} = process;
+const APIFeatures = require('../utils/classes/APIFeatures');
 const axios = require('axios');
 const crypto = require('crypto');
 const User = require('../models/userModel');
 const Email = require('../utils/classes/Email');
 const mongoose = require('mongoose');
-const moment = require('moment-timezone');
 const Thingy = require('../models/thingyModel');
 const mqttClient = require('../mqtt/mqttHandler');
 
+/**
+ * Query parameters filtering the parkings by the dimensions of the vehicle, with the corresponding maximal dimension of the parkings.
+ * @type {Object<string, string>}
+ */
+const DIMENSION_FILTERS = {
+  vehicleLength: 'dimensions.maxLength',
+  vehicleWidth: 'dimensions.maxWidth',
+  vehicleHeight: 'dimensions.maxHeight',
+};
+
+/**
+ * Amenities of the parkings that can be used as boolean filters in the parking listings.
+ * @type {string[]}
+ */
+const AMENITY_FILTERS = [
+  'covered',
+  'lit',
+  'accessible',
+  'securityCamera',
+  'bikes',
+  'motorbikes',
+];
+
 exports.handleParkingQuery = catchAsync(
   /**
    * Function used to handle query parameters related to getting the parking slots.
@@ -99,6 +166,156 @@ exports.handleParkingQuery = catchAsync(
 
     if (query.type) queryObj.type = req.query.type;
 
+    for (const amenity of AMENITY_FILTERS) {
+      if (query[amenity] === undefined) continue;
+
+      if (
+        !checkBoolean(
+          query[amenity],
+          `Please provide true or false for the ${amenity} variable.`,
+          next,
+        )
+      )
+        return;
+      queryObj[`amenities.${amenity}`] = setBoolean(query[amenity])
+        ? true
+        : { $ne: true };
+    }
+
+    if (query.evCharger) {
+      if (
+        !checkBoolean(
+          query.evCharger,
+          'Please provide true or false for the evCharger variable.',
+          next,
+        )
+      )
+        return;
+      queryObj['amenities.evCharger.connector'] = {
+        $exists: setBoolean(query.evCharger),
+      };
+    }
+
+    if (query.connector)
+      queryObj['amenities.evCharger.connector'] = query.connector;
+
+    if (query.minChargingPower) {
+      if (
+        !checkNumber(
+          query.minChargingPower,
+          'Please provide a numerical value for the minimum charging power.',
+          next,
+        )
+      )
+        return;
+      queryObj['amenities.evCharger.power'] = {
+        $gte: parseFloat(query.minChargingPower),
+      };
+    }
+
+    // The dimensions of a vehicle registered by the connected user are used when they aren't provided explicitly
+    let vehicleDimensions = {};
+
+    if (query.vehicle) {
+      if (!req.user) {
+        next(
+          new AppError(
+            'Please log in to search parkings for one of your vehicles.',
+            401,
+          ),
+        );
+        return;
+      }
+
+      const { length, width, height } = await findUserVehicle(
+        req.user._id,
+        query.vehicle,
+      );
+
+      vehicleDimensions = {
+        vehicleLength: length,
+        vehicleWidth: width,
+        vehicleHeight: height,
+      };
+    }
+
+    // The vehicle has to fit in the parkings, the parkings without a maximal dimension fit any vehicle
+    const dimensionFilters = [];
+
+    for (const [param, path] of Object.entries(DIMENSION_FILTERS)) {
+      const value = query[param] ?? vehicleDimensions[param];
+
+      if (value == null) continue;
+
+      if (
+        query[param] !== undefined &&
+        !checkNumber(
+          query[param],
+          `Please provide a numerical value for the ${param} variable.`,
+          next,
+        )
+      )
+        return;
+      dimensionFilters.push({
+        $or: [{ [path]: null }, { [path]: { $gte: parseFloat(value) } }],
+      });
+    }
+
+    if (dimensionFilters.length > 0) queryObj.$and = dimensionFilters;
+
+    if (query.from || query.to) {
+      if (!isValidDate(query.from) || !isValidDate(query.to)) {
+        next(
+          new AppError(
+            'Please provide a valid start and end date for the availability window.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      const from = new Date(query.from);
+      const to = new Date(query.to);
+
+      if (to <= from) {
+        next(
+          new AppError(
+            'The end of the availability window must be after its start.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      // The parkings having an occupation or a booking during the window aren't available
+      const occupiedParkings = await Occupation.distinct(
+        'parking',
+        getOverlappingOccupationFilter(from, to),
+      );
+
+      // Neither are the parkings closed during the window or having a shorter maximum stay
+      const scheduledParkings = await Parking.find({
+        $or: [
+          { 'schedule.openingHours.0': { $exists: true } },
+          {
+            'schedule.blackouts': {
+              $elemMatch: { start: { $lt: to }, end: { $gt: from } },
+            },
+          },
+          { 'schedule.maxStay': { $lt: (to - from) / (60 * 1000) } },
+        ],
+      }).select('schedule');
+
+      queryObj._id = {
+        $nin: [
+          ...occupiedParkings,
+          ...scheduledParkings
+            .filter(({ schedule }) => getScheduleConflict(schedule, from, to))
+            .map(({ _id }) => _id),
+        ],
+      };
+    }
+
     if (query.distance) {
       if (
         !checkNumber(
@@ -111,30 +328,52 @@ exports.handleParkingQuery = catchAsync(
     }
 
     const distance = (query.distance ? Number(query.distance) : 5) / 6378.1;
+    let center;
+
+    // The center of the search is expressed in the GeoJSON order (longitude, latitude) of the parking locations
     if (query.location && !(query.lat && query.lng)) {
-      const {
-        data: {
-          features: [
-            {
-              geometry: {
-                coordinates: [lng, lat],
-              },
-            },
-          ],
-        },
-      } = await axios.get(
-        `${GEOAPI_SEARCH_URL}?text=${query.location}%2C%20Switzerland&apiKey=${GEOAPIFY_API_KEY}`,
-      );
+      const { lat, lng } = await GEOCODER.search(query.location);
 
-      queryObj.location = {
-        $geoWithin: { $centerSphere: [[lat, lng], distance] },
-      };
+      center = [lng, lat];
     }
 
     if (query.lat && query.lng) {
-      const { lat, lng } = query;
+      if (
+        !checkNumber(
+          query.lat,
+          'Please provide a numerical value for the latitude.',
+          next,
+        ) ||
+        !checkNumber(
+          query.lng,
+          'Please provide a numerical value for the longitude.',
+          next,
+        )
+      )
+        return;
+
+      if (!checkLocation([query.lat, query.lng])) {
+        next(
+          new AppError(
+            'Please provide valid coordinates values for the center of your search.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      center = [Number(query.lng), Number(query.lat)];
+    }
+
+    // The center of the search is kept to sort the parkings by distance
+    if (center) {
       queryObj.location = {
-        $geoWithin: { $centerSphere: [[lat, lng], distance] },
+        $geoWithin: { $centerSphere: [center, distance] },
+      };
+      req.near = {
+        path: 'location',
+        coordinates: center,
+        maxDistance: distance * 6378.1 * 1000,
       };
     }
 
@@ -144,9 +383,181 @@ exports.handleParkingQuery = catchAsync(
   },
 );
 
+/**
+ * Function used to build the parking filter of a saved search, by running its query parameters through the parking query handler. Only used for the searches saved without their resolved filter.
+ * @param {SavedSearch} savedSearch the saved search, with its populated user
+ * @returns {Promise<Object>} the filter of the parkings matching the saved search
+ */
+const getSavedSearchFilter = savedSearch =>
+  new Promise((resolve, reject) => {
+    const req = { query: { ...savedSearch.query }, user: savedSearch.user };
+
+    exports.handleParkingQuery(req, undefined, err =>
+      err ? reject(err) : resolve(req.query),
+    );
+  });
+
+/**
+ * Function used to check whether a parking is available during the availability window of a saved search, i.e. without any overlapping occupation or schedule conflict.
+ * @param {mongoose.Document<Parking>} parking the parking to check
+ * @param {Object} query the query parameters of the saved search
+ * @returns {Promise<boolean>} true if the search has no availability window or if the parking is available during it, false otherwise
+ */
+const isAvailableForSearch = async (parking, query) => {
+  if (!query.from || !query.to) return true;
+
+  const from = new Date(query.from);
+  const to = new Date(query.to);
+
+  if (await findOverlappingOccupation(Occupation, parking._id, from, to))
+    return false;
+
+  const { schedule } = await Parking.findById(parking._id).select('schedule');
+
+  return !getScheduleConflict(schedule, from, to);
+};
+
+/**
+ * Function used to alert the users following a parking that it is available, over their socket sessions and by email. The users having the parking in their favourites are alerted when it is freed, and the users whose saved searches match the parking when it is freed or validated. A saved search alerts its user at most once per alert delay.
+ * @param {mongoose.Document<Parking>} parking the available parking
+ * @param {string} reason the reason of the availability (freed / validated)
+ * @param {mongoose.Types.ObjectId[]} excludedUsers the users that mustn't be alerted, in addition to the owner of the parking
+ */
+const notifyParkingSubscribers = async (
+  parking,
+  reason,
+  excludedUsers = [],
+) => {
+  const now = new Date();
+  const excluded = [parking.owner?._id ?? parking.owner, ...excludedUsers];
+
+  // The alerts of each user, by user id
+  const subscribers = new Map();
+
+  if (reason === 'freed') {
+    const users = await User.find({
+      _id: { $nin: excluded },
+      favourites: { $elemMatch: { parking: parking._id, alerts: true } },
+    }).select('_id username email');
+
+    users.forEach(user =>
+      subscribers.set(user._id.valueOf(), {
+        user,
+        favourite: true,
+        searches: [],
+      }),
+    );
+  }
+
+  // The searches whose type, price range or area exclude the parking aren't checked, the searches without a location are added to the ones around the parking
+  const criteria = {
+    user: { $nin: excluded },
+    alerts: true,
+    lastAlert: { $not: { $gt: new Date(now - SAVED_SEARCH_ALERT_DELAY) } },
+    parkingType: { $in: [null, parking.type] },
+    minPrice: { $not: { $gt: parking.price } },
+    maxPrice: { $not: { $lt: parking.price } },
+  };
+
+  const candidates = await SavedSearch.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: parking.location.coordinates },
+        key: 'center',
+        distanceField: 'distance',
+        spherical: true,
+        query: criteria,
+      },
+    },
+    { $match: { $expr: { $lte: ['$distance', '$radius'] } } },
+    {
+      $unionWith: {
+        coll: SavedSearch.collection.name,
+        pipeline: [{ $match: { ...criteria, center: null } }],
+      },
+    },
+  ]);
+
+  const savedSearches = await SavedSearch.populate(candidates, {
+    path: 'user',
+    select: '_id username email role',
+  });
+
+  const matchedSearches = [];
+
+  for (const savedSearch of savedSearches) {
+    if (!savedSearch.user) continue;
+
+    let filter;
+
+    try {
+      filter = savedSearch.filter
+        ? JSON.parse(savedSearch.filter)
+        : await getSavedSearchFilter(savedSearch);
+    } catch (err) {
+      // The searches that aren't valid anymore (e.g. with a deleted vehicle) don't match any parking
+      continue;
+    }
+
+    const matches =
+      (await Parking.exists({
+        $and: [filter, { _id: parking._id, isValidated: true }],
+      })) &&
+      (!savedSearch.filter ||
+        (await isAvailableForSearch(parking, savedSearch.query)));
+
+    if (!matches) continue;
+
+    matchedSearches.push(savedSearch._id);
+
+    const { user } = savedSearch;
+
+    if (!subscribers.has(user._id.valueOf()))
+      subscribers.set(user._id.valueOf(), {
+        user,
+        favourite: false,
+        searches: [],
+      });
+
+    subscribers.get(user._id.valueOf()).searches.push(savedSearch.name);
+  }
+
+  if (matchedSearches.length > 0)
+    await SavedSearch.updateMany(
+      { _id: { $in: matchedSearches } },
+      { lastAlert: now },
+    );
+
+  // The location is sent in the latitude/longitude order of the API
+  const { _id, name, type, price, location } = parking.toJSON();
+
+  for (const { user, favourite, searches } of subscribers.values()) {
+    getUserSockets(user._id).forEach(socket =>
+      socket.emit('parking_available', {
+        reason,
+        favourite,
+        searches,
+        parking: { _id, name, type, price, location },
+      }),
+    );
+
+    try {
+      await new Email(
+        user,
+        `${FRONTEND_URL}/parkings/${parking._id}`,
+      ).sendParkingAvailable(parking.name, reason, favourite, searches);
+    } catch (err) {
+      console.error(
+        'Error while trying to send a parking availability alert to an user.',
+      );
+      console.error(err);
+    }
+  }
+};
+
 exports.validateParking = catchAsync(
   /**
-   * Function used to validate the parkings posted by providers from admin.
+   * Function used to validate (approve) the parkings submitted by providers from admin. The admin can choose the thingy installed at the parking, otherwise a free thingy of the inventory is installed if the parking doesn't have one yet.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
@@ -154,11 +565,13 @@ exports.validateParking = catchAsync(
   async (req, res, next) => {
     const {
       params: { id },
+      body: { comment, thingy: thingyName },
+      user: { _id: userId },
     } = req;
 
-    const [parking, [thingy]] = await Promise.all([
-      queryById(Parking, id),
-      Thingy.aggregate([{ $sample: { size: 1 } }]),
+    const [parking, thingy] = await Promise.all([
+      queryById(Parking, id, {}, {}, '+thingy +isValidated +moderation'),
+      thingyName ? Thingy.findOne({ name: thingyName }) : null,
     ]);
 
     // Check if parking exists.
@@ -166,15 +579,51 @@ exports.validateParking = catchAsync(
       return next(new AppError("The requested parking doesn't exists.", 404));
     }
 
-    // set isValidate to true
-    const updatedParking = await Parking.findByIdAndUpdate(
-      id,
-      {
-        isValidated: true,
-        thingy: thingy._id,
-      },
-      { new: true },
-    ).select('+isValidated');
+    if (thingyName && !thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    // Approve the parking if it was submitted for validation, and install its thingy in the same transaction
+    const updatedParking = await runTransaction(async session => {
+      const moderatedParking = await moderateParking(id, 'approved', {
+        by: userId,
+        comment,
+        session,
+      });
+
+      if (!moderatedParking) return null;
+
+      if (thingy) {
+        if (parking.thingy?.valueOf() !== thingy._id.valueOf())
+          await installThingy(thingy._id, id, session);
+      } else if (!parking.thingy) {
+        // A parking validated again after a modification keeps its thingy
+        const freeThingy = await findFreeThingy(session);
+
+        if (!freeThingy)
+          throw new AppError(
+            'There is no free thingy in the inventory to install at the parking.',
+            400,
+          );
+
+        await installThingy(freeThingy._id, id, session);
+      }
+
+      return moderatedParking;
+    });
+
+    if (!updatedParking) {
+      next(
+        new AppError(
+          `A parking in ${getModerationStatus(
+            parking,
+          )} state can't be approved.`,
+          400,
+        ),
+      );
+      return;
+    }
 
     // Change the status of the owner to provider
     const owner = await User.findByIdAndUpdate(parking.owner, {
@@ -183,7 +632,7 @@ exports.validateParking = catchAsync(
 
     // Send email to owner for validation
     try {
-      await new Email(owner).sendValidatedParking();
+      await new Email(owner).sendValidatedParking(parking.name);
     } catch (err) {
       console.error(
         'Error while trying to send the parking validation to the owner.',
@@ -198,6 +647,14 @@ exports.validateParking = catchAsync(
 
       return;
     }
+    // The users whose saved searches match the validated parking are alerted in background
+    notifyParkingSubscribers(updatedParking, 'validated').catch(err => {
+      console.error(
+        'Error while trying to alert the subscribers of the validated parking.',
+      );
+      console.error(err);
+    });
+
     parking.generateFileAbsolutePath();
 
     res
@@ -206,36 +663,111 @@ exports.validateParking = catchAsync(
   },
 );
 
-exports.getAllParkings = catchAsync(
+/**
+ * Function used to take an admin moderation decision (rejection or change request) on a submitted parking and notify its owner.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @param {string} status the moderation state of the parking after the decision (rejected / changes_requested)
+ */
+const decideModeration = async (req, res, next, status) => {
+  const {
+    params: { id },
+    body: { comment },
+    user: { _id: userId },
+  } = req;
+
+  if (!comment || typeof comment !== 'string' || comment.trim() === '') {
+    next(
+      new AppError(
+        'Please provide a comment explaining your decision to the owner.',
+        400,
+      ),
+    );
+    return;
+  }
+
+  const parking = await queryById(
+    Parking,
+    id,
+    {},
+    { path: 'owner', select: '_id username email' },
+    '+isValidated +moderation',
+  );
+
+  if (!parking) {
+    next(new AppError("The requested parking doesn't exist.", 404));
+    return;
+  }
+
+  const updatedParking = await moderateParking(id, status, {
+    by: userId,
+    comment: comment.trim(),
+  });
+
+  if (!updatedParking) {
+    const decision =
+      status === 'rejected' ? 'rejected' : 'sent back for changes';
+
+    next(
+      new AppError(
+        `A parking in ${getModerationStatus(
+          parking,
+        )} state can't be ${decision}.`,
+        400,
+      ),
+    );
+    return;
+  }
+
+  try {
+    const email = new Email(parking.owner);
+
+    if (status === 'rejected')
+      await email.sendRejectedParking(
+        parking.name,
+        updatedParking.moderation.comment,
+      );
+    else
+      await email.sendParkingChangesRequested(
+        parking.name,
+        updatedParking.moderation.comment,
+      );
+  } catch (err) {
+    console.error(
+      'Error while trying to send the moderation decision to the owner.',
+    );
+    console.error(err);
+  }
+
+  res
+    .status(200)
+    .json({ status: 'success', data: { parking: updatedParking } });
+};
+
+exports.rejectParking = catchAsync(
   /**
-   * Function used to get all existing parkings in the application.
+   * Function used to reject a parking submitted by a provider from admin, with a comment explaining the rejection.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
-  async (req, res) => {
-    if (!req.own && req?.user?.role !== 'admin') {
-      req.query.isValidated = true;
-    }
-    const parkings = await Parking.find({
-      ...req.query,
-    })
-      .populate({
-        path: 'owner',
-        select: '_id username email',
-      })
-      .select(req.own ? '+isValidated' : '');
-
-    parkings.forEach(parking => {
-      parking.generateFileAbsolutePath();
-    });
+  (req, res, next) => decideModeration(req, res, next, 'rejected'),
+);
 
-    res.status(200).json({ status: 'success', data: { parkings } });
-  },
+exports.requestParkingChanges = catchAsync(
+  /**
+   * Function used to ask the owner of a submitted parking to modify it before its validation from admin, with a comment describing the requested changes.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) => decideModeration(req, res, next, 'changes_requested'),
 );
 
-exports.getParking = catchAsync(
+exports.resubmitParking = catchAsync(
   /**
-   * Function used to get a single parking in the application.
+   * Function used to submit again a parking for validation once its owner has made the requested changes.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
@@ -243,51 +775,205 @@ exports.getParking = catchAsync(
   async (req, res, next) => {
     const {
       params: { id },
+      body: { comment },
+      user: { _id: userId },
     } = req;
-    const queryObj = {};
-
-    if (!req.user || req?.user?.role !== 'admin') queryObj.isValidated = true;
 
-    const selectFields =
-      req?.user?.role === 'admin' ? '+isValidated +thingy' : '+thingy';
     const parking = await queryById(
       Parking,
       id,
-      queryObj,
-      {
-        path: 'owner',
-        select: '_id username photo',
-      },
-      selectFields,
+      {},
+      {},
+      '+isValidated +moderation',
     );
 
-    if (
-      !parking ||
-      (req.user &&
-        req.user.role !== 'admin' &&
-        parking.isValidated === false &&
-        parking.owner._id.valueOf() !== req.user._id.valueOf())
-    ) {
+    if (!parking) {
       next(new AppError("The requested parking doesn't exist.", 404));
       return;
     }
 
-    parking.generateFileAbsolutePath();
-    let returnedParking;
+    if (parking.owner.valueOf() !== userId.valueOf()) {
+      next(new AppError('You can only resubmit your own parkings.', 403));
+      return;
+    }
 
-    if (parking.thingy) {
-      const thingy = await Thingy.findById(parking.thingy.valueOf());
-      const {
-        data: {
-          data: { FinalRating: rating },
-        },
-      } = await axios.get(
-        `${BACKEND_URL}${API_ROUTE}/things/${thingy.name}/rating`,
+    const updatedParking = await moderateParking(id, 'submitted', {
+      by: userId,
+      comment,
+      from: ['changes_requested'],
+    });
+
+    if (!updatedParking) {
+      next(
+        new AppError(
+          'Only parkings for which changes were requested can be resubmitted.',
+          400,
+        ),
       );
+      return;
+    }
 
-      returnedParking = {
-        ...parking._doc,
-        rating,
+    res.status(200).json({
+      status: 'success',
+      message: 'Your parking was submitted again for validation.',
+      data: { parking: updatedParking },
+    });
+  },
+);
+
+/**
+ * Sort keys of the parking listings, with the path of the field they sort on (the distance in meters is computed from the center of the search).
+ * @type {Object<string, string>}
+ */
+const PARKING_SORT_FIELDS = {
+  price: 'price',
+  distance: 'distance',
+  rating: 'ratingsAverage',
+  creationDate: 'creationDate',
+};
+
+/**
+ * Fields of the parkings that can be selected in the parking listings.
+ * @type {string[]}
+ */
+const PARKING_SELECTABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'isOccupied',
+  'price',
+  'pricing',
+  'dimensions',
+  'amenities',
+  'schedule',
+  'location',
+  'owner',
+  'photos',
+  'lot',
+  'ratingsAverage',
+  'ratingsQuantity',
+];
+
+exports.getAllParkings = catchAsync(
+  /**
+   * Function used to get all existing parkings in the application, paginated, sorted and with the selected fields requested in the query parameters. The parkings searched around a location are sorted from the nearest one by default and come with their distance from it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    if (!req.own && req?.user?.role !== 'admin') {
+      req.query.isValidated = true;
+    }
+
+    const filter = { ...req.query };
+
+    APIFeatures.PARAMETERS.forEach(param => delete filter[param]);
+
+    const { documents: parkings, ...pagination } = await new APIFeatures(
+      Parking,
+      filter,
+      req,
+      {
+        sortFields: PARKING_SORT_FIELDS,
+        // The parkings around a location are sorted from the nearest one by default
+        defaultSort: req.near ? 'distance' : '-creationDate',
+        selectableFields: PARKING_SELECTABLE_FIELDS,
+        near: req.near,
+      },
+    ).execute(query =>
+      query
+        .populate({
+          path: 'owner',
+          select: '_id username email ratingsAverage ratingsQuantity',
+        })
+        .select(req.own ? '+isValidated +moderation' : ''),
+    );
+
+    parkings.forEach(parking => {
+      parking.generateFileAbsolutePath();
+    });
+
+    // The spots of a parking lot come with the number of free spots of their lot
+    const lotAvailability = await getLotAvailability(
+      parkings.filter(({ lot }) => lot).map(({ lot }) => lot),
+    );
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: {
+        // The parkings around a location come with their distance (in meters) from it
+        parkings: parkings.map(parking => ({
+          ...parking._doc,
+          photoSources: parking.photoSources,
+          ...(req.near && { distance: Math.round(parking.$locals.distance) }),
+          ...(parking.lot && {
+            lotAvailability: lotAvailability.get(parking.lot.valueOf()),
+          }),
+        })),
+      },
+    });
+  },
+);
+
+exports.getParking = catchAsync(
+  /**
+   * Function used to get a single parking in the application.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+    const queryObj = {};
+
+    if (!req.user || req?.user?.role !== 'admin') queryObj.isValidated = true;
+
+    const selectFields =
+      req?.user?.role === 'admin'
+        ? '+isValidated +moderation +thingy'
+        : '+thingy';
+    const parking = await queryById(
+      Parking,
+      id,
+      queryObj,
+      {
+        path: 'owner',
+        select: '_id username photo ratingsAverage ratingsQuantity',
+      },
+      selectFields,
+    );
+
+    if (
+      !parking ||
+      (req.user &&
+        req.user.role !== 'admin' &&
+        parking.isValidated === false &&
+        parking.owner._id.valueOf() !== req.user._id.valueOf())
+    ) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    parking.generateFileAbsolutePath();
+    let returnedParking;
+
+    if (parking.thingy) {
+      const thingy = await Thingy.findById(parking.thingy.valueOf());
+      const {
+        data: {
+          data: { FinalRating: rating },
+        },
+      } = await axios.get(
+        `${BACKEND_URL}${API_ROUTE}/things/${thingy.name}/rating`,
+      );
+
+      returnedParking = {
+        ...parking._doc,
+        photoSources: parking.photoSources,
+        rating,
       };
 
       delete returnedParking.thingy;
@@ -303,11 +989,11 @@ exports.getParking = catchAsync(
  * Multer middle function that takes care of processing the photos field images associated with the form sent to the server (max 10 pictures).
  * @returns {import('express').RequestHandler} The request handler function that takes care of processing the sent images.
  */
-exports.uploadParkingImages = uploadImage.array('photos', 10);
+exports.uploadParkingImages = uploadImage.array('photos', MAX_PARKING_PHOTOS);
 
 exports.saveParkingImages = catchAsync(
   /**
-   * Function that takes care of storing the images associated with a parking and update their filename.
+   * Function that takes care of storing the images associated with a parking, with their resized variants, and update their filename. The photos can only be uploaded: the filenames sent in the body are ignored.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
@@ -317,6 +1003,8 @@ exports.saveParkingImages = catchAsync(
       user: { _id: id },
     } = req;
 
+    delete req.body.photos;
+
     if (!photos) {
       next();
       return;
@@ -328,10 +1016,7 @@ exports.saveParkingImages = catchAsync(
           .randomBytes(4)
           .toString('hex')}-${Date.now()}.jpeg`;
 
-        await sharp(photo.buffer)
-          .toFormat('jpeg')
-          .jpeg({ quality: 100 })
-          .toFile(`${PARKINGS_FOLDER}/${filename}`);
+        await savePhoto(photo.buffer, filename);
 
         photo.filename = filename;
 
@@ -345,28 +1030,262 @@ exports.saveParkingImages = catchAsync(
   },
 );
 
+/**
+ * Error middleware function that deletes the images stored for a parking or a parking lot when its creation or modification fails, such that they aren't left orphaned on the disk. The images referenced by a parking or a parking lot in the meantime are kept.
+ * @param {Error} err The error raised by the creation or the modification.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ */
+exports.deleteParkingImages = async (err, req, res, next) => {
+  const photos = req.body?.photos;
+
+  if (Array.isArray(photos) && photos.length > 0) {
+    try {
+      await deletePhotoFiles(await getUnusedPhotos(photos));
+    } catch (deleteErr) {
+      console.error('Error while trying to delete the uploaded photos.');
+      console.error(deleteErr);
+    }
+  }
+
+  next(err);
+};
+
+/**
+ * Function used to retrieve the socket connection of the client that sent a request, if he provided his session id in the headers.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @returns {import('socket.io').Socket} the socket connection of the client, undefined if there isn't any.
+ */
+const getClientSocket = req => getSessionSocket(req?.headers?.sessionid);
+
+/**
+ * Function used to generate the message sent back to a client when an operation on a reservation failed in background.
+ * @param {Error} err the error that made the operation fail
+ * @returns {string} the error message if the error is an operational one, a generic message otherwise
+ */
+const getFailureMessage = err => {
+  if (err.isOperational) return err.message;
+
+  console.error(err);
+  return 'Something went wrong. Try Again!';
+};
+
+/**
+ * Function used to wait in background for the confirmation of a reservation start on the thingy of the parking, and occupy the parking once it is confirmed.
+ * @param {mongoose.Document<Confirmation>} ticket the confirmation ticket of the reservation start
+ * @param {Object} reservation the reservation that has to be confirmed
+ * @param {mongoose.Document<Parking>} reservation.parking the reserved parking, with its populated owner
+ * @param {User} reservation.user the user that reserves the parking
+ * @param {mongoose.Document<Occupation>} reservation.booking the booking of the user for the current time slot, if there is one
+ * @param {Object} reservation.vehicle the vehicle selected by the user for the reservation, if there is one
+ * @param {string} reservation.thingy the name of the thingy on which the reservation has to be confirmed
+ * @param {import('socket.io').Socket} reservation.socket the socket connection of the client, if there is one
+ * @param {string} reservation.sessionID the id of the socket session of the client, if there is one
+ */
+const confirmReservationStart = async (
+  ticket,
+  { parking, user, booking, vehicle, thingy, socket, sessionID },
+) => {
+  const { _id: userId, username, email } = user;
+
+  try {
+    const start = await waitClickButton(mqttClient, thingy);
+
+    const occupation = await occupyParking({
+      parking,
+      userId,
+      booking,
+      vehicle,
+      start,
+      sessionID: socket ? sessionID : undefined,
+    });
+
+    const message = booking
+      ? 'You confirmed your arrival on the booked parking.'
+      : 'You created a new parking reservation.';
+
+    await Confirmation.findByIdAndUpdate(ticket._id, {
+      status: 'confirmed',
+      message,
+      occupation: occupation._id,
+    });
+
+    const returnedOccupation = {
+      ...occupation._doc,
+      client: {
+        _id: userId,
+        username,
+        email,
+      },
+      parking: {
+        _id: parking._id,
+        name: parking.name,
+      },
+    };
+
+    if (socket)
+      socket.emit('successful_reservation', {
+        ticket: ticket._id,
+        message,
+        occupation: returnedOccupation,
+      });
+
+    try {
+      await new Email(parking.owner).sendParkingReserved(username, vehicle);
+    } catch (err) {
+      console.error(
+        'Error while trying to send the parking reservation start to the owner.',
+      );
+      console.error(err);
+    }
+  } catch (err) {
+    const message = getFailureMessage(err);
+
+    await releasePendingParking(parking._id, userId);
+    await Confirmation.findByIdAndUpdate(ticket._id, {
+      status: 'failed',
+      message,
+    });
+
+    if (socket)
+      socket.emit('unsuccessful_reservation', { ticket: ticket._id, message });
+  }
+};
+
+/**
+ * Function used to wait in background for the confirmation of a reservation end on the thingy of the parking, free the parking once it is confirmed and send the invoice of the reservation to the client.
+ * @param {mongoose.Document<Confirmation>} ticket the confirmation ticket of the reservation end
+ * @param {Object} reservation the reservation that has to be ended
+ * @param {mongoose.Document<Parking>} reservation.parking the occupied parking, with its populated owner
+ * @param {User} reservation.user the user that occupies the parking
+ * @param {mongoose.Document<Occupation>} reservation.occupation the active occupation of the parking
+ * @param {string} reservation.thingy the name of the thingy on which the reservation end has to be confirmed
+ * @param {import('socket.io').Socket} reservation.socket the socket connection of the client, if there is one
+ */
+const confirmReservationEnd = async (
+  ticket,
+  { parking, user, occupation, thingy, socket },
+) => {
+  const { _id: userId, username, email } = user;
+
+  try {
+    const end = await waitClickButton(mqttClient, thingy);
+
+    const { total, breakdown: billDetails } = computePrice(
+      parking,
+      occupation.start,
+      end,
+    );
+
+    // The overstay past the stay limit of the occupation is charged on top of its price
+    const overstay = computeOverstay(parking, occupation.stayLimit?.end, end, {
+      graceDelay: OVERSTAY_GRACE_DELAY,
+      surchargeRate: OVERSTAY_SURCHARGE_RATE,
+    });
+
+    if (overstay) billDetails.overstay = overstay;
+
+    const bill = parseFloat((total + (overstay?.surcharge ?? 0)).toFixed(2));
+
+    const updatedOccupation = await freeParking({
+      occupation,
+      parking,
+      end,
+      bill,
+      billDetails,
+      overstay: overstay ?? undefined,
+    });
+
+    const message = overstay
+      ? `You successfully finished your reservation, ${overstay.minutes} minutes after the end of your allowed stay (overstay surcharge: ${overstay.surcharge} ${CURRENCY}).`
+      : 'You successfully finished your reservation.';
+
+    await Confirmation.findByIdAndUpdate(ticket._id, {
+      status: 'confirmed',
+      message,
+      occupation: updatedOccupation._id,
+    });
+
+    const returnedOccupation = {
+      ...updatedOccupation._doc,
+      client: {
+        _id: userId,
+        username,
+        email,
+      },
+      parking: {
+        _id: parking._id,
+        name: parking.name,
+      },
+    };
+
+    if (socket)
+      socket.emit('successful_end', {
+        ticket: ticket._id,
+        message,
+        occupation: returnedOccupation,
+      });
+
+    try {
+      await new Email(parking.owner).sendParkingEndReservation(username);
+    } catch (err) {
+      console.error(
+        'Error while trying to send the parking reservation end to the owner.',
+      );
+      console.error(err);
+    }
+
+    try {
+      const invoice = await createInvoice(updatedOccupation._id);
+      const pdf = await renderInvoicePDF(invoice);
+
+      await new Email(user).sendReservationInvoice(parking.name, invoice, pdf);
+    } catch (err) {
+      console.error(
+        'Error while trying to send the reservation invoice to the client.',
+      );
+      console.error(err);
+    }
+
+    // The users following the parking are alerted that it is free again
+    try {
+      await notifyParkingSubscribers(parking, 'freed', [userId]);
+    } catch (err) {
+      console.error(
+        'Error while trying to alert the subscribers of the freed parking.',
+      );
+      console.error(err);
+    }
+  } catch (err) {
+    const message = getFailureMessage(err);
+
+    await Confirmation.findByIdAndUpdate(ticket._id, {
+      status: 'failed',
+      message,
+    });
+
+    if (socket)
+      socket.emit('unsuccessful_end', { ticket: ticket._id, message });
+  }
+};
+
 exports.startReservation = catchAsync(
   /**
-   * Function used to create a new parking slot.
+   * Function used to start the reservation of a parking. The reservation has to be confirmed on the thingy of the parking: the request returns a confirmation ticket right away and the confirmation is processed in background.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
   async (req, res, next) => {
     const {
-      user: { _id: userId, username, email },
+      user,
+      user: { _id: userId },
       params: { id },
-      // card: { _id: idCard, cardBalance },
+      body: { vehicle: vehicleId },
     } = req;
 
-    const sessionID = req?.headers?.sessionid;
-    let socket;
-    if (sessionID) {
-      const socketObj = SOCKET_CONNECTIONS.find(
-        socket => socket.id === sessionID,
-      );
-      if (socketObj) socket = socketObj?.socket;
-    }
+    const socket = getClientSocket(req);
 
     const parking = await queryById(
       Parking,
@@ -386,139 +1305,213 @@ exports.startReservation = catchAsync(
 
     // Check if parking exists.
     if (!parking) {
-      if (sessionID) socket.emit('unsuccessful_reservation', {});
+      if (socket) socket.emit('unsuccessful_reservation', {});
       return next(new AppError("The requested parking doesn't exists.", 404));
     }
 
     // Check if the connected user is the owner of the parking
     if (parking.owner._id.valueOf() === userId.valueOf()) {
-      if (sessionID) socket.emit('unsuccessful_reservation', {});
+      if (socket) socket.emit('unsuccessful_reservation', {});
       return next(new AppError("You can't reserve your own parkings.", 400));
     }
 
     // Check if the parking is already occupied
     if (parking.isOccupied === true) {
-      if (sessionID) socket.emit('unsuccessful_reservation', {});
+      if (socket) socket.emit('unsuccessful_reservation', {});
       next(new AppError('The requested parking is already occupied.', 400));
       return;
     }
 
-    // Wait that the user clicks on the associated thingy button
-    /*const client = mqtt.connect(process.env.MQTT_SERVER, {
-      username: process.env.MQTT_USR,
-      password: process.env.MQTT_PWD,
-    });*/
+    // Check if the vehicle selected by the user fits in the parking
+    let vehicle;
+
+    if (vehicleId) {
+      try {
+        vehicle = await findUserVehicle(userId, vehicleId);
+      } catch (err) {
+        if (socket) socket.emit('unsuccessful_reservation', {});
+        next(err);
+        return;
+      }
+
+      const fitConflict = getVehicleFitConflict(parking.dimensions, vehicle);
 
-    let {
-      thingy: { name: thingy },
-    } = parking;
+      if (fitConflict) {
+        if (socket) socket.emit('unsuccessful_reservation', {});
+        next(new AppError(fitConflict, 400));
+        return;
+      }
+    }
 
-    thingy = thingy === 'blue-1' ? 'blue-3' : thingy;
+    // Check if the user has booked the parking for the current time slot, in which case the reservation confirms his arrival
+    const now = new Date();
+    const booking = await Occupation.findOne({
+      client: userId,
+      parking: parking._id,
+      status: 'booked',
+      bookingStart: {
+        $lte: new Date(now.getTime() + BOOKING_ARRIVAL_TOLERANCE),
+      },
+      bookingEnd: { $gt: now },
+    });
 
-    const message = `Please confirm by pressing on the button of thingy ${thingy}.`;
-    if (sessionID) {
-      socket.emit('confirmation_message', {
-        message,
+    // Check if the parking is booked by another user for the current time slot
+    if (!booking) {
+      const overlappingBooking = await Occupation.exists({
+        parking: parking._id,
+        status: 'booked',
+        end: undefined,
+        bookingStart: {
+          $lte: new Date(now.getTime() + BOOKING_ARRIVAL_TOLERANCE),
+        },
+        bookingEnd: { $gt: now },
       });
-    } else console.log(message);
 
-    const start = await waitClickButton(mqttClient, thingy);
+      if (overlappingBooking) {
+        if (socket) socket.emit('unsuccessful_reservation', {});
+        next(
+          new AppError(
+            'The requested parking is booked by another user at this time.',
+            400,
+          ),
+        );
+        return;
+      }
 
-    if (sessionID) socket.emit('successful_reservation', {});
+      // Check if the parking is open, the bookings were already checked against its schedule when they were made
+      const scheduleConflict = getScheduleConflict(parking.schedule, now);
 
-    // Create an occupation for the parking
-    // N.B. : a transaction is needed such that updating the occupation state of a parking and create a new occupation in the database will be done atomically
-    //const session = await mongoose.startSession();
+      if (scheduleConflict) {
+        if (socket) socket.emit('unsuccessful_reservation', {});
+        next(new AppError(scheduleConflict, 400));
+        return;
+      }
+    }
 
-    try {
-      //await session.startTransaction();
-
-      const [[occupation]] = await Promise.all([
-        Occupation.create(
-          [
-            {
-              start,
-              end: undefined,
-              client: userId,
-              parking: parking._id,
-            },
-          ],
-          {
-            /*session*/
-          },
+    // Check if the wallet of the user contains enough money to pay the expected price of the reservation
+    const holdAmount = getHoldAmount(parking, booking, now);
+
+    if (!(await hasAvailableFunds(userId, holdAmount))) {
+      if (socket) socket.emit('unsuccessful_reservation', {});
+      next(
+        new AppError(
+          `Your wallet balance is insufficient for this reservation (${holdAmount} ${CURRENCY} required). Please top up your wallet.`,
+          402,
+        ),
+      );
+      return;
+    }
+
+    // Check if a thingy is installed at the parking, the reservation has to be confirmed on it
+    if (!parking.thingy) {
+      if (socket) socket.emit('unsuccessful_reservation', {});
+      next(
+        new AppError(
+          'The requested parking has no thingy installed and cannot be reserved at the moment.',
+          400,
         ),
-        Parking.updateOne(
-          { _id: parking._id },
-          { isOccupied: true },
-          { /*session,*/ runValidators: false },
+      );
+      return;
+    }
+
+    // The confirmation is made on the device replacing the thingy of the parking, if it is substituted
+    const thingy = await resolveThingyName(parking.thingy.name);
+
+    // Mark the parking as pending, such that no other user can reserve it while waiting for the confirmation
+    const pendingParking = await Parking.findOneAndUpdate(
+      {
+        _id: parking._id,
+        isOccupied: { $ne: true },
+        $or: [{ isPending: { $ne: true } }, { pendingExpires: { $lte: now } }],
+      },
+      {
+        isPending: true,
+        pendingUser: userId,
+        pendingExpires: new Date(now.getTime() + PENDING_RESERVATION_DELAY),
+      },
+      { runValidators: false },
+    );
+
+    if (!pendingParking) {
+      if (socket) socket.emit('unsuccessful_reservation', {});
+      next(
+        new AppError(
+          'The requested parking is currently being reserved by another user.',
+          409,
         ),
-      ]);
-
-      const returnedOccupation = {
-        ...occupation._doc,
-        client: {
-          _id: userId,
-          username,
-          email,
-        },
-        parking: {
-          _id: id,
-          name: parking.name,
-        },
-      };
+      );
+      return;
+    }
 
-      try {
-        await new Email(parking.owner).sendParkingReserved(username);
-      } catch (err) {
-        console.error(
-          'Error while trying to send the parking reservation start to the owner.',
-        );
-        console.error(err);
-      }
+    const message = `Please confirm by pressing on the button of thingy ${thingy}.`;
 
-      res.status(200).json({
-        status: 'success',
-        message: 'You created a new parking reservation.',
-        data: { occupation: returnedOccupation },
+    let ticket;
+
+    try {
+      ticket = await Confirmation.create({
+        type: 'start-reservation',
+        message,
+        user: userId,
+        parking: parking._id,
+        expires: new Date(now.getTime() + BUTTON_CONFIRMATION_DELAY),
       });
-      //await session.commitTransaction();
     } catch (err) {
-      //await session.abortTransaction();
-      if (sessionID) socket.emit('unsuccessful_reservation', {});
+      await releasePendingParking(parking._id, userId);
       next(err);
-    } finally {
-      //await session.endSession();
+      return;
     }
-  },
-);
+
+    if (socket)
+      socket.emit('confirmation_message', { ticket: ticket._id, message });
+    else console.log(message);
+
+    res.status(202).json({
+      status: 'success',
+      message,
+      data: { ticket },
+    });
+
+    // Process the confirmation in background, its result is sent through the socket connection and can be polled with the ticket
+    confirmReservationStart(ticket, {
+      parking,
+      user,
+      booking,
+      vehicle: vehicle?.toObject(),
+      thingy,
+      socket,
+      sessionID: req.headers.sessionid,
+    }).catch(err => {
+      console.error('Error while trying to confirm the reservation start.');
+      console.error(err);
+    });
+  },
+);
 
 exports.endReservation = catchAsync(
   /**
-   * Function used to create a new parking slot.
+   * Function used to end the reservation of a parking. The end has to be confirmed on the thingy of the parking: the request returns a confirmation ticket right away and the confirmation is processed in background.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
   async (req, res, next) => {
     const {
-      user: { _id: userId, username, email },
+      user,
+      user: { _id: userId },
       params: { id },
     } = req;
 
-    const sessionID = req?.headers?.sessionid;
-    let socket;
-    if (sessionID) {
-      const socketObj = SOCKET_CONNECTIONS.find(
-        socket => socket.id === sessionID,
-      );
-      if (socketObj) socket = socketObj?.socket;
-    }
+    const socket = getClientSocket(req);
 
     const [occupation, parking] = await Promise.all([
       Occupation.findOne({
         client: userId.valueOf(),
         parking: id,
         end: undefined,
+        status: { $ne: 'booked' },
+      }).catch(err => {
+        if (err.name === 'CastError') return null;
+        throw err;
       }),
       queryById(
         Parking,
@@ -539,160 +1532,1097 @@ exports.endReservation = catchAsync(
 
     // Check if the parking exists
     if (!parking) {
-      if (sessionID) socket.emit('unsuccessful_end', {});
+      if (socket) socket.emit('unsuccessful_end', {});
       return next(new AppError("The requested parking doesn't exists.", 404));
     }
 
     // Check if the user has reserved the parking
     if (!occupation) {
-      if (sessionID) socket.emit('unsuccessful_end', {});
+      if (socket) socket.emit('unsuccessful_end', {});
       next(new AppError("You haven't reserved this parking.", 400));
       return;
     }
 
-    let {
-      thingy: { name: thingy },
-    } = parking;
+    const now = new Date();
+
+    // Check if the end of the reservation is already waiting for a confirmation
+    const pendingTicket = await Confirmation.exists({
+      type: 'end-reservation',
+      status: 'pending',
+      parking: parking._id,
+      user: userId,
+      expires: { $gt: now },
+    });
+
+    if (pendingTicket) {
+      if (socket) socket.emit('unsuccessful_end', {});
+      next(
+        new AppError(
+          'The end of your reservation is already waiting for a confirmation.',
+          409,
+        ),
+      );
+      return;
+    }
 
-    thingy = thingy === 'blue-1' ? 'blue-3' : thingy;
+    // The confirmation is made on the device replacing the thingy of the parking, if it is substituted
+    const thingy = await resolveThingyName(parking.thingy.name);
 
     const message = `Please confirm by pressing on the button of thingy ${thingy}.`;
 
-    if (sessionID) {
-      socket.emit('confirmation_message', {
-        message,
-      });
-    } else console.log(message);
+    const ticket = await Confirmation.create({
+      type: 'end-reservation',
+      message,
+      user: userId,
+      parking: parking._id,
+      occupation: occupation._id,
+      expires: new Date(now.getTime() + BUTTON_CONFIRMATION_DELAY),
+    });
 
-    const end = await waitClickButton(mqttClient, thingy);
+    if (socket)
+      socket.emit('confirmation_message', { ticket: ticket._id, message });
+    else console.log(message);
 
-    if (sessionID) socket.emit('successful_end', {});
-    //const session = await mongoose.startSession();
-    try {
-      //await session.startTransaction();
+    res.status(202).json({
+      status: 'success',
+      message,
+      data: { ticket },
+    });
+
+    // Process the confirmation in background, its result is sent through the socket connection and can be polled with the ticket
+    confirmReservationEnd(ticket, {
+      parking,
+      user,
+      occupation,
+      thingy,
+      socket,
+    }).catch(err => {
+      console.error('Error while trying to confirm the reservation end.');
+      console.error(err);
+    });
+  },
+);
+
+exports.getConfirmation = catchAsync(
+  /**
+   * Function used to get the state of a confirmation ticket of a reservation start or end of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id, ticketId },
+    } = req;
+
+    const ticket = await queryById(
+      Confirmation,
+      ticketId,
+      { parking: id, user: userId },
+      {
+        path: 'occupation',
+        select: '-__v',
+      },
+    );
 
-      const bill = parseFloat(
-        (
-          (moment(end).diff(moment(occupation.start), 'seconds') *
-            parking.price) /
-          3600
-        ).toFixed(2),
+    if (!ticket) {
+      next(
+        new AppError("The requested confirmation ticket doesn't exist.", 404),
       );
+      return;
+    }
 
-      const [updatedOccupation] = await Promise.all([
-        Occupation.findByIdAndUpdate(
-          occupation._id,
-          { end, bill },
-          { /*session,*/ new: true },
-        ),
-        Parking.updateOne(
-          { _id: parking._id },
-          { isOccupied: false },
-          { /*session,*/ runValidators: false, new: true },
-        ),
-      ]);
-
-      const returnedOccupation = {
-        ...updatedOccupation._doc,
-        client: {
-          _id: userId,
-          username,
-          email,
-        },
-        parking: {
-          _id: id,
-          name: parking.name,
-        },
-      };
+    // The confirmation could not be processed until its end (i.e. server restart)
+    if (
+      ticket.status === 'pending' &&
+      ticket.expires < Date.now() - PENDING_RESERVATION_DELAY
+    ) {
+      ticket.status = 'failed';
+      ticket.message = 'Timeout waiting for button click expired.';
+      await ticket.save();
+    }
 
-      try {
-        await new Email(parking.owner).sendParkingEndReservation(username);
-      } catch (err) {
-        console.error(
-          'Error while trying to send the parking reservation end to the owner.',
-        );
-        console.error(err);
-      }
+    res.status(200).json({ status: 'success', data: { ticket } });
+  },
+);
 
-      res.status(200).json({
-        status: 'success',
-        message: 'You successfully finished your reservation.',
-        data: { occupation: returnedOccupation },
-      });
-      //await session.commitTransaction();
-    } catch (err) {
-      //await session.abortTransaction();
-      if (sessionID) socket.emit('unsuccessful_end', {});
-      next(err);
-    } finally {
-      //await session.endSession();
+exports.cancelOwnReservation = catchAsync(
+  /**
+   * Function used by a client to cancel one of his bookings of a parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { occupation: occupationId },
+    } = req;
+
+    const queryObj = { client: userId, parking: id, status: 'booked' };
+    if (occupationId) queryObj._id = occupationId;
+
+    const [parking, [occupation]] = await Promise.all([
+      queryById(
+        Parking,
+        id,
+        {},
+        { path: 'owner', select: '_id username email' },
+      ),
+      // Cancel the next upcoming booking if no occupation is specified
+      Occupation.find(queryObj)
+        .sort({ bookingStart: 1 })
+        .limit(1)
+        .catch(err => {
+          if (err.name === 'CastError') return [];
+          throw err;
+        }),
+    ]);
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exists.", 404));
+      return;
+    }
+
+    if (!occupation) {
+      next(new AppError("You haven't booked this parking.", 400));
+      return;
     }
+
+    const cancelledOccupation = await cancelOccupation(
+      occupation,
+      parking,
+      userId,
+      'client',
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your booking was cancelled.',
+      data: { occupation: cancelledOccupation },
+    });
   },
 );
 
-exports.createParking = catchAsync(
+exports.cancelParkingReservation = catchAsync(
   /**
-   * Function used to create a new parking slot.
+   * Function used by the owner of a parking (or an admin) to cancel a booking or an active reservation of his parking.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
   async (req, res, next) => {
     const {
-      body: { name, description, type, price, coordinates, photos },
-      user: { _id: id },
+      user: { _id: userId, role },
+      params: { id, occupationId },
     } = req;
 
-    if (!checkLocation(coordinates)) {
+    const [parking, occupation] = await Promise.all([
+      queryById(
+        Parking,
+        id,
+        {},
+        { path: 'owner', select: '_id username email' },
+        '+isOccupied',
+      ),
+      queryById(
+        Occupation,
+        occupationId,
+        { parking: id, end: undefined },
+        { path: 'client', select: '_id username email' },
+      ),
+    ]);
+
+    if (
+      !parking ||
+      (role !== 'admin' && parking.owner._id.valueOf() !== userId.valueOf())
+    ) {
+      next(new AppError("The requested parking doesn't exists.", 404));
+      return;
+    }
+
+    if (!occupation) {
       next(
         new AppError(
-          'Please provide valid coordinates values for your location.',
-          400,
+          "The requested reservation doesn't exist or is already finished.",
+          404,
         ),
       );
       return;
     }
 
-    const [lat, lng] = coordinates;
+    const cancelledOccupation = await cancelOccupation(
+      occupation,
+      parking,
+      userId,
+      'provider',
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The reservation was cancelled.',
+      data: { occupation: cancelledOccupation },
+    });
+  },
+);
 
+exports.createBooking = catchAsync(
+  /**
+   * Function used to book a parking for a future time slot.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
     const {
-      data: {
-        features: [
-          {
-            properties: { postcode, street, housenumber, city },
-          },
-        ],
+      user: { _id: userId, username, email },
+      params: { id },
+      body: { start, end },
+    } = req;
+
+    // Check the validity of the requested time slot
+    if (!isValidDate(start) || !isValidDate(end)) {
+      next(
+        new AppError(
+          'Please provide a valid start and end date for your booking.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const bookingStart = new Date(start);
+    const bookingEnd = new Date(end);
+
+    if (bookingEnd <= bookingStart) {
+      next(new AppError('The end of a booking must be after its start.', 400));
+      return;
+    }
+
+    if (bookingEnd <= Date.now()) {
+      next(new AppError("You can't book a parking in the past.", 400));
+      return;
+    }
+
+    if (bookingEnd - bookingStart > MAX_BOOKING_DURATION) {
+      next(
+        new AppError(
+          `A booking can't last more than ${
+            MAX_BOOKING_DURATION / (24 * 60 * 60 * 1000)
+          } days.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(
+      Parking,
+      id,
+      {
+        isValidated: true,
+      },
+      {
+        path: 'owner',
+        select: '_id username email',
       },
-    } = await axios.get(
-      `${GEOAPI_REVERSE_URL}?lat=${lat}&lon=${lng}&apiKey=${GEOAPIFY_API_KEY}`,
     );
 
-    const location = {
-      type: 'Point',
-      coordinates,
-      street,
-      housenumber,
-      postcode,
-      city,
-    };
+    // Check if parking exists.
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exists.", 404));
+      return;
+    }
 
-    const { _id } = await Parking.create({
-      name,
-      description,
-      type,
-      price,
-      location,
-      photos,
-      creationDate: Date.now(),
-      owner: id,
+    // Check if the connected user is the owner of the parking
+    if (parking.owner._id.valueOf() === userId.valueOf()) {
+      next(new AppError("You can't book your own parkings.", 400));
+      return;
+    }
+
+    // Check if the time slot respects the opening hours, blackout periods and maximum stay of the parking
+    const scheduleConflict = getScheduleConflict(
+      parking.schedule,
+      bookingStart,
+      bookingEnd,
+    );
+
+    if (scheduleConflict) {
+      next(new AppError(scheduleConflict, 400));
+      return;
+    }
+
+    const booking = await runTransaction(async session => {
+      // Conditional write: the concurrent bookings of the parking conflict on its booking counter, the transaction of the last one is retried
+      await Parking.updateOne(
+        { _id: parking._id },
+        { $inc: { bookingVersion: 1 } },
+        { session, runValidators: false },
+      );
+
+      // Check if the time slot overlaps with another booking or reservation
+      const overlappingOccupation = await findOverlappingOccupation(
+        Occupation,
+        parking._id,
+        bookingStart,
+        bookingEnd,
+      ).session(session);
+
+      if (overlappingOccupation)
+        throw new AppError(
+          'The requested parking is not available during this time slot.',
+          400,
+        );
+
+      const [createdBooking] = await Occupation.create(
+        [
+          {
+            status: 'booked',
+            bookingStart,
+            bookingEnd,
+            client: userId,
+            parking: parking._id,
+          },
+        ],
+        { session },
+      );
+
+      return createdBooking;
     });
 
-    const newParking = await Parking.findById(_id).select('-owner');
+    try {
+      await new Email(parking.owner).sendParkingBooked(username, booking);
+    } catch (err) {
+      console.error(
+        'Error while trying to send the parking booking to the owner.',
+      );
+      console.error(err);
+    }
+
+    const returnedBooking = {
+      ...booking._doc,
+      client: {
+        _id: userId,
+        username,
+        email,
+      },
+      parking: {
+        _id: id,
+        name: parking.name,
+      },
+    };
 
     res.status(201).json({
       status: 'success',
-      message: 'Your parking was submitted for validation.',
-      data: { parking: newParking },
+      message: 'You booked the parking for the requested time slot.',
+      data: { occupation: returnedBooking },
     });
   },
 );
+
+exports.getQuote = catchAsync(
+  /**
+   * Function used to get the price of an occupation of a parking for a specific time slot, computed from its pricing rules.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      query: { start, end },
+    } = req;
+
+    if (!isValidDate(start) || !isValidDate(end)) {
+      next(
+        new AppError(
+          'Please provide a valid start and end date for the quote.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (new Date(end) <= new Date(start)) {
+      next(new AppError('The end of a quote must be after its start.', 400));
+      return;
+    }
+
+    if (new Date(end) - new Date(start) > MAX_QUOTE_DURATION) {
+      next(
+        new AppError(
+          `A quote can't cover more than ${
+            MAX_QUOTE_DURATION / (24 * 60 * 60 * 1000)
+          } days.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(Parking, id, { isValidated: true });
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exists.", 404));
+      return;
+    }
+
+    const { total, breakdown } = computePrice(parking, start, end);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: {
+          parking: { _id: parking._id, name: parking.name },
+          start: new Date(start),
+          end: new Date(end),
+          price: parking.price,
+          pricing: parking.pricing,
+          total,
+          breakdown,
+        },
+      },
+    });
+  },
+);
+
+/**
+ * Fields of a parking sent as JSON strings in multipart forms, with their description used in the error messages.
+ * @type {Object<string, string>}
+ */
+const JSON_FIELDS = {
+  pricing: 'pricing rules',
+  dimensions: 'dimensions',
+  amenities: 'amenities',
+};
+
+exports.createParking = catchAsync(
+  /**
+   * Function used to create a new parking slot.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { name, description, type, price, coordinates, photos },
+      user: { _id: id },
+    } = req;
+
+    const { pricing, dimensions, amenities } = Object.fromEntries(
+      Object.entries(JSON_FIELDS).map(([field, fieldDescription]) => [
+        field,
+        parseJSONField(req.body[field], fieldDescription),
+      ]),
+    );
+
+    if (!checkLocation(coordinates)) {
+      next(
+        new AppError(
+          'Please provide valid coordinates values for your location.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const location = await getLocation(coordinates);
+
+    const { _id } = await Parking.create({
+      name,
+      description,
+      type,
+      price,
+      pricing,
+      dimensions,
+      amenities,
+      location,
+      photos,
+      creationDate: Date.now(),
+      owner: id,
+    });
+
+    const newParking = await Parking.findById(_id).select('-owner');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Your parking was submitted for validation.',
+      data: { parking: newParking },
+    });
+  },
+);
+
+/**
+ * Fields of a parking that can be modified by its owner (the location is modified by sending new coordinates).
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'price',
+  'pricing',
+  'dimensions',
+  'amenities',
+];
+
+/**
+ * Fields of a parking whose modification requires a new validation of the parking by an admin.
+ * @type {string[]}
+ */
+const REVALIDATION_FIELDS = ['price', 'pricing', 'location'];
+
+exports.updateParking = catchAsync(
+  /**
+   * Function used to modify an existing parking slot. Only the owner of the parking and the admins can modify it, and the modification of its price or location submits it again for validation. The uploaded photos are added after the existing ones.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId, role },
+      params: { id },
+      body,
+    } = req;
+
+    const parking = await queryById(Parking, id);
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    const isAdmin = role === 'admin';
+
+    if (!isAdmin && parking.owner.valueOf() !== userId.valueOf()) {
+      next(new AppError('You can only modify your own parkings.', 403));
+      return;
+    }
+
+    // Only keep the editable fields sent by the user
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [
+        field,
+        body[field],
+      ]),
+    );
+
+    Object.entries(JSON_FIELDS).forEach(([field, fieldDescription]) => {
+      if (fields[field] !== undefined)
+        fields[field] = parseJSONField(fields[field], fieldDescription);
+    });
+
+    if (body.coordinates !== undefined) {
+      if (!checkLocation(body.coordinates)) {
+        next(
+          new AppError(
+            'Please provide valid coordinates values for your location.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      fields.location = await getLocation(body.coordinates);
+    }
+
+    // The shared fields of a spot can only be modified on its parking lot
+    if (
+      parking.lot &&
+      (LOT_SHARED_FIELDS.some(field => field in fields) || body.photos)
+    ) {
+      next(
+        new AppError(
+          'The type, price, pricing, location and photos of a spot are shared with its parking lot. Please modify the parking lot instead.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (Object.keys(fields).length === 0 && !body.photos) {
+      next(
+        new AppError(
+          'Please provide at least one field to modify (name, description, type, price, pricing, dimensions, amenities, coordinates or photos).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (
+      body.photos &&
+      parking.photos.length + body.photos.length > MAX_PARKING_PHOTOS
+    ) {
+      next(
+        new AppError(
+          `A parking can't have more than ${MAX_PARKING_PHOTOS} photos.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const requiresValidation =
+      !isAdmin && REVALIDATION_FIELDS.some(field => field in fields);
+
+    if (requiresValidation) {
+      // A parking waiting for validation can't be reserved: the modification is refused while it has active or upcoming reservations
+      const hasReservations = await Occupation.exists({
+        parking: parking._id,
+        end: undefined,
+      });
+
+      if (hasReservations) {
+        next(
+          new AppError(
+            "You can't modify the price or the location of a parking having active or upcoming reservations.",
+            400,
+          ),
+        );
+        return;
+      }
+
+      fields.isValidated = false;
+    }
+
+    let updatedParking = await Parking.findByIdAndUpdate(
+      id,
+      {
+        ...fields,
+        ...(body.photos && { $push: { photos: { $each: body.photos } } }),
+      },
+      {
+        new: true,
+        runValidators: true,
+      },
+    ).select('+isValidated +moderation');
+
+    // An approved parking goes back to the submitted state, the other ones keep their moderation state
+    if (requiresValidation)
+      updatedParking =
+        (await moderateParking(id, 'submitted', {
+          by: userId,
+          comment: 'The price or the location of the parking was modified.',
+          from: ['approved'],
+        })) ?? updatedParking;
+
+    updatedParking.generateFileAbsolutePath();
+
+    res.status(200).json({
+      status: 'success',
+      message: requiresValidation
+        ? 'Your parking modifications were submitted for validation.'
+        : 'Your parking was successfully modified.',
+      data: { parking: updatedParking },
+    });
+  },
+);
+
+exports.deleteParking = catchAsync(
+  /**
+   * Function used to delete an existing parking slot. Only the owner of the parking and the admins can delete it, and the deletion is refused while the parking is occupied. The parking is only marked as deleted to keep the history of its occupations, and its upcoming bookings are cancelled.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId, role },
+      params: { id },
+    } = req;
+
+    const parking = await queryById(
+      Parking,
+      id,
+      {},
+      { path: 'owner', select: '_id username email' },
+      '+isOccupied +thingy',
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    if (role !== 'admin' && parking.owner._id.valueOf() !== userId.valueOf()) {
+      next(new AppError('You can only delete your own parkings.', 403));
+      return;
+    }
+
+    const now = new Date();
+
+    const activeOccupation = await Occupation.exists({
+      parking: parking._id,
+      end: undefined,
+      status: { $ne: 'booked' },
+    });
+
+    if (activeOccupation) {
+      next(
+        new AppError("You can't delete a parking while it is occupied.", 400),
+      );
+      return;
+    }
+
+    // Conditional update: the deletion is refused if the parking was occupied or is being reserved in the meantime
+    const { modifiedCount } = await Parking.updateOne(
+      {
+        _id: parking._id,
+        isOccupied: { $ne: true },
+        $or: [{ isPending: { $ne: true } }, { pendingExpires: { $lte: now } }],
+      },
+      { isDeleted: true, deletionDate: now },
+      { runValidators: false },
+    );
+
+    if (modifiedCount === 0) {
+      next(
+        new AppError("You can't delete a parking while it is occupied.", 400),
+      );
+      return;
+    }
+
+    // Set the thingy of the deleted parking back as free in the inventory
+    if (parking.thingy)
+      await runTransaction(session => uninstallThingy(parking.thingy, session));
+
+    // Cancel the upcoming bookings of the deleted parking without fees
+    const bookings = await Occupation.find({
+      parking: parking._id,
+      status: 'booked',
+      end: undefined,
+    }).populate({ path: 'client', select: '_id username email' });
+
+    await Promise.all(
+      bookings.map(booking =>
+        cancelOccupation(booking, parking, userId, 'provider').catch(err => {
+          console.error(
+            'Error while trying to cancel a booking of a deleted parking.',
+          );
+          console.error(err);
+        }),
+      ),
+    );
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
+
+/**
+ * Function used to retrieve a parking whose availability rules or photos are managed by the connected user, who has to be its owner or an admin.
+ * @param {string} id the id of the parking
+ * @param {User} user the connected user
+ * @returns {Promise<mongoose.Document<Parking>>} the parking
+ * @throws {AppError} if the parking doesn't exist (404) or belongs to another user (403)
+ */
+const getManagedParking = async (id, { _id: userId, role }) => {
+  const parking = await queryById(Parking, id);
+
+  if (!parking) throw new AppError("The requested parking doesn't exist.", 404);
+
+  if (role !== 'admin' && parking.owner.valueOf() !== userId.valueOf())
+    throw new AppError('You can only modify your own parkings.', 403);
+
+  return parking;
+};
+
+exports.updateSchedule = catchAsync(
+  /**
+   * Function used to modify the weekly opening hours and the maximum stay of a parking. An empty list of opening hours makes the parking available 24/7, and a null maximum stay removes it. The modification is refused if it conflicts with upcoming bookings of the parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+      body: { openingHours, maxStay },
+    } = req;
+
+    const parking = await getManagedParking(id, user);
+
+    if (openingHours === undefined && maxStay === undefined) {
+      next(
+        new AppError(
+          'Please provide the opening hours or the maximum stay of the parking.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const fields = {};
+
+    if (openingHours !== undefined)
+      fields['schedule.openingHours'] = openingHours;
+
+    if (maxStay === null) fields.$unset = { 'schedule.maxStay': 1 };
+    else if (maxStay !== undefined) fields['schedule.maxStay'] = maxStay;
+
+    const updatedParking = await runTransaction(async session => {
+      const updated = await Parking.findByIdAndUpdate(parking._id, fields, {
+        new: true,
+        runValidators: true,
+        session,
+      });
+
+      // The transaction is aborted if an upcoming booking doesn't respect the new schedule
+      const bookings = await Occupation.find({
+        parking: parking._id,
+        status: 'booked',
+        end: undefined,
+      }).session(session);
+
+      if (
+        bookings.some(({ bookingStart, bookingEnd }) =>
+          getScheduleConflict(updated.schedule, bookingStart, bookingEnd),
+        )
+      )
+        throw new AppError(
+          'The new schedule conflicts with upcoming bookings of the parking. Please cancel them first.',
+          400,
+        );
+
+      return updated;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The schedule of your parking was successfully modified.',
+      data: { schedule: updatedParking.schedule },
+    });
+  },
+);
+
+exports.addBlackout = catchAsync(
+  /**
+   * Function used to add a blackout period (holidays, personal use, etc.) during which a parking isn't available. The blackout period can't overlap active or upcoming reservations of the parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+      body: { start, end, reason, comment },
+    } = req;
+
+    const parking = await getManagedParking(id, user);
+
+    if (!isValidDate(start) || !isValidDate(end)) {
+      next(
+        new AppError(
+          'Please provide a valid start and end date for the blackout period.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const blackoutStart = new Date(start);
+    const blackoutEnd = new Date(end);
+
+    if (blackoutEnd <= Date.now()) {
+      next(new AppError("You can't add a blackout period in the past.", 400));
+      return;
+    }
+
+    const overlappingOccupation = await findOverlappingOccupation(
+      Occupation,
+      parking._id,
+      blackoutStart,
+      blackoutEnd,
+    );
+
+    if (overlappingOccupation) {
+      next(
+        new AppError(
+          'The blackout period overlaps active or upcoming reservations of the parking. Please cancel them first.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const updatedParking = await Parking.findByIdAndUpdate(
+      parking._id,
+      {
+        $push: {
+          'schedule.blackouts': {
+            start: blackoutStart,
+            end: blackoutEnd,
+            reason,
+            comment,
+          },
+        },
+      },
+      { new: true, runValidators: true },
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'The blackout period was added to your parking.',
+      data: { schedule: updatedParking.schedule },
+    });
+  },
+);
+
+exports.removeBlackout = catchAsync(
+  /**
+   * Function used to remove a blackout period of a parking, making it available again during this period.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id, blackoutId },
+    } = req;
+
+    const parking = await getManagedParking(id, user);
+
+    if (
+      !parking.schedule?.blackouts?.some(
+        blackout => blackout._id.valueOf() === blackoutId,
+      )
+    ) {
+      next(new AppError("The requested blackout period doesn't exist.", 404));
+      return;
+    }
+
+    await Parking.updateOne(
+      { _id: parking._id },
+      { $pull: { 'schedule.blackouts': { _id: blackoutId } } },
+    );
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
+
+/**
+ * Function used to modify the photo list of a parking managed by the connected user, and delete the files of the removed photos that no other parking uses. The photos of a spot are shared with its parking lot, they can only be modified on the lot.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @param {Function} getPhotos the function computing the new photo list of the parking from its current one
+ * @param {string} message the message sent back to the user once the photos are modified
+ */
+const updateParkingPhotos = async (req, res, next, getPhotos, message) => {
+  const {
+    user,
+    params: { id },
+  } = req;
+
+  const parking = await getManagedParking(id, user);
+
+  if (parking.lot) {
+    next(
+      new AppError(
+        'The photos of a spot are shared with its parking lot. Please modify the photos of the parking lot instead.',
+        400,
+      ),
+    );
+    return;
+  }
+
+  const currentPhotos = [...parking.photos];
+  const photos = getPhotos(currentPhotos);
+
+  // Conditional update: the photos aren't modified if they were modified in the meantime
+  const updatedParking = await Parking.findOneAndUpdate(
+    { _id: parking._id, photos: currentPhotos },
+    { photos },
+    { new: true, runValidators: true },
+  );
+
+  if (!updatedParking) {
+    next(
+      new AppError(
+        'The photos of the parking were modified in the meantime. Please try again.',
+        400,
+      ),
+    );
+    return;
+  }
+
+  try {
+    await deletePhotoFiles(
+      await getUnusedPhotos(
+        currentPhotos.filter(photo => !photos.includes(photo)),
+      ),
+    );
+  } catch (err) {
+    console.error('Error while trying to delete the files of a parking photo.');
+    console.error(err);
+  }
+
+  updatedParking.generateFileAbsolutePath();
+
+  res.status(200).json({
+    status: 'success',
+    message,
+    data: { parking: updatedParking },
+  });
+};
+
+exports.deleteParkingPhoto = catchAsync(
+  /**
+   * Function used to delete a photo of a parking, with its resized variants. If the cover photo is deleted, the next photo becomes the cover.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateParkingPhotos(
+      req,
+      res,
+      next,
+      photos => removePhoto(photos, req.params.photo),
+      'The photo was deleted from your parking.',
+    ),
+);
+
+exports.reorderParkingPhotos = catchAsync(
+  /**
+   * Function used to reorder the photos of a parking, the first photo of the new order becomes the cover photo.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateParkingPhotos(
+      req,
+      res,
+      next,
+      photos => reorderPhotos(photos, req.body.photos),
+      'The photos of your parking were reordered.',
+    ),
+);
+
+exports.setParkingCoverPhoto = catchAsync(
+  /**
+   * Function used to choose the cover photo of a parking, i.e. the photo shown first in the parking listings. The other photos keep their order.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  (req, res, next) =>
+    updateParkingPhotos(
+      req,
+      res,
+      next,
+      photos => setCoverPhoto(photos, req.params.photo),
+      'The cover photo of your parking was changed.',
+    ),
+);
@@ -0,0 +1,331 @@
+/**
+ * Functions related to calling the review resource in the API
+ * @module reviewController
+ */
+const Review = require('../models/reviewModel');
+const Occupation = require('../models/occupationModel');
+const Parking = require('../models/parkingModel');
+const { catchAsync, queryById } = require('../utils/utils');
+const AppError = require('../utils/classes/AppError');
+const APIFeatures = require('../utils/classes/APIFeatures');
+
+/**
+ * Sort keys of the review listings, with the path of the field they sort on.
+ * @type {Object<string, string>}
+ */
+const REVIEW_SORT_FIELDS = {
+  rating: 'rating',
+  creationDate: 'creationDate',
+};
+
+/**
+ * Fields of the reviews that can be selected in the review listings.
+ * @type {string[]}
+ */
+const REVIEW_SELECTABLE_FIELDS = [
+  'occupation',
+  'parking',
+  'client',
+  'provider',
+  'rating',
+  'text',
+  'reply',
+  'status',
+  'moderation',
+  'creationDate',
+];
+
+/**
+ * Decisions that an admin can take on a reported review, with the resulting state of the review.
+ * @type {Object<string, string>}
+ */
+const MODERATION_DECISIONS = {
+  publish: 'published',
+  hide: 'hidden',
+};
+
+exports.createReview = catchAsync(
+  /**
+   * Function used to review a completed occupation of the connected client, with a rating and a text. An occupation can only be reviewed once.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { rating, text },
+    } = req;
+
+    const occupation = await queryById(Occupation, id, { client: userId });
+
+    if (!occupation) {
+      next(new AppError("The requested occupation doesn't exist.", 404));
+      return;
+    }
+
+    if (occupation.status !== 'completed') {
+      next(
+        new AppError('You can only review your completed occupations.', 400),
+      );
+      return;
+    }
+
+    if (await Review.exists({ occupation: occupation._id })) {
+      next(new AppError('You have already reviewed this occupation.', 400));
+      return;
+    }
+
+    // The reviews of the deleted parkings are still counted in the average rating of their provider
+    const parking = await Parking.findById(occupation.parking).setOptions({
+      withDeleted: true,
+    });
+
+    const review = await Review.create({
+      occupation: occupation._id,
+      parking: occupation.parking,
+      client: userId,
+      provider: parking?.owner,
+      rating,
+      text,
+    });
+
+    await Review.computeAverageRatings(review.parking, review.provider);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Thank you for your review.',
+      data: { review },
+    });
+  },
+);
+
+exports.getParkingReviews = catchAsync(
+  /**
+   * Function used to get the visible reviews of a parking, paginated and sorted from the most recent one by default.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const parking = await queryById(Parking, id, { isValidated: true });
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    const { documents: reviews, ...pagination } = await new APIFeatures(
+      Review,
+      { parking: parking._id, status: { $ne: 'hidden' } },
+      req,
+      {
+        sortFields: REVIEW_SORT_FIELDS,
+        defaultSort: '-creationDate',
+        selectableFields: REVIEW_SELECTABLE_FIELDS,
+      },
+    ).execute(query =>
+      query.populate({
+        path: 'client',
+        select: '_id username',
+      }),
+    );
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: {
+        ratingsAverage: parking.ratingsAverage,
+        ratingsQuantity: parking.ratingsQuantity,
+        reviews,
+      },
+    });
+  },
+);
+
+exports.replyToReview = catchAsync(
+  /**
+   * Function used by the owner of a reviewed parking to reply to the review, replacing the previous reply.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { text },
+    } = req;
+
+    const review = await queryById(Review, id, { status: { $ne: 'hidden' } });
+
+    if (!review) {
+      next(new AppError("The requested review doesn't exist.", 404));
+      return;
+    }
+
+    if (review.provider?.valueOf() !== userId.valueOf()) {
+      next(
+        new AppError(
+          'You can only reply to the reviews of your parkings.',
+          403,
+        ),
+      );
+      return;
+    }
+
+    if (typeof text !== 'string' || text.trim() === '') {
+      next(new AppError('Please provide the text of your reply.', 400));
+      return;
+    }
+
+    const updatedReview = await Review.findByIdAndUpdate(
+      review._id,
+      { reply: { text, date: new Date() } },
+      { new: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your reply was successfully published.',
+      data: { review: updatedReview },
+    });
+  },
+);
+
+exports.reportReview = catchAsync(
+  /**
+   * Function used to report an inappropriate review to the admins. Each user can only report a review once.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { reason },
+    } = req;
+
+    const review = await queryById(Review, id, { status: { $ne: 'hidden' } });
+
+    if (!review) {
+      next(new AppError("The requested review doesn't exist.", 404));
+      return;
+    }
+
+    if (review.client.valueOf() === userId.valueOf()) {
+      next(new AppError("You can't report your own reviews.", 400));
+      return;
+    }
+
+    // Conditional update: the review isn't reported twice by the same user
+    const reportedReview = await Review.findOneAndUpdate(
+      { _id: review._id, 'reports.user': { $ne: userId } },
+      {
+        status: 'reported',
+        $push: { reports: { user: userId, reason, date: new Date() } },
+      },
+      { new: true, runValidators: true },
+    );
+
+    if (!reportedReview) {
+      next(new AppError('You have already reported this review.', 400));
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The review was reported to the admins.',
+    });
+  },
+);
+
+exports.getReportedReviews = catchAsync(
+  /**
+   * Function used to get the reported reviews waiting for a moderation decision, with their reports, from the oldest one by default.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const { documents: reviews, ...pagination } = await new APIFeatures(
+      Review,
+      { status: 'reported' },
+      req,
+      {
+        sortFields: REVIEW_SORT_FIELDS,
+        defaultSort: 'creationDate',
+        selectableFields: REVIEW_SELECTABLE_FIELDS,
+      },
+    ).execute(query =>
+      query
+        .select('+reports')
+        .populate({ path: 'client', select: '_id username email' })
+        .populate({ path: 'parking', select: '_id name' }),
+    );
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: { reviews },
+    });
+  },
+);
+
+exports.moderateReview = catchAsync(
+  /**
+   * Function used by an admin to publish again or hide a review. The hidden reviews aren't shown nor counted in the average ratings of the parking and its provider.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { id },
+      body: { decision, comment },
+    } = req;
+
+    if (!MODERATION_DECISIONS[decision]) {
+      next(
+        new AppError(
+          'Please provide a valid moderation decision (publish or hide).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const review = await queryById(Review, id);
+
+    if (!review) {
+      next(new AppError("The requested review doesn't exist.", 404));
+      return;
+    }
+
+    const moderatedReview = await Review.findByIdAndUpdate(
+      review._id,
+      {
+        status: MODERATION_DECISIONS[decision],
+        moderation: { by: userId, comment, date: new Date() },
+      },
+      { new: true, runValidators: true },
+    );
+
+    await Review.computeAverageRatings(review.parking, review.provider);
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        decision === 'hide'
+          ? 'The review was hidden.'
+          : 'The review was published again.',
+      data: { review: moderatedReview },
+    });
+  },
+);
@@ -0,0 +1,242 @@
+/**
+ * Functions related to calling the saved search resource in the API
+ * @module savedSearchController
+ */
+const SavedSearch = require('../models/savedSearchModel');
+const { catchAsync, queryById } = require('../utils/utils');
+const { MAX_SAVED_SEARCHES } = require('../utils/globals');
+const AppError = require('../utils/classes/AppError');
+const APIFeatures = require('../utils/classes/APIFeatures');
+
+/**
+ * Fields of a saved search that can be modified by its owner, the query of the search can't be modified.
+ * @type {string[]}
+ */
+const SAVED_SEARCH_FIELDS = ['name', 'alerts'];
+
+/**
+ * Middleware function used to keep the query parameters of a parking search before they are replaced by the filter of the search, such that they can be saved.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ */
+exports.keepSearchQuery = (req, res, next) => {
+  req.searchQuery = { ...req.query };
+
+  next();
+};
+
+exports.createSavedSearch = catchAsync(
+  /**
+   * Function used to save the parking search of the connected user, after its query parameters were validated by the parking query handler. The searched location is stored with its coordinates, such that it isn't geocoded again, along with the resolved parking filter and the criteria used to select the searches to check when a parking becomes available.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { name, alerts },
+      searchQuery,
+      near,
+    } = req;
+
+    if (alerts !== undefined && typeof alerts !== 'boolean') {
+      next(
+        new AppError(
+          'Please provide true or false for the alerts variable.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (
+      (await SavedSearch.countDocuments({ user: userId })) >= MAX_SAVED_SEARCHES
+    ) {
+      next(
+        new AppError(
+          `You can't save more than ${MAX_SAVED_SEARCHES} searches.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const query = { ...searchQuery };
+
+    // The pagination, sort and field selection aren't part of the search
+    APIFeatures.PARAMETERS.forEach(param => delete query[param]);
+
+    if (query.location && near) {
+      const [lng, lat] = near.coordinates;
+
+      delete query.location;
+      query.lat = `${lat}`;
+      query.lng = `${lng}`;
+    }
+
+    const filter = { ...req.query };
+
+    // The parkings unavailable during the window change over time, they are resolved again each time the search is checked
+    delete filter._id;
+
+    const savedSearch = await SavedSearch.create({
+      user: userId,
+      name,
+      query,
+      filter: JSON.stringify(filter),
+      ...(near && {
+        center: { type: 'Point', coordinates: near.coordinates },
+        radius: near.maxDistance,
+      }),
+      parkingType: query.type,
+      minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+      maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined,
+      alerts,
+    });
+
+    // The resolved filter is only used internally
+    savedSearch.filter = undefined;
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Your search was saved.',
+      data: { savedSearch },
+    });
+  },
+);
+
+exports.getMySavedSearches = catchAsync(
+  /**
+   * Function used to get the saved searches of the connected user, from the last saved one.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const savedSearches = await SavedSearch.find({ user: userId }).sort(
+      '-creationDate',
+    );
+
+    res.status(200).json({
+      status: 'success',
+      results: savedSearches.length,
+      data: { savedSearches },
+    });
+  },
+);
+
+exports.loadSavedSearch = catchAsync(
+  /**
+   * Middleware function used to replace the query parameters of the request by the ones of a saved search of the connected user, such that the search is run again by the parking query handler.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { searchId },
+    } = req;
+
+    const savedSearch = await queryById(SavedSearch, searchId, {
+      user: userId,
+    });
+
+    if (!savedSearch) {
+      next(new AppError("The requested saved search doesn't exist.", 404));
+      return;
+    }
+
+    req.query = { ...savedSearch.query };
+
+    next();
+  },
+);
+
+exports.updateSavedSearch = catchAsync(
+  /**
+   * Function used to rename a saved search of the connected user, or to enable or disable its availability alerts.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { searchId },
+      body,
+    } = req;
+
+    if (body.alerts !== undefined && typeof body.alerts !== 'boolean') {
+      next(
+        new AppError(
+          'Please provide true or false for the alerts variable.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const savedSearch = await queryById(SavedSearch, searchId, {
+      user: userId,
+    });
+
+    if (!savedSearch) {
+      next(new AppError("The requested saved search doesn't exist.", 404));
+      return;
+    }
+
+    const fields = Object.fromEntries(
+      SAVED_SEARCH_FIELDS.filter(field => body[field] !== undefined).map(
+        field => [field, body[field]],
+      ),
+    );
+
+    const updatedSearch = await SavedSearch.findByIdAndUpdate(
+      savedSearch._id,
+      fields,
+      { new: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your saved search was successfully updated.',
+      data: { savedSearch: updatedSearch },
+    });
+  },
+);
+
+exports.deleteSavedSearch = catchAsync(
+  /**
+   * Function used to delete a saved search of the connected user, its availability alerts are stopped.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { searchId },
+    } = req;
+
+    const savedSearch = await queryById(SavedSearch, searchId, {
+      user: userId,
+    });
+
+    if (!savedSearch) {
+      next(new AppError("The requested saved search doesn't exist.", 404));
+      return;
+    }
+
+    await SavedSearch.deleteOne({ _id: savedSearch._id });
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
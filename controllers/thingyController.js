@@ -16,6 +16,32 @@ const AppError = require('../utils/classes/AppError');
 const thingDescription = require('../utils/thingDescription');
 const mqttClient = require('../mqtt/mqttHandler');
 const { INFLUX } = require('../utils/globals');
+const mongoose = require('mongoose');
+const Thingy = require('../models/thingyModel');
+const Parking = require('../models/parkingModel');
+const { runTransaction } = require('../utils/utils');
+const {
+  isParkingInUse,
+  installThingy,
+  uninstallThingy,
+  resolveThingyName,
+  substituteThingy,
+  restoreThingy,
+} = require('../utils/thingies');
+
+exports.resolveDevice = catchAsync(
+  /**
+   * Function used to replace the thingy of the request parameters by the device substituting it, if there is one, such that the telemetry is read from and sent to the device actually installed.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} _ The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, _, next) => {
+    req.params.thingyId = await resolveThingyName(req.params.thingyId);
+
+    next();
+  },
+);
 
 exports.getButtonTimer = catchAsync(
   /**
@@ -355,3 +381,275 @@ exports.getRating = catchAsync(
     });
   },
 );
+
+exports.getAllThingies = catchAsync(
+  /**
+   * Function used to get the inventory of the thingies, with the parkings at which they are installed. The inventory can be filtered by assignment status.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      query: { status },
+    } = req;
+
+    if (status && !['unassigned', 'assigned'].includes(status)) {
+      next(
+        new AppError(
+          'The status of the thingies can only be unassigned or assigned.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const thingies = await Thingy.find(status ? { status } : {})
+      .populate([
+        { path: 'parking', select: '_id name' },
+        { path: 'substitutedBy', select: '_id name' },
+      ])
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: thingies.length,
+      data: { thingies },
+    });
+  },
+);
+
+exports.createThingy = catchAsync(
+  /**
+   * Function used to register a new thingy in the inventory. The thingy is free until it is installed at a parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { name },
+    } = req;
+
+    if (!name || typeof name !== 'string') {
+      next(new AppError('Please provide the name of the thingy.', 400));
+      return;
+    }
+
+    if (await Thingy.exists({ name })) {
+      next(new AppError('A thingy with this name already exists.', 400));
+      return;
+    }
+
+    const thingy = await Thingy.create({ name });
+
+    res.status(201).json({
+      status: 'success',
+      data: { thingy },
+    });
+  },
+);
+
+exports.assignThingy = catchAsync(
+  /**
+   * Function used to install a thingy at a parking. A thingy installed at another parking is moved, and the thingy previously installed at the target parking is set back as free. The assignment is refused while one of the parkings is in use.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { thingyId },
+      body: { parking: parkingId },
+    } = req;
+
+    if (!parkingId || !mongoose.isValidObjectId(parkingId)) {
+      next(new AppError('Please provide a valid parking id.', 400));
+      return;
+    }
+
+    const [thingy, parking] = await Promise.all([
+      Thingy.findOne({ name: thingyId }),
+      Parking.findById(parkingId).select('+thingy'),
+    ]);
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    // The thingies assigned before the inventory only have a reference from their parking
+    const currentParking = await Parking.findOne({ thingy: thingy._id });
+
+    if (currentParking?._id.equals(parking._id)) {
+      next(
+        new AppError(
+          'The requested thingy is already installed at this parking.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parkingsInUse = await Promise.all(
+      [parking._id, currentParking?._id]
+        .filter(Boolean)
+        .map(id => isParkingInUse(id)),
+    );
+
+    if (parkingsInUse.includes(true)) {
+      next(
+        new AppError(
+          "A thingy can't be moved while its parkings are in use.",
+          400,
+        ),
+      );
+      return;
+    }
+
+    const installedThingy = await runTransaction(async session => {
+      if (currentParking || thingy.status === 'assigned')
+        await uninstallThingy(thingy._id, session);
+
+      return installThingy(thingy._id, parking._id, session);
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The thingy was successfully installed at the parking.',
+      data: { thingy: installedThingy },
+    });
+  },
+);
+
+exports.unassignThingy = catchAsync(
+  /**
+   * Function used to uninstall a thingy from its parking and set it back as free in the inventory. The parking can't be reserved until a new thingy is installed at it, and the operation is refused while the parking is in use.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { thingyId },
+    } = req;
+
+    const thingy = await Thingy.findOne({ name: thingyId });
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    const currentParking = await Parking.findOne({ thingy: thingy._id });
+
+    if (!currentParking && thingy.status !== 'assigned') {
+      next(
+        new AppError(
+          'The requested thingy is not installed at a parking.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (currentParking && (await isParkingInUse(currentParking._id))) {
+      next(
+        new AppError(
+          "A thingy can't be uninstalled while its parking is in use.",
+          400,
+        ),
+      );
+      return;
+    }
+
+    await runTransaction(session => uninstallThingy(thingy._id, session));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The thingy was successfully uninstalled.',
+      data: { thingy: await Thingy.findById(thingy._id) },
+    });
+  },
+);
+
+exports.setSubstitute = catchAsync(
+  /**
+   * Function used to mark a thingy as substituted by another device (e.g. when it is broken). The reservations and the telemetry of the thingy then use the substitute, and the substitution is recorded in its audit trail.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { thingyId },
+      body: { substitute: substituteName, reason },
+    } = req;
+
+    if (!substituteName || typeof substituteName !== 'string') {
+      next(new AppError('Please provide the name of the substitute.', 400));
+      return;
+    }
+
+    const [thingy, substitute] = await Promise.all([
+      Thingy.findOne({ name: thingyId }),
+      Thingy.findOne({ name: substituteName }),
+    ]);
+
+    if (!thingy || !substitute) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    const substitutedThingy = await substituteThingy(thingy, substitute, {
+      by: userId,
+      reason,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `The thingy ${thingy.name} is now substituted by ${substitute.name}.`,
+      data: { thingy: substitutedThingy },
+    });
+  },
+);
+
+exports.removeSubstitute = catchAsync(
+  /**
+   * Function used to remove the substitution of a thingy, such that its reservations and its telemetry use it again. The restoration is recorded in its audit trail.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { thingyId },
+      body: { reason } = {},
+    } = req;
+
+    const thingy = await Thingy.findOne({ name: thingyId });
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    const restoredThingy = await restoreThingy(thingy, {
+      by: userId,
+      reason,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `The thingy ${thingy.name} is no longer substituted.`,
+      data: { thingy: restoredThingy },
+    });
+  },
+);
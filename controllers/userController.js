@@ -4,24 +4,48 @@
  */
 const User = require('../models/userModel');
 const AppError = require('../utils/classes/AppError');
+const APIFeatures = require('../utils/classes/APIFeatures');
 const { USERS_FOLDER } = require('../utils/globals');
 const { catchAsync, uploadImage, queryById } = require('../utils/utils');
 const sharp = require('sharp');
 
+/**
+ * Sort keys of the user listings, with the path of the field they sort on.
+ * @type {Object<string, string>}
+ */
+const USER_SORT_FIELDS = { username: 'username', email: 'email' };
+
+/**
+ * Fields of the users that can be selected in the user listings.
+ * @type {string[]}
+ */
+const USER_SELECTABLE_FIELDS = ['username', 'email', 'phone', 'photo'];
+
 exports.getAllUsers = catchAsync(
   /**
-   * Function used to get all existing user resources in the database.
+   * Function used to get all existing user resources in the database, paginated, sorted and with the selected fields requested in the query parameters.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
   async (req, res, next) => {
-    const users = await User.find({});
+    const { documents: users, ...pagination } = await new APIFeatures(
+      User,
+      {},
+      req,
+      {
+        sortFields: USER_SORT_FIELDS,
+        defaultSort: 'username',
+        selectableFields: USER_SELECTABLE_FIELDS,
+      },
+    ).execute();
+
     users.forEach(user => {
       user.generateFileAbsolutePath();
     });
     res.status(200).json({
       status: 'success',
+      ...pagination,
       data: { users },
     });
   },
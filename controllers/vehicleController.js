@@ -0,0 +1,181 @@
+/**
+ * Functions related to calling the vehicle resource in the API
+ * @module vehicleController
+ */
+const User = require('../models/userModel');
+const { catchAsync } = require('../utils/utils');
+const { findUserVehicle } = require('../utils/vehicles');
+const AppError = require('../utils/classes/AppError');
+
+/**
+ * Fields of a vehicle that can be set by its owner.
+ * @type {string[]}
+ */
+const VEHICLE_FIELDS = [
+  'plate',
+  'make',
+  'model',
+  'length',
+  'width',
+  'height',
+  'isElectric',
+];
+
+/**
+ * Function used to normalize a license plate the same way it is stored, such that the plates can be compared.
+ * @param {*} plate the license plate sent by the user
+ * @returns {*} the normalized license plate
+ */
+const normalizePlate = plate =>
+  typeof plate === 'string' ? plate.trim().toUpperCase() : plate;
+
+exports.getMyVehicles = catchAsync(
+  /**
+   * Function used to get all the vehicles registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const { vehicles } = await User.findById(userId).select('+vehicles');
+
+    res.status(200).json({
+      status: 'success',
+      results: vehicles.length,
+      data: { vehicles },
+    });
+  },
+);
+
+exports.addVehicle = catchAsync(
+  /**
+   * Function used to register a new vehicle for the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body,
+    } = req;
+
+    const vehicle = Object.fromEntries(
+      VEHICLE_FIELDS.filter(field => body[field] !== undefined).map(field => [
+        field,
+        body[field],
+      ]),
+    );
+
+    // Conditional update: the vehicle isn't added if the user has already registered its plate
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'vehicles.plate': { $ne: normalizePlate(vehicle.plate) } },
+      { $push: { vehicles: vehicle } },
+      { new: true, runValidators: true },
+    ).select('+vehicles');
+
+    if (!user) {
+      next(
+        new AppError(
+          'You have already registered a vehicle with this plate.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Your vehicle was successfully registered.',
+      data: { vehicle: user.vehicles[user.vehicles.length - 1] },
+    });
+  },
+);
+
+exports.updateVehicle = catchAsync(
+  /**
+   * Function used to update a vehicle registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      params: { vehicleId },
+      body,
+    } = req;
+
+    const vehicle = await findUserVehicle(userId, vehicleId);
+
+    const fields = Object.fromEntries(
+      VEHICLE_FIELDS.filter(field => body[field] !== undefined).map(field => [
+        `vehicles.$.${field}`,
+        body[field],
+      ]),
+    );
+
+    const filter = { _id: userId, 'vehicles._id': vehicle._id };
+
+    // The plate can't be the same as the one of another vehicle of the user
+    if (body.plate !== undefined)
+      filter.vehicles = {
+        $not: {
+          $elemMatch: {
+            _id: { $ne: vehicle._id },
+            plate: normalizePlate(body.plate),
+          },
+        },
+      };
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $set: fields },
+      { new: true, runValidators: true },
+    ).select('+vehicles');
+
+    if (!user) {
+      next(
+        new AppError(
+          'You have already registered a vehicle with this plate.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your vehicle was successfully updated.',
+      data: { vehicle: user.vehicles.id(vehicle._id) },
+    });
+  },
+);
+
+exports.deleteVehicle = catchAsync(
+  /**
+   * Function used to delete a vehicle registered by the connected user. The reservations made with this vehicle keep a copy of it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+      params: { vehicleId },
+    } = req;
+
+    const vehicle = await findUserVehicle(userId, vehicleId);
+
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { vehicles: { _id: vehicle._id } } },
+    );
+
+    res.status(204).json({
+      status: 'success',
+    });
+  },
+);
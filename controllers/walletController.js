@@ -0,0 +1,85 @@
+/**
+ * Functions related to calling the wallet resource in the API
+ * @module walletController
+ */
+const LedgerEntry = require('../models/ledgerEntryModel');
+const { catchAsync } = require('../utils/utils');
+const { getWallet, topUpWallet } = require('../utils/wallet');
+const AppError = require('../utils/classes/AppError');
+const { MAX_TOP_UP_AMOUNT } = require('../utils/globals');
+
+exports.getMyWallet = catchAsync(
+  /**
+   * Function used to get the wallet of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const wallet = await getWallet(userId);
+
+    res.status(200).json({ status: 'success', data: { wallet } });
+  },
+);
+
+exports.topUpMyWallet = catchAsync(
+  /**
+   * Function used to add money on the wallet of the connected user, charged on his payment source through the payment provider.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { amount, source },
+    } = req;
+
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+
+    if (isNaN(value) || value <= 0 || value > MAX_TOP_UP_AMOUNT) {
+      next(
+        new AppError(
+          `Please provide a valid amount between 0 and ${MAX_TOP_UP_AMOUNT}.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (!source) {
+      next(new AppError('Please provide a payment source.', 400));
+      return;
+    }
+
+    const wallet = await topUpWallet(userId, value, source);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your wallet was successfully topped up.',
+      data: { wallet },
+    });
+  },
+);
+
+exports.getMyLedger = catchAsync(
+  /**
+   * Function used to get all the money movements recorded on the wallet of the connected user, from the most recent one.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const entries = await LedgerEntry.find({ user: userId })
+      .sort({ date: -1 })
+      .populate({ path: 'occupation', select: '_id parking start end' });
+
+    res.status(200).json({ status: 'success', data: { entries } });
+  },
+);
@@ -0,0 +1,69 @@
+/**
+ * Definition of the Confirmation Model used in the application and generating the Confirmation Collection in the MongoDB Database.
+ * @module confirmationModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Confirmation model, i.e. the ticket of a reservation start or end waiting to be confirmed on the thingy of the parking.
+ * @typedef Confirmation
+ * @property {string} type The type of the confirmed operation (start-reservation / end-reservation).
+ * @property {string} status The state of the confirmation (pending / confirmed / failed).
+ * @property {string} message The instruction or failure message associated with the confirmation.
+ * @property {mongoose.Schema.ObjectId} user The id reference to the user that has to confirm the operation.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the parking on which the operation has to be confirmed.
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation created or ended by the operation, once it is confirmed.
+ * @property {Date} creationDate The creation date of the confirmation, the confirmation is deleted one day after its creation.
+ * @property {Date} expires The expiration time of the confirmation delay.
+ */
+
+/**
+ * The Confirmation schema object generated from mongoose.
+ * @type {mongoose.Schema<Confirmation>}
+ */
+const confirmationSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['start-reservation', 'end-reservation'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'failed'],
+    default: 'pending',
+  },
+  message: {
+    type: String,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+    required: true,
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60, // 1 day
+  },
+  expires: {
+    type: Date,
+  },
+});
+
+/**
+ * The Confirmation model object generated from mongoose.
+ * @type {mongoose.Model<Confirmation>}
+ */
+const Confirmation = mongoose.model('Confirmation', confirmationSchema);
+
+module.exports = Confirmation;
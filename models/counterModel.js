@@ -0,0 +1,52 @@
+/**
+ * Definition of the Counter Model used in the application and generating the Counter Collection in the MongoDB Database.
+ * @module counterModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Counter model, i.e. a named sequence generating consecutive numbers (used for the invoice numbers).
+ * @typedef Counter
+ * @property {string} _id The name of the sequence.
+ * @property {number} seq The last number generated by the sequence.
+ */
+
+/**
+ * The Counter schema object generated from mongoose.
+ * @type {mongoose.Schema<Counter>}
+ */
+const counterSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Function used to atomically increment a sequence and get its next number, creating the sequence if it doesn't exist yet.
+ * @param {string} name the name of the sequence
+ * @param {mongoose.ClientSession} session the session of the transaction in which the number is generated, if there is one
+ * @returns {Promise<number>} the next number of the sequence
+ */
+counterSchema.statics.getNextSequence = async function (name, session) {
+  const { seq } = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session },
+  );
+
+  return seq;
+};
+
+/**
+ * The Counter model object generated from mongoose.
+ * @type {mongoose.Model<Counter>}
+ */
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
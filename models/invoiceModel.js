@@ -0,0 +1,99 @@
+/**
+ * Definition of the Invoice Model used in the application and generating the Invoice Collection in the MongoDB Database.
+ * @module invoiceModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Invoice model, i.e. the numbered invoice of a completed occupation. All informations are copied at the issue date, such that the invoice never changes afterwards.
+ * @typedef Invoice
+ * @property {string} number The sequential number of the invoice (e.g. PNS-2023-000042).
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the invoiced occupation.
+ * @property {Object} client The invoiced client (id, username and email).
+ * @property {Object} parking The occupied parking (id, name and address).
+ * @property {Date} start The starting time of the occupation.
+ * @property {Date} end The end time of the occupation.
+ * @property {Object} breakdown The tariff breakdown of the bill of the occupation.
+ * @property {number} total The total amount of the invoice, VAT included.
+ * @property {number} vatRate The VAT rate applied on the invoice.
+ * @property {number} netAmount The amount of the invoice without VAT.
+ * @property {number} vatAmount The VAT amount of the invoice.
+ * @property {string} currency The currency of the invoice.
+ * @property {Date} issueDate The issue date of the invoice.
+ */
+
+/**
+ * The Invoice schema object generated from mongoose.
+ * @type {mongoose.Schema<Invoice>}
+ */
+const invoiceSchema = new Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+    required: true,
+    unique: true,
+  },
+  client: {
+    _id: {
+      type: Schema.ObjectId,
+      ref: 'User',
+    },
+    username: String,
+    email: String,
+  },
+  parking: {
+    _id: {
+      type: Schema.ObjectId,
+      ref: 'Parking',
+    },
+    name: String,
+    address: String,
+  },
+  start: {
+    type: Date,
+  },
+  end: {
+    type: Date,
+  },
+  breakdown: {
+    type: Schema.Types.Mixed,
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+  vatRate: {
+    type: Number,
+    required: true,
+  },
+  netAmount: {
+    type: Number,
+    required: true,
+  },
+  vatAmount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'CHF',
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * The Invoice model object generated from mongoose.
+ * @type {mongoose.Model<Invoice>}
+ */
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
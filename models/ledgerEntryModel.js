@@ -0,0 +1,135 @@
+/**
+ * Definition of the LedgerEntry Model used in the application and generating the LedgerEntry Collection in the MongoDB Database.
+ * @module ledgerEntryModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the LedgerEntry model, i.e. an immutable record of a money movement on the wallet of an user.
+ * @typedef LedgerEntry
+ * @property {mongoose.Schema.ObjectId} wallet The id reference to the wallet on which the movement happened.
+ * @property {mongoose.Schema.ObjectId} user The id reference to the owner of the wallet.
+ * @property {string} type The type of the movement (top-up / hold / release / capture / refund).
+ * @property {number} amount The (positive) amount of money of the movement.
+ * @property {number} balance The balance of the wallet after the movement.
+ * @property {number} held The held amount of the wallet after the movement.
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation related to the movement, if there is one.
+ * @property {string} provider The name of the payment provider that processed the movement, for top-ups.
+ * @property {string} reference The reference of the transaction on the payment provider, for top-ups.
+ * @property {string} description The description of the movement.
+ * @property {Date} date The date of the movement.
+ */
+
+/**
+ * The LedgerEntry schema object generated from mongoose.
+ * @type {mongoose.Schema<LedgerEntry>}
+ */
+const ledgerEntrySchema = new Schema({
+  wallet: {
+    type: Schema.ObjectId,
+    ref: 'Wallet',
+    required: true,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['top-up', 'hold', 'release', 'capture', 'refund'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  balance: {
+    type: Number,
+    required: true,
+  },
+  held: {
+    type: Number,
+    required: true,
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+  },
+  provider: {
+    type: String,
+  },
+  reference: {
+    type: String,
+  },
+  description: {
+    type: String,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ledgerEntrySchema.index({ user: 1, date: -1 });
+
+// Ledger entries are immutable: they can only be created, never modified nor deleted
+ledgerEntrySchema.pre(
+  'save',
+  /**
+   * Function used to forbid the modification of an existing ledger entry.
+   * @param {import('mongoose').PreSaveMiddlewareFunction<LedgerEntry>} next The next middleware function that will be called in the pre saving process.
+   */
+  function (next) {
+    if (!this.isNew) {
+      next(new Error('Ledger entries are immutable.'));
+      return;
+    }
+
+    next();
+  },
+);
+
+ledgerEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ],
+  { document: false, query: true },
+  /**
+   * Function used to forbid any update or deletion query on the ledger entries.
+   * @param {Function} next The next middleware function that will be called in the query process.
+   */
+  function (next) {
+    next(new Error('Ledger entries are immutable.'));
+  },
+);
+
+ledgerEntrySchema.pre(
+  'deleteOne',
+  { document: true, query: false },
+  /**
+   * Function used to forbid the deletion of a ledger entry document.
+   * @param {Function} next The next middleware function that will be called in the deletion process.
+   */
+  function (next) {
+    next(new Error('Ledger entries are immutable.'));
+  },
+);
+
+/**
+ * The LedgerEntry model object generated from mongoose.
+ * @type {mongoose.Model<LedgerEntry>}
+ */
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,99 @@
+/**
+ * Definition of the Lot Model used in the application and generating the Lot Collection in the MongoDB Database.
+ * @module lotModel
+ */
+const { mongoose, Schema } = require('mongoose');
+const Parking = require('./parkingModel');
+const { BACKEND_URL, USERS_FOLDER } = require('../utils/globals');
+const { getPhotoSources } = require('../utils/photos');
+
+/**
+ * The representation of the Lot model, grouping parking slots (the spots of the lot) sharing the same address, photos and pricing. Each spot is a parking having its own thingy and occupancy.
+ * @typedef Lot
+ * @property {string} name The name of the parking lot.
+ * @property {string} description The description of the parking lot.
+ * @property {string} type The type of the spots of the parking lot (indoor / outdoor).
+ * @property {number} price The base hourly price of the spots of the parking lot.
+ * @property {Object} pricing The pricing rules of the spots of the parking lot.
+ * @property {Object} location The location (address and coordinates) of the parking lot.
+ * @property {string[]} photos The filenames of the photos of the parking lot, the first one is its cover photo.
+ * @property {mongoose.Schema.ObjectId} owner The id reference to the owner of the parking lot.
+ * @property {Date} creationDate The creation date of the parking lot.
+ */
+
+// The fields shared with the spots have the same definition as on the parkings
+const { type, price, pricing, location, photos } = Parking.schema.obj;
+
+/**
+ * The lot schema object generated from mongoose.
+ * @type {mongoose.Schema<Lot>}
+ */
+const lotSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name to your parking lot.'],
+    trim: true,
+    maxLength: [30, "A parking lot name can't be longer than 30 characters."],
+    minlength: [4, "A parking lot name can't be shorter than 4 characters."],
+  },
+  description: {
+    type: String,
+    trim: true,
+    required: [true, 'Please provide a description to your parking lot.'],
+  },
+  type,
+  price,
+  pricing,
+  location,
+  photos,
+  owner: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The generated photo sources are sent with the parking lot, as for the parkings
+lotSchema.set('id', false);
+lotSchema.set('toJSON', {
+  virtuals: true,
+  transform: Parking.schema.get('toJSON').transform,
+});
+lotSchema.set('toObject', { virtuals: true });
+
+lotSchema.virtual('photoSources').get(
+  /**
+   * Function used to get the sources of the photos of the parking lot, once they were generated with the absolute path location of its photos.
+   * @returns {Object[]|undefined} the URLs of each photo and of its variants, with their srcset
+   */
+  function () {
+    return this.$locals.photoSources;
+  },
+);
+
+/**
+ * Function used to generate the absolute path location of the photos of a parking lot before sending it back to the client that requested it, with the sources of their resized variants.
+ * @returns {Object[]} the sources of the photos, with the URL of the original photo and of each variant and their srcset
+ */
+lotSchema.methods.generateFileAbsolutePath = function () {
+  const photoSources = (this.photos ?? []).map(getPhotoSources);
+
+  if (this.photos) this.photos = photoSources.map(({ original }) => original);
+  this.$locals.photoSources = photoSources;
+
+  if (this.owner?.photo)
+    this.owner.photo = `${BACKEND_URL}/${USERS_FOLDER}/${this.owner.photo}`;
+
+  return photoSources;
+};
+
+/**
+ * The Lot model object generated from mongoose.
+ * @type {mongoose.Model<Lot>}
+ */
+const Lot = mongoose.model('Lot', lotSchema);
+
+module.exports = Lot;
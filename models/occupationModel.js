@@ -12,6 +12,18 @@ const { mongoose, Schema } = require('mongoose');
  * @property {Date} end The end time of the occupation.
  * @property {mongoose.Schema.ObjectId} client The id reference to the user that occupied the parking during this time.
  * @property {mongoose.Schema.ObjectId} parking The id reference to the parking that is occupied during this time.
+ * @property {number} bill The bill of the occupation, computed when it ends.
+ * @property {Object} billDetails The breakdown of the bill computation, generated from the pricing rules of the parking.
+ * @property {string} status The state of the occupation in the booking lifecycle (booked / active / completed / cancelled / expired).
+ * @property {Date} bookingStart The starting time of the booked time slot, if the occupation was booked in advance.
+ * @property {Date} bookingEnd The end time of the booked time slot, if the occupation was booked in advance.
+ * @property {Object} stayLimit The time at which the occupation has to end at the latest (end of the booking, closing time or maximum stay of the parking), if there is one, with the dates at which the client was warned and the overstay was reported.
+ * @property {Object} overstay The overstay of the client past the stay limit of the occupation (limit, number of minutes and surcharge), if there was one.
+ * @property {Object} vehicle The vehicle of the client that occupies the parking (copy of the vehicle profile selected when the reservation started), if he selected one.
+ * @property {string} sessionID The id of the socket session of the client that started the occupation, used to notify him while it is active.
+ * @property {Date} creationDate The creation date of the occupation.
+ * @property {Object} cancellation The cancellation details (date, user that cancelled, reason and fee) of a cancelled or expired occupation.
+ * @property {Object} payment The payment details of the occupation on the wallet of the client (held, captured and refunded amounts).
  */
 
 /**
@@ -36,6 +48,87 @@ const occupationSchema = new mongoose.Schema({
   bill: {
     type: Number,
   },
+  billDetails: {
+    type: Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'active', 'completed', 'cancelled', 'expired'],
+    default: 'active',
+  },
+  bookingStart: {
+    type: Date,
+  },
+  bookingEnd: {
+    type: Date,
+    validate: {
+      validator: function (val) {
+        return !this.bookingStart || val > this.bookingStart;
+      },
+      message: 'The end of a booking must be after its start.',
+    },
+  },
+  stayLimit: {
+    end: Date,
+    reason: {
+      type: String,
+      enum: ['booking-end', 'closing-time', 'max-stay'],
+    },
+    warnedAt: Date,
+    exceededAt: Date,
+  },
+  overstay: {
+    since: Date,
+    minutes: Number,
+    surcharge: Number,
+  },
+  vehicle: {
+    _id: Schema.ObjectId,
+    plate: String,
+    make: String,
+    model: String,
+    length: Number,
+    width: Number,
+    height: Number,
+    isElectric: Boolean,
+  },
+  sessionID: {
+    type: String,
+    select: false,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+  cancellation: {
+    date: Date,
+    by: {
+      type: Schema.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+      enum: ['client', 'provider', 'no-show'],
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+  },
+  payment: {
+    held: {
+      type: Number,
+      default: 0,
+    },
+    captured: {
+      type: Number,
+      default: 0,
+    },
+    refunded: {
+      type: Number,
+      default: 0,
+    },
+  },
 });
 
 /**
@@ -4,11 +4,8 @@
  */
 
 const { mongoose, Schema } = require('mongoose');
-const {
-  PARKINGS_FOLDER,
-  BACKEND_URL,
-  USERS_FOLDER,
-} = require('../utils/globals');
+const { BACKEND_URL, USERS_FOLDER } = require('../utils/globals');
+const { getPhotoSources } = require('../utils/photos');
 
 /**
  * The representation of the Parking model
@@ -17,16 +14,168 @@ const {
  * @property {string} description The description of the parking slot.
  * @property {string} type The type of the parking slot (indoor / outdoor).
  * @property {boolean} isOccupied The occupation state of the parking slot.
- * @property {boolean} isPending The reservation state of the parking slot.
+ * @property {boolean} isPending The reservation state of the parking slot, true while an user is confirming a reservation on the thingy.
+ * @property {mongoose.Schema.ObjectId} pendingUser The id reference to the user that is confirming a reservation of the parking slot.
+ * @property {Date} pendingExpires The expiration time of the pending state of the parking slot.
+ * @property {number} bookingVersion The counter incremented by each booking of the parking slot, such that concurrent bookings conflict on the parking document.
  * @property {boolean} isValidated The validation state of the parking slot before making it accessible to the existing list.
- * @property {number} price The hourly price of the parking slot.
+ * @property {Object} moderation The moderation state of the parking slot (submitted / changes_requested / rejected / approved), with the last admin comment and the history of the moderation decisions.
+ * @property {number} price The base hourly price of the parking slot.
+ * @property {Object} pricing The pricing rules of the parking slot (time-of-day rates, weekend price, daily cap, minimum charge, free minutes and block rounding).
+ * @property {Object} dimensions The maximal dimensions (length, width and height in meters) of the vehicles fitting in the parking slot, unlimited if they aren't specified.
+ * @property {Object} amenities The equipment and accessibility attributes of the parking slot (EV charger, covered, lit, disabled-accessible, security camera, suitability for bikes and motorbikes).
+ * @property {Object} schedule The availability rules of the parking slot (weekly opening hours, blackout periods and maximum stay), available 24/7 without any rule.
  * @property {Date} creationDate The creation date of the parking slot.
- * @property {Object} location The location (address and coordinates) of the parking slot.
+ * @property {Object} location The location (address and coordinates) of the parking slot, the coordinates are stored in the GeoJSON order (longitude, latitude) and sent in the latitude/longitude order.
  * @property {mongoose.Schema.ObjectId} owner The id reference to the owner of the parking slot.
- * @property {string[]} photos The photos of the parking slot.
+ * @property {string[]} photos The filenames of the photos of the parking slot, the first one is its cover photo. Each photo is stored with resized variants (thumbnail and medium).
  * @property {mongoose.Schema.ObjectId} thingy The id of the thingy associated with the parking slot.
+ * @property {mongoose.Schema.ObjectId} lot The id reference to the parking lot grouping the parking slot with other spots, whose address, photos and pricing it shares.
+ * @property {number} ratingsAverage The average rating (1 to 5) given to the parking slot in the reviews of the clients, used to sort the parking listings.
+ * @property {number} ratingsQuantity The number of reviews of the parking slot counted in its average rating.
+ * @property {boolean} isDeleted The deletion state of the parking slot, deleted parkings are kept in the database to preserve the history of their occupations.
+ * @property {Date} deletionDate The deletion date of the parking slot.
  */
 
+/**
+ * Regular expression matching a time of the day in HH:mm format (24:00 included).
+ * @type {RegExp}
+ */
+const TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * The time-of-day rate schema object, representing an hourly price applied on specific days between two times of the day.
+ * @type {mongoose.Schema}
+ */
+const rateSchema = new Schema(
+  {
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0, 1, 2, 3, 4, 5, 6],
+    },
+    from: {
+      type: String,
+      required: [true, 'Please provide the starting time of the rate.'],
+      match: [TIME_REGEX, 'Please provide a time in HH:mm format.'],
+    },
+    to: {
+      type: String,
+      required: [true, 'Please provide the end time of the rate.'],
+      match: [TIME_REGEX, 'Please provide a time in HH:mm format.'],
+      validate: {
+        validator: function (val) {
+          return !this.from || val > this.from;
+        },
+        message: 'The end time of a rate must be after its starting time.',
+      },
+    },
+    price: {
+      type: Number,
+      required: [true, 'Please provide the hourly price of the rate.'],
+      min: [0, "A price can't be negative."],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The opening hours schema object, representing a period of the day during which the parking slot is open on specific days.
+ * @type {mongoose.Schema}
+ */
+const openingHoursSchema = new Schema(
+  {
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0, 1, 2, 3, 4, 5, 6],
+    },
+    from: {
+      type: String,
+      required: [true, 'Please provide the opening time.'],
+      match: [TIME_REGEX, 'Please provide a time in HH:mm format.'],
+    },
+    to: {
+      type: String,
+      required: [true, 'Please provide the closing time.'],
+      match: [TIME_REGEX, 'Please provide a time in HH:mm format.'],
+      validate: {
+        validator: function (val) {
+          return !this.from || val > this.from;
+        },
+        message: 'The closing time must be after the opening time.',
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The blackout schema object, representing a period during which the parking slot isn't available (holidays, personal use, etc.).
+ * @type {mongoose.Schema}
+ */
+const blackoutSchema = new Schema({
+  start: {
+    type: Date,
+    required: [true, 'Please provide the start of the blackout period.'],
+  },
+  end: {
+    type: Date,
+    required: [true, 'Please provide the end of the blackout period.'],
+    validate: {
+      validator: function (val) {
+        return !this.start || val > this.start;
+      },
+      message: 'The end of a blackout period must be after its start.',
+    },
+  },
+  reason: {
+    type: String,
+    enum: ['holiday', 'personal', 'other'],
+    default: 'personal',
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxLength: [200, "A comment can't be longer than 200 characters."],
+  },
+});
+
+/**
+ * The moderation schema object, representing the state of the validation process of a parking slot and its history.
+ * @type {mongoose.Schema}
+ */
+const moderationSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ['submitted', 'changes_requested', 'rejected', 'approved'],
+      default: 'submitted',
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+    history: [
+      {
+        _id: false,
+        status: {
+          type: String,
+          enum: ['submitted', 'changes_requested', 'rejected', 'approved'],
+        },
+        comment: String,
+        by: {
+          type: Schema.ObjectId,
+          ref: 'User',
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { _id: false },
+);
+
 /**
  * The parking schema object generated from mongoose.
  * @type {mongoose.Schema<Parking>}
@@ -58,15 +207,115 @@ const parkingSchema = new Schema({
     default: false,
     select: false,
   },
+  pendingUser: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    select: false,
+  },
+  pendingExpires: {
+    type: Date,
+    select: false,
+  },
+  bookingVersion: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
   isValidated: {
     type: Boolean,
     default: false,
     select: false,
   },
+  moderation: {
+    type: moderationSchema,
+    default: () => ({}),
+    select: false,
+  },
   price: {
     type: Number,
     required: [true, 'Please provide an hourly price for your parking slot.'],
   },
+  pricing: {
+    rates: [rateSchema],
+    weekendPrice: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    dailyCap: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    minimumCharge: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    freeMinutes: {
+      type: Number,
+      min: [0, "A number of minutes can't be negative."],
+    },
+    blockMinutes: {
+      type: Number,
+      min: [1, 'A block must last at least 1 minute.'],
+    },
+  },
+  dimensions: {
+    maxLength: {
+      type: Number,
+      min: [0, "A dimension can't be negative."],
+    },
+    maxWidth: {
+      type: Number,
+      min: [0, "A dimension can't be negative."],
+    },
+    maxHeight: {
+      type: Number,
+      min: [0, "A dimension can't be negative."],
+    },
+  },
+  amenities: {
+    evCharger: {
+      connector: {
+        type: String,
+        enum: ['type1', 'type2', 'ccs', 'chademo', 'domestic'],
+      },
+      power: {
+        type: Number,
+        min: [0, "A charging power can't be negative."],
+      },
+    },
+    covered: {
+      type: Boolean,
+      default: false,
+    },
+    lit: {
+      type: Boolean,
+      default: false,
+    },
+    accessible: {
+      type: Boolean,
+      default: false,
+    },
+    securityCamera: {
+      type: Boolean,
+      default: false,
+    },
+    bikes: {
+      type: Boolean,
+      default: false,
+    },
+    motorbikes: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  schedule: {
+    openingHours: [openingHoursSchema],
+    blackouts: [blackoutSchema],
+    maxStay: {
+      type: Number,
+      min: [15, 'The maximum stay must last at least 15 minutes.'],
+    },
+  },
   creationDate: {
     type: Date,
     select: false,
@@ -99,18 +348,119 @@ const parkingSchema = new Schema({
     ref: 'Thingy',
     select: false,
   },
+  lot: {
+    type: Schema.ObjectId,
+    ref: 'Lot',
+    index: true,
+  },
+  ratingsAverage: {
+    type: Number,
+    min: [1, 'A rating must be between 1 and 5.'],
+    max: [5, 'A rating must be between 1 and 5.'],
+  },
+  ratingsQuantity: {
+    type: Number,
+    default: 0,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    select: false,
+  },
+  deletionDate: {
+    type: Date,
+    select: false,
+  },
 });
 
+// Geospatial index, needed by the $geoNear searches computing the distance of the parkings from the center of a search
+parkingSchema.index({ location: '2dsphere' });
+
+// Soft deletion
+//  - exclude the deleted parkings from all find and count queries and aggregations, except the ones explicitly requesting them with the withDeleted option
+parkingSchema.pre(
+  /^find|^countDocuments$/,
+  /**
+   * Function used to filter out the deleted parkings before executing a find or count query, such that the number of results of the listings matches their pages.
+   * @param {Function} next The next middleware function that will be called in the query process.
+   */
+  function (next) {
+    if (!this.getOptions().withDeleted)
+      this.where({ isDeleted: { $ne: true } });
+
+    next();
+  },
+);
+
+parkingSchema.pre(
+  'aggregate',
+  /**
+   * Function used to filter out the deleted parkings before executing an aggregation, after its $geoNear stage that has to be the first one.
+   * @param {Function} next The next middleware function that will be called in the aggregation process.
+   */
+  function (next) {
+    if (this.options.withDeleted) {
+      next();
+      return;
+    }
+
+    const pipeline = this.pipeline();
+    const [firstStage] = pipeline;
+
+    if (firstStage?.$geoNear)
+      firstStage.$geoNear.query = {
+        ...firstStage.$geoNear.query,
+        isDeleted: { $ne: true },
+      };
+    else pipeline.unshift({ $match: { isDeleted: { $ne: true } } });
+
+    next();
+  },
+);
+
+// The generated photo sources are sent with the parking, without the id virtual duplicating its _id
+parkingSchema.set('id', false);
+parkingSchema.set('toJSON', {
+  virtuals: true,
+  /**
+   * Function used to send the coordinates of the location in the latitude/longitude order received by the API, instead of their stored GeoJSON order.
+   * @param {mongoose.Document} doc the sent document
+   * @param {Object} ret the plain object sent for the document
+   * @returns {Object} the sent object, with its coordinates in the latitude/longitude order
+   */
+  transform: (doc, ret) => {
+    if (ret.location?.coordinates?.length === 2)
+      ret.location.coordinates = [...ret.location.coordinates].reverse();
+
+    return ret;
+  },
+});
+parkingSchema.set('toObject', { virtuals: true });
+
+parkingSchema.virtual('photoSources').get(
+  /**
+   * Function used to get the sources of the photos of the parking, once they were generated with the absolute path location of its photos.
+   * @returns {Object[]|undefined} the URLs of each photo and of its variants, with their srcset
+   */
+  function () {
+    return this.$locals.photoSources;
+  },
+);
+
 /**
- * Function used to generate the absolute path location of the parkings photos of a parking before sending it back to the client that requested it.
+ * Function used to generate the absolute path location of the parkings photos of a parking before sending it back to the client that requested it. The photos are replaced by the URLs of the originals, and their sources with the URLs of their resized variants are sent in the photoSources field.
+ * @returns {Object[]} the sources of the photos, with the URL of the original photo and of each variant and their srcset
  */
 parkingSchema.methods.generateFileAbsolutePath = function () {
-  if (this.photos)
-    this.photos = this.photos.map(
-      photo => `${BACKEND_URL}/${PARKINGS_FOLDER}/${photo}`,
-    );
-  if (this.owner.photo)
+  const photoSources = (this.photos ?? []).map(getPhotoSources);
+
+  if (this.photos) this.photos = photoSources.map(({ original }) => original);
+  this.$locals.photoSources = photoSources;
+
+  if (this.owner?.photo)
     this.owner.photo = `${BACKEND_URL}/${USERS_FOLDER}/${this.owner.photo}`;
+
+  return photoSources;
 };
 
 /**
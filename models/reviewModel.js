@@ -0,0 +1,174 @@
+/**
+ * Definition of the Review Model used in the application and generating the Review Collection in the MongoDB Database.
+ * @module reviewModel
+ */
+const { mongoose, Schema } = require('mongoose');
+const Parking = require('./parkingModel');
+const User = require('./userModel');
+
+/**
+ * The representation of the Review model
+ * @typedef Review
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the completed occupation reviewed by the client, reviewed only once.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the reviewed parking.
+ * @property {mongoose.Schema.ObjectId} client The id reference to the client that wrote the review.
+ * @property {mongoose.Schema.ObjectId} provider The id reference to the owner of the reviewed parking.
+ * @property {number} rating The rating (1 to 5) given by the client.
+ * @property {string} text The text of the review.
+ * @property {Object} reply The reply (text and date) of the provider to the review.
+ * @property {string} status The moderation state of the review (published / reported / hidden), the hidden reviews aren't shown nor counted in the average ratings.
+ * @property {Object[]} reports The reports (user, reason and date) of the review, submitted to the admins.
+ * @property {Object} moderation The last moderation decision (admin, comment and date) on the reported review.
+ * @property {Date} creationDate The creation date of the review.
+ */
+
+/**
+ * The review schema object generated from mongoose.
+ * @type {mongoose.Schema<Review>}
+ */
+const reviewSchema = new Schema({
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+    required: [true, 'A review must be related to an occupation.'],
+    unique: true,
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+    required: [true, 'A review must be related to a parking.'],
+    index: true,
+  },
+  client: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A review must be written by a client.'],
+  },
+  provider: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating between 1 and 5.'],
+    min: [1, 'A rating must be between 1 and 5.'],
+    max: [5, 'A rating must be between 1 and 5.'],
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxLength: [1000, "A review can't be longer than 1000 characters."],
+  },
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "A reply can't be longer than 1000 characters."],
+    },
+    date: Date,
+  },
+  status: {
+    type: String,
+    enum: ['published', 'reported', 'hidden'],
+    default: 'published',
+  },
+  reports: {
+    type: [
+      {
+        _id: false,
+        user: {
+          type: Schema.ObjectId,
+          ref: 'User',
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxLength: [500, "A reason can't be longer than 500 characters."],
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    select: false,
+  },
+  moderation: {
+    by: {
+      type: Schema.ObjectId,
+      ref: 'User',
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+    date: Date,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Function used to compute the average of the visible reviews matching a filter.
+ * @param {mongoose.Model<Review>} Model the Review model
+ * @param {Object} filter the filter of the reviews (by parking or provider)
+ * @returns {Promise<{ratingsAverage: number, ratingsQuantity: number}>} the average rating rounded to one decimal and the number of reviews, the average is undefined without review
+ */
+const getAverageRating = async (Model, filter) => {
+  const [stats] = await Model.aggregate([
+    { $match: { ...filter, status: { $ne: 'hidden' } } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        quantity: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return {
+    ratingsAverage: stats ? Math.round(stats.average * 10) / 10 : undefined,
+    ratingsQuantity: stats?.quantity ?? 0,
+  };
+};
+
+/**
+ * Function used to update the average rating of a parking and of its provider from their visible reviews.
+ * @param {mongoose.Types.ObjectId} parkingId the id of the reviewed parking
+ * @param {mongoose.Types.ObjectId} providerId the id of the owner of the reviewed parking
+ */
+reviewSchema.statics.computeAverageRatings = async function (
+  parkingId,
+  providerId,
+) {
+  const parkingStats = await getAverageRating(this, { parking: parkingId });
+
+  await Parking.updateOne(
+    { _id: parkingId },
+    parkingStats.ratingsAverage === undefined
+      ? { ratingsQuantity: 0, $unset: { ratingsAverage: 1 } }
+      : parkingStats,
+  );
+
+  if (!providerId) return;
+
+  const providerStats = await getAverageRating(this, { provider: providerId });
+
+  await User.updateOne(
+    { _id: providerId },
+    providerStats.ratingsAverage === undefined
+      ? { ratingsQuantity: 0, $unset: { ratingsAverage: 1 } }
+      : providerStats,
+  );
+};
+
+/**
+ * The Review model object generated from mongoose.
+ * @type {mongoose.Model<Review>}
+ */
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
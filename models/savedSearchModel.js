@@ -0,0 +1,99 @@
+/**
+ * Definition of the SavedSearch Model used in the application and generating the SavedSearch Collection in the MongoDB Database.
+ * @module savedSearchModel
+ */
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the SavedSearch model, i.e. a parking search of an user stored to be run again and to alert him of the matching parkings becoming available.
+ * @typedef SavedSearch
+ * @property {mongoose.Schema.ObjectId} user The id reference to the user that saved the search.
+ * @property {string} name The name given to the search by the user.
+ * @property {Object} query The query parameters of the parking search (filters, location and availability window), the searched location is stored with its coordinates.
+ * @property {string} filter The parking filter resolved from the query parameters when the search was saved, stored as a JSON string since its query operators can't be used as field names. The availability window isn't part of it, it is resolved on each check.
+ * @property {Object} center The center of the searched area (GeoJSON point), if the search has a location.
+ * @property {number} radius The radius (in meters) of the searched area, if the search has a location.
+ * @property {string} parkingType The searched type of parkings (indoor / outdoor), if the search filters it.
+ * @property {number} minPrice The minimal hourly price of the searched parkings, if the search filters it.
+ * @property {number} maxPrice The maximal hourly price of the searched parkings, if the search filters it.
+ * @property {boolean} alerts Whether the user is alerted when a parking matching the search becomes available.
+ * @property {Date} lastAlert The date of the last availability alert sent for the search.
+ * @property {Date} creationDate The creation date of the saved search.
+ */
+
+/**
+ * The point schema object, representing the center of the searched area in the GeoJSON order (longitude, latitude).
+ * @type {mongoose.Schema}
+ */
+const pointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      default: 'Point',
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The SavedSearch schema object generated from mongoose.
+ * @type {mongoose.Schema<SavedSearch>}
+ */
+const savedSearchSchema = new Schema(
+  {
+    user: {
+      type: Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A saved search must belong to an user.'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name to your search.'],
+      trim: true,
+      maxLength: [30, "A search name can't be longer than 30 characters."],
+    },
+    query: {
+      type: Object,
+      default: {},
+    },
+    filter: {
+      type: String,
+      select: false,
+    },
+    center: pointSchema,
+    radius: Number,
+    parkingType: String,
+    minPrice: Number,
+    maxPrice: Number,
+    alerts: {
+      type: Boolean,
+      default: true,
+    },
+    lastAlert: {
+      type: Date,
+    },
+    creationDate: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  // The query parameters are kept even if they are empty
+  { minimize: false },
+);
+
+// Geospatial index, needed by the $geoNear stage selecting the saved searches whose area contains an available parking
+savedSearchSchema.index({ center: '2dsphere' });
+
+/**
+ * The SavedSearch model object generated from mongoose.
+ * @type {mongoose.Model<SavedSearch>}
+ */
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
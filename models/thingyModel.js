@@ -8,6 +8,13 @@ const { mongoose, Schema } = require('mongoose');
  * The representation of the Thingy model
  * @typedef Thingy
  * @property {string} name The name of the thingy.
+ * @property {string} status The assignment status of the thingy in the inventory (unassigned / assigned).
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the parking at which the thingy is installed.
+ * @property {Date} installedAt The installation date of the thingy at its current parking.
+ * @property {Date} uninstalledAt The date at which the thingy was uninstalled from its last parking.
+ * @property {Object[]} installations The history of the installations (parking, installation and uninstallation dates) of the thingy.
+ * @property {mongoose.Schema.ObjectId} substitutedBy The id reference to the thingy replacing this one (e.g. when it is broken), the reservations and the telemetry follow the substitute.
+ * @property {Object[]} substitutions The audit trail of the substitutions of the thingy (action, substitute, user, reason and date).
  */
 
 /**
@@ -18,7 +25,61 @@ const thingySchema = new Schema({
   name: {
     type: String,
     required: true,
+    unique: true,
   },
+  status: {
+    type: String,
+    enum: ['unassigned', 'assigned'],
+    default: 'unassigned',
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  installedAt: {
+    type: Date,
+  },
+  uninstalledAt: {
+    type: Date,
+  },
+  installations: [
+    {
+      _id: false,
+      parking: {
+        type: Schema.ObjectId,
+        ref: 'Parking',
+      },
+      installedAt: Date,
+      uninstalledAt: Date,
+    },
+  ],
+  substitutedBy: {
+    type: Schema.ObjectId,
+    ref: 'Thingy',
+  },
+  substitutions: [
+    {
+      _id: false,
+      action: {
+        type: String,
+        enum: ['substituted', 'restored'],
+        required: true,
+      },
+      substitute: {
+        type: Schema.ObjectId,
+        ref: 'Thingy',
+      },
+      by: {
+        type: Schema.ObjectId,
+        ref: 'User',
+      },
+      reason: String,
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
 });
 
 /**
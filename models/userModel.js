@@ -39,8 +39,52 @@ const validatePassword = value => PASSWORD_VALIDATOR.validate(value);
  * @property {Date} confirmEmailExpires The expiration time of the confirmation email validity.
  * @property {boolean} isDeactivated The activation status of the account.
  * @property {Date} isDeactivatedAt The deactivation date of the account.
+ * @property {number} ratingsAverage The average rating (1 to 5) given to the parkings of the provider in the reviews of the clients.
+ * @property {number} ratingsQuantity The number of reviews of the parkings of the provider counted in the average rating.
+ * @property {Object[]} vehicles The vehicles registered by the user (plate, make, model, dimensions and electric flag), that he can pick when he reserves a parking.
+ * @property {Object[]} favourites The favourite parkings of the user (parking, alerts flag and addition date), the user is alerted when they become free if their alerts are enabled.
  */
 
+/**
+ * The vehicle schema object, representing a vehicle registered by an user.
+ * @type {mongoose.Schema}
+ */
+const vehicleSchema = new mongoose.Schema({
+  plate: {
+    type: String,
+    required: [true, 'Please provide the license plate of your vehicle.'],
+    trim: true,
+    uppercase: true,
+    maxLength: [15, "A license plate can't be longer than 15 characters."],
+  },
+  make: {
+    type: String,
+    trim: true,
+    maxLength: [30, "A vehicle make can't be longer than 30 characters."],
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxLength: [30, "A vehicle model can't be longer than 30 characters."],
+  },
+  length: {
+    type: Number,
+    min: [0, "A dimension can't be negative."],
+  },
+  width: {
+    type: Number,
+    min: [0, "A dimension can't be negative."],
+  },
+  height: {
+    type: Number,
+    min: [0, "A dimension can't be negative."],
+  },
+  isElectric: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 /**
  * The user schema object generated from mongoose.
  * @type {mongoose.Schema<User>}
@@ -148,6 +192,40 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  ratingsAverage: {
+    type: Number,
+    min: [1, 'A rating must be between 1 and 5.'],
+    max: [5, 'A rating must be between 1 and 5.'],
+  },
+  ratingsQuantity: {
+    type: Number,
+    default: 0,
+  },
+  vehicles: {
+    type: [vehicleSchema],
+    select: false,
+  },
+  favourites: {
+    type: [
+      {
+        _id: false,
+        parking: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Parking',
+          required: [true, 'A favourite must be related to a parking.'],
+        },
+        alerts: {
+          type: Boolean,
+          default: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    select: false,
+  },
 });
 
 // Creation of the user or modification of the password
@@ -0,0 +1,71 @@
+/**
+ * Definition of the Wallet Model used in the application and generating the Wallet Collection in the MongoDB Database.
+ * @module walletModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Wallet model, i.e. the prepaid balance of an user used to pay his parking occupations.
+ * @typedef Wallet
+ * @property {mongoose.Schema.ObjectId} user The id reference to the owner of the wallet.
+ * @property {number} balance The total amount of money contained in the wallet, including the held funds.
+ * @property {number} held The amount of money held for the active occupations of the user, that can't be spent elsewhere.
+ * @property {string} currency The currency of the wallet.
+ * @property {Date} creationDate The creation date of the wallet.
+ */
+
+/**
+ * The Wallet schema object generated from mongoose.
+ * @type {mongoose.Schema<Wallet>}
+ */
+const walletSchema = new Schema(
+  {
+    user: {
+      type: Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    held: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'CHF',
+    },
+    creationDate: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+walletSchema.virtual('available').get(
+  /**
+   * Function used to compute the amount of money of the wallet that can be spent, i.e. the balance without the held funds.
+   * @returns {number} the available amount of the wallet
+   */
+  function () {
+    return this.balance - this.held;
+  },
+);
+
+/**
+ * The Wallet model object generated from mongoose.
+ * @type {mongoose.Model<Wallet>}
+ */
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+module.exports = Wallet;
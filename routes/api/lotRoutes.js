@@ -0,0 +1,1302 @@
+/**
+ * Parking lot resource router of the REST API.
+ * @module lotRoutes
+ */
+
+const { Router } = require('express');
+const {
+  getAllLots,
+  getLot,
+  createLot,
+  updateLot,
+  deleteLot,
+  createSpot,
+  selectFreeSpot,
+  deleteLotPhoto,
+  reorderLotPhotos,
+  setLotCoverPhoto,
+} = require('../../controllers/lotController');
+const {
+  uploadParkingImages,
+  saveParkingImages,
+  deleteParkingImages,
+  startReservation,
+} = require('../../controllers/parkingController');
+const {
+  protect,
+  restrictTo,
+  checkConnected,
+} = require('../../controllers/authController');
+
+/**
+ * The Lot resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LotAvailability:
+ *       type: object
+ *       description: The number of free spots of the parking lot that can be reserved right now (equipped with a thingy, neither occupied, being reserved nor booked, and open) among its validated spots
+ *       properties:
+ *         free:
+ *           type: number
+ *           example: 7
+ *         total:
+ *           type: number
+ *           example: 20
+ *     Lot:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the parking lot
+ *           example: 655c8a4e2f1b3c4d5e6f7a81
+ *         name:
+ *           type: string
+ *           description: The name of the parking lot
+ *           example: Parking of the station
+ *         description:
+ *           type: string
+ *           example: Underground parking next to the train station of Fribourg.
+ *         type:
+ *           type: string
+ *           description: The type of the spots of the parking lot (indoor / outdoor)
+ *           example: indoor
+ *         price:
+ *           type: number
+ *           description: The hourly price of the spots of the parking lot
+ *           example: 2.5
+ *         pricing:
+ *           $ref: '#/components/schemas/Pricing'
+ *         location:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: Point
+ *             coordinates:
+ *               type: array
+ *               description: The coordinates of the location (lat/long)
+ *               example: [46.8032, 7.1511]
+ *               maxItems: 2
+ *             street:
+ *               type: string
+ *               example: Avenue de la Gare
+ *             housenumber:
+ *               type: string
+ *               example: 1
+ *             postcode:
+ *               type: string
+ *               example: 1700
+ *             city:
+ *               type: string
+ *               example: Fribourg
+ *         owner:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 642c38f3b7ed1dbd25858e9e
+ *             username:
+ *               type: string
+ *               example: johndoe27
+ *         photos:
+ *           type: array
+ *           items:
+ *            type: string
+ *            example: http://localhost:3001/public/img/parkings/default.jpeg
+ *           description: The parking lot pictures, shared with its spots, the first one is the cover photo.
+ *         photoSources:
+ *           type: array
+ *           description: The sources of the photos, in the same order, with the URLs of their resized variants
+ *           items:
+ *             $ref: '#/components/schemas/PhotoSource'
+ *         creationDate:
+ *           type: string
+ *           example: "2023-11-21T11:02:06.812Z"
+ *         availability:
+ *           $ref: '#/components/schemas/LotAvailability'
+ */
+
+/**
+ * @swagger
+ * /lots:
+ *   get:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to get all the parking lots having validated spots, with their number of free spots
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (price, name, creationDate), descending if prefixed by a minus. Most recent parking lots first by default.'
+ *         schema:
+ *           type: string
+ *           example: price
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *     responses:
+ *       200:
+ *         description: List of the parking lots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 42
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 1
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 3
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Lot'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   post:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to create a new parking lot, whose address, photos and pricing are shared by its spots (accessible to clients and providers only)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - name
+ *              - description
+ *              - price
+ *              - coordinates
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking lot
+ *                example: Parking of the station
+ *              description:
+ *                type: string
+ *                description: The description of the parking lot
+ *                example: Underground parking next to the train station of Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the spots of the parking lot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the spots of the parking lot
+ *                example: 2.5
+ *              pricing:
+ *                $ref: '#/components/schemas/Pricing'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking lot (lat/long)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *         multipart/form-data:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - name
+ *              - description
+ *              - price
+ *              - coordinates
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking lot
+ *                example: Parking of the station
+ *              description:
+ *                type: string
+ *                description: The description of the parking lot
+ *                example: Underground parking next to the train station of Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the spots of the parking lot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the spots of the parking lot
+ *                example: 2.5
+ *              pricing:
+ *                type: string
+ *                description: The pricing rules of the spots of the parking lot in JSON format
+ *                example: '{"weekendPrice": 1.5, "freeMinutes": 15}'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking lot (lat/long)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *              photos:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                  description: The photos of the parking lot
+ *                  format: binary
+ *     responses:
+ *       201:
+ *         description: The new created parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your parking lot was created. Add its spots to submit them for validation.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       $ref: '#/components/schemas/Lot'
+ *       400:
+ *         description: Incorrect field validation
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidInputExample:
+ *                 summary: Invalid field
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [name: A parking lot name can't be longer than 30 characters.]
+ *               invalidCoordinatesExample:
+ *                 summary: Invalid coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid coordinates values for your location.
+ *               pricingFormatExample:
+ *                 summary: Pricing rules format error
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid pricing rules in JSON format.
+ *               lotPicturesFormatExample:
+ *                 summary: Parking lot pictures format error
+ *                 value:
+ *                   status: fail
+ *                   message: Not an image! Please upload only images.
+ *               unknownAddressExample:
+ *                 summary: No address at the coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: No address could be found at the provided coordinates.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       503:
+ *         description: Geocoding service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                   example: The geocoding service is currently unavailable. Please try again later.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(checkConnected, getAllLots)
+  .post(
+    protect,
+    restrictTo('client', 'provider'),
+    uploadParkingImages,
+    saveParkingImages,
+    createLot,
+    deleteParkingImages,
+  );
+
+/**
+ * @swagger
+ * /lots/{id}:
+ *   get:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to get a parking lot with its spots (the spots waiting for validation are only listed to the owner of the lot and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The parking lot with its spots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Lot'
+ *                         - type: object
+ *                           properties:
+ *                             spots:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/Parking'
+ *       404:
+ *         description: Non existing parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking lot doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   patch:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to modify a parking lot, the address, photos and pricing are copied on all its spots (accessible to the owner of the lot and the admins)
+ *     description: The modification of the price or the location of the parking lot submits its spots again for validation.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking lot
+ *                example: Parking of the station
+ *              description:
+ *                type: string
+ *                description: The description of the parking lot
+ *                example: Underground parking next to the train station of Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the spots of the parking lot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the spots of the parking lot
+ *                example: 2.5
+ *              pricing:
+ *                $ref: '#/components/schemas/Pricing'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking lot (lat/long)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *         multipart/form-data:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking lot
+ *                example: Parking of the station
+ *              description:
+ *                type: string
+ *                description: The description of the parking lot
+ *                example: Underground parking next to the train station of Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the spots of the parking lot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the spots of the parking lot
+ *                example: 2.5
+ *              pricing:
+ *                type: string
+ *                description: The pricing rules of the spots of the parking lot in JSON format
+ *                example: '{"weekendPrice": 1.5, "freeMinutes": 15}'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking lot (lat/long)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *              photos:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                  description: The new photos of the parking lot, added after the existing ones (at most 10 photos in total)
+ *                  format: binary
+ *     responses:
+ *       200:
+ *         description: The modified parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your parking lot was successfully modified.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       $ref: '#/components/schemas/Lot'
+ *       400:
+ *         description: Incorrect field validation
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidInputExample:
+ *                 summary: Invalid field
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [name: A parking lot name can't be longer than 30 characters.]
+ *               noFieldExample:
+ *                 summary: No field to modify
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide at least one field to modify (name, description, type, price, pricing, coordinates or photos).
+ *               tooManyPhotosExample:
+ *                 summary: More photos than the maximal number of photos of a parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: A parking lot can't have more than 10 photos.
+ *               reservedSpotsExample:
+ *                 summary: Modification of the price or the location of a parking lot having reservations
+ *                 value:
+ *                   status: fail
+ *                   message: You can't modify the price or the location of a parking lot whose spots have active or upcoming reservations.
+ *               invalidCoordinatesExample:
+ *                 summary: Invalid coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid coordinates values for your location.
+ *               pricingFormatExample:
+ *                 summary: Pricing rules format error
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid pricing rules in JSON format.
+ *               lotPicturesFormatExample:
+ *                 summary: Parking lot pictures format error
+ *                 value:
+ *                   status: fail
+ *                   message: Not an image! Please upload only images.
+ *               unknownAddressExample:
+ *                 summary: No address at the coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: No address could be found at the provided coordinates.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking lot doesn't exist.
+ *       503:
+ *         description: Geocoding service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                   example: The geocoding service is currently unavailable. Please try again later.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to delete a parking lot once all its spots were deleted (accessible to the owner of the lot and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: Successful deletion
+ *       400:
+ *         description: Parking lot still having spots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please delete the spots of your parking lot before deleting it.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking lot doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id')
+  .get(checkConnected, getLot)
+  .patch(
+    protect,
+    restrictTo('client', 'provider', 'admin'),
+    uploadParkingImages,
+    saveParkingImages,
+    updateLot,
+    deleteParkingImages,
+  )
+  .delete(protect, restrictTo('client', 'provider', 'admin'), deleteLot);
+
+/**
+ * @swagger
+ * /lots/{id}/spots:
+ *   post:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to add a new spot to a parking lot, submitted for validation (accessible to the owner of the lot and the admins)
+ *     description: The spot is a parking slot sharing the address, photos and pricing of the parking lot. An admin installs its own thingy when validating it.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - name
+ *              - description
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the spot
+ *                example: Spot A12
+ *              description:
+ *                type: string
+ *                description: The description of the spot
+ *                example: First underground level, next to the elevator.
+ *              dimensions:
+ *                $ref: '#/components/schemas/Dimensions'
+ *              amenities:
+ *                $ref: '#/components/schemas/Amenities'
+ *     responses:
+ *       201:
+ *         description: The new created spot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your spot was submitted for validation.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Incorrect field validation
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidInputExample:
+ *                 summary: Invalid field
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [name: A parking slot name can't be longer than 30 characters.]
+ *               dimensionsFormatExample:
+ *                 summary: Dimensions format error
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid dimensions in JSON format.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking lot doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/spots')
+  .post(protect, restrictTo('client', 'provider', 'admin'), createSpot);
+
+/**
+ * @swagger
+ * /lots/{id}/start-reservation:
+ *   patch:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to reserve any free spot of a parking lot (accessible to clients and providers only)
+ *     description: The spot booked by the user for the current time slot is reserved first, otherwise any free and open spot fitting the selected vehicle. The reservation is then confirmed on the thingy of the spot, like the reservation of a parking slot.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicle:
+ *                 type: string
+ *                 description: The id of the vehicle of the user used for the reservation, which has to fit in the spot
+ *                 example: 655b2f7e8c1d4a2b9e3f1a20
+ *     responses:
+ *       202:
+ *         description: The confirmation ticket of the reservation start, that has to be confirmed on the thingy of the selected spot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Please confirm by pressing on the button of thingy blue-2.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       $ref: '#/components/schemas/ConfirmationTicket'
+ *       400:
+ *         description: Invalid requests done by the user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               noFreeSpotExample:
+ *                 summary: No free spot in the parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: There is no free spot in the requested parking lot at the moment.
+ *               ownParkingReservationExample:
+ *                 summary: Own parking lot reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't reserve your own parkings.
+ *       402:
+ *         description: Insufficient wallet balance for the expected price of the reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Your wallet balance is insufficient for this reservation (7 CHF required). Please top up your wallet.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking lot or vehicle
+ *         content:
+ *           application/json:
+ *             examples:
+ *               lotNotFoundExample:
+ *                 summary: Non existing parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking lot doesn't exist.
+ *               vehicleNotFoundExample:
+ *                 summary: Non existing vehicle
+ *                 value:
+ *                   status: fail
+ *                   message: The requested vehicle doesn't exist.
+ *       409:
+ *         description: Spot being reserved by another user at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking is currently being reserved by another user.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/start-reservation')
+  .patch(
+    protect,
+    restrictTo('client', 'provider'),
+    selectFreeSpot,
+    startReservation,
+  );
+
+/**
+ * @swagger
+ * /lots/{id}/photos:
+ *   patch:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to reorder the photos of a parking lot and of its spots, the first photo becomes their cover photo (accessible to the owner of the lot and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photos
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 description: All the photos of the parking lot (filenames or URLs) in their new order
+ *                 items:
+ *                   type: string
+ *                 example:
+ *                   - parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000.jpeg
+ *                   - parking-642c38f3b7ed1dbd25858e9e-5e6f7a8b-1700000000001.jpeg
+ *     responses:
+ *       200:
+ *         description: The lot with its modified photos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The photos of your parking lot were reordered.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       $ref: '#/components/schemas/Lot'
+ *       400:
+ *         description: Invalid photo order
+ *         content:
+ *           application/json:
+ *             examples:
+ *               orderExample:
+ *                 summary: Incomplete photo order
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide all the photos of the parking in their new order.
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of the parking lot were modified in the meantime. Please try again.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot or photo
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking lot doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/photos')
+  .patch(protect, restrictTo('client', 'provider', 'admin'), reorderLotPhotos);
+
+/**
+ * @swagger
+ * /lots/{id}/photos/{photo}:
+ *   delete:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to delete a photo of a parking lot and of its spots with its resized variants, the next photo becomes the cover if the cover photo is deleted (accessible to the owner of the lot and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *       - name: photo
+ *         in: path
+ *         description: The filename of the photo (the last segment of its URL)
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The lot with its modified photos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The photo was deleted from your parking lot.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       $ref: '#/components/schemas/Lot'
+ *       400:
+ *         description: Invalid photo modification
+ *         content:
+ *           application/json:
+ *             examples:
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of the parking lot were modified in the meantime. Please try again.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot or photo
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking lot doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/photos/:photo')
+  .delete(protect, restrictTo('client', 'provider', 'admin'), deleteLotPhoto);
+
+/**
+ * @swagger
+ * /lots/{id}/photos/{photo}/cover:
+ *   patch:
+ *     tags:
+ *       - Lot
+ *     summary: Route used to choose the cover photo of a parking lot and of its spots, shown first in the listings, the other photos keep their order (accessible to the owner of the lot and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking lot
+ *         required: true
+ *         type: string
+ *       - name: photo
+ *         in: path
+ *         description: The filename of the photo (the last segment of its URL)
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The lot with its modified photos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The cover photo of your parking lot was changed.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lot:
+ *                       $ref: '#/components/schemas/Lot'
+ *       400:
+ *         description: Invalid photo modification
+ *         content:
+ *           application/json:
+ *             examples:
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of the parking lot were modified in the meantime. Please try again.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking lot of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parking lots.
+ *       404:
+ *         description: Non existing parking lot or photo
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking lot doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/photos/:photo/cover')
+  .patch(protect, restrictTo('client', 'provider', 'admin'), setLotCoverPhoto);
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const { Router } = require('express');
 const { protect, restrictTo } = require('../../controllers/authController');
-const { getOwnOccupations } = require('../../controllers/occupationController');
+const {
+  getOwnOccupations,
+  refundOccupation,
+  getOccupationInvoice,
+} = require('../../controllers/occupationController');
+const { createReview } = require('../../controllers/reviewController');
 
 const router = Router();
 
@@ -11,6 +16,17 @@ const router = Router();
  *     tags:
  *       - Occupation
  *     summary: Route used to get all own occupations (accessible to clients and providers only)
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (start, end, bookingStart, bill, creationDate), descending if prefixed by a minus. Most recent occupations first by default.'
+ *         schema:
+ *           type: string
+ *           example: -start
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: List of all occupations done by the user
@@ -22,6 +38,24 @@ const router = Router();
  *                 status:
  *                   type: string
  *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 137
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 2
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 7
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
  *                 data:
  *                   type: object
  *                   properties:
@@ -63,4 +97,409 @@ router
   .route('/my-occupations')
   .get(protect, restrictTo('client', 'provider'), getOwnOccupations);
 
+/**
+ * @swagger
+ * /occupations/{id}/refund:
+ *   post:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to refund the amount charged for an occupation on the wallet of its client (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the refunded occupation
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: The refunded amount, the whole remaining charged amount by default
+ *                 example: 3.5
+ *               reason:
+ *                 type: string
+ *                 description: The reason of the refund
+ *                 example: The parking was not accessible.
+ *     responses:
+ *       200:
+ *         description: Successful refund
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The occupation was successfully refunded.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *       400:
+ *         description: Invalid refund
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidAmountExample:
+ *                 summary: Invalid amount
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid amount to refund.
+ *               exceedingAmountExample:
+ *                 summary: Amount exceeding the charged one
+ *                 value:
+ *                   status: fail
+ *                   message: The refunded amount can't exceed the amount charged for the occupation.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested occupation doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/refund')
+  .post(protect, restrictTo('admin'), refundOccupation);
+
+/**
+ * @swagger
+ * /occupations/{id}/review:
+ *   post:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to review a completed occupation of the connected user, only once per occupation (accessible to clients and providers only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed occupation
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               text:
+ *                 type: string
+ *                 example: Easy to find and close to the station.
+ *     responses:
+ *       201:
+ *         description: The new created review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Thank you for your review.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid review
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notCompletedExample:
+ *                 summary: Occupation not completed
+ *                 value:
+ *                   status: fail
+ *                   message: You can only review your completed occupations.
+ *               alreadyReviewedExample:
+ *                 summary: Occupation already reviewed
+ *                 value:
+ *                   status: fail
+ *                   message: You have already reviewed this occupation.
+ *               invalidRatingExample:
+ *                 summary: Invalid rating
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested occupation doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/review')
+  .post(protect, restrictTo('client', 'provider'), createReview);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 655b1e2f8c1d2a3b4c5d6e7f
+ *         number:
+ *           type: string
+ *           description: The sequential number of the invoice
+ *           example: PNS-2023-000042
+ *         occupation:
+ *           type: string
+ *           example: 655a6d1d2ac8d3e6e7b5d2b1
+ *         client:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe23
+ *             email:
+ *               type: string
+ *               example: johndoe23@example.com
+ *         parking:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6543f9a1f4f2a2d0d2a9c3b4
+ *             name:
+ *               type: string
+ *               example: Parking of the train station
+ *             address:
+ *               type: string
+ *               example: Bahnhofplatz 1, 3011 Bern
+ *         start:
+ *           type: string
+ *           example: "2023-11-22T07:00:00.000Z"
+ *         end:
+ *           type: string
+ *           example: "2023-11-22T09:00:00.000Z"
+ *         breakdown:
+ *           type: object
+ *           description: The tariff breakdown of the bill (free and billed minutes, hourly price of each part of the occupation, amount of each day)
+ *         total:
+ *           type: number
+ *           description: The total amount, VAT included
+ *           example: 7
+ *         vatRate:
+ *           type: number
+ *           example: 0.081
+ *         netAmount:
+ *           type: number
+ *           example: 6.48
+ *         vatAmount:
+ *           type: number
+ *           example: 0.52
+ *         currency:
+ *           type: string
+ *           example: CHF
+ *         issueDate:
+ *           type: string
+ *           example: "2023-11-22T09:00:03.000Z"
+ */
+
+/**
+ * @swagger
+ * /occupations/{id}/invoice:
+ *   get:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to get the invoice of a completed occupation (accessible to the client of the occupation, the owner of the parking and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the completed occupation
+ *         required: true
+ *         type: string
+ *       - name: format
+ *         in: query
+ *         description: The format of the invoice
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: The invoice of the occupation
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invalid invoice request
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidFormatExample:
+ *                 summary: Invalid format
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid format for the invoice (pdf / html / json).
+ *               notCompletedExample:
+ *                 summary: Occupation not completed
+ *                 value:
+ *                   status: fail
+ *                   message: Only completed occupations can be invoiced.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Access to the invoice of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have access to the invoice of this occupation.
+ *       404:
+ *         description: Non existing occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested occupation doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/invoice').get(protect, getOccupationInvoice);
+
 module.exports = router;
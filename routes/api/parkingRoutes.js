@@ -9,12 +9,30 @@ const {
   getAllParkings,
   uploadParkingImages,
   saveParkingImages,
+  deleteParkingImages,
   createParking,
   getParking,
   validateParking,
   startReservation,
   endReservation,
+  createBooking,
+  cancelOwnReservation,
+  cancelParkingReservation,
+  getConfirmation,
+  getQuote,
+  updateParking,
+  deleteParking,
+  rejectParking,
+  requestParkingChanges,
+  resubmitParking,
+  updateSchedule,
+  addBlackout,
+  removeBlackout,
+  deleteParkingPhoto,
+  reorderParkingPhotos,
+  setParkingCoverPhoto,
 } = require('../../controllers/parkingController');
+const { getParkingReviews } = require('../../controllers/reviewController');
 const {
   protect,
   restrictTo,
@@ -55,6 +73,43 @@ const router = Router();
  *           type: number
  *           description: The hourly price for the parking slot rental
  *           example: 3.50
+ *         pricing:
+ *           $ref: '#/components/schemas/Pricing'
+ *         dimensions:
+ *           $ref: '#/components/schemas/Dimensions'
+ *         amenities:
+ *           $ref: '#/components/schemas/Amenities'
+ *         schedule:
+ *           $ref: '#/components/schemas/Schedule'
+ *         moderation:
+ *           type: object
+ *           description: The moderation state of the parking (only visible to its owner and the admins)
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [submitted, changes_requested, rejected, approved]
+ *               example: changes_requested
+ *             comment:
+ *               type: string
+ *               description: The comment of the last moderation decision
+ *               example: Please add a photo of the entrance of the parking.
+ *             history:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     example: changes_requested
+ *                   comment:
+ *                     type: string
+ *                     example: Please add a photo of the entrance of the parking.
+ *                   by:
+ *                     type: string
+ *                     example: 654ca08c20d9213ef42b9443
+ *                   date:
+ *                     type: string
+ *                     example: "2023-11-20T09:12:44.000Z"
  *         isOccupied:
  *           type: boolean
  *           description: The occupation state of the parking
@@ -67,7 +122,8 @@ const router = Router();
  *               example: Point
  *             coordinates:
  *               type: array
- *               example: [-80.185942, 25.774772]
+ *               description: The coordinates of the location (lat/long)
+ *               example: [46.8032, 7.1511]
  *               maxItems: 2
  *             street:
  *               type: string
@@ -90,12 +146,204 @@ const router = Router();
  *             username:
  *               type: string
  *               example: johndoe27
+ *             ratingsAverage:
+ *               type: number
+ *               description: The average rating of the parkings of the owner
+ *               example: 4.3
+ *             ratingsQuantity:
+ *               type: number
+ *               example: 12
  *         photos:
  *           type: array
  *           items:
  *            type: string
  *            example: http://localhost:3001/public/img/parkings/default.jpeg
- *           description: The parking slot pictures.
+ *           description: The parking slot pictures, the first one is the cover photo.
+ *         photoSources:
+ *           type: array
+ *           description: The sources of the photos, in the same order, with the URLs of their resized variants
+ *           items:
+ *             $ref: '#/components/schemas/PhotoSource'
+ *         ratingsAverage:
+ *           type: number
+ *           description: The average rating (1 to 5) given to the parking slot in the reviews of the clients
+ *           example: 4.5
+ *         ratingsQuantity:
+ *           type: number
+ *           description: The number of reviews of the parking slot
+ *           example: 12
+ *         lot:
+ *           type: string
+ *           description: The id of the parking lot grouping the parking slot with other spots, only for the spots of a lot
+ *           example: 655c8a4e2f1b3c4d5e6f7a81
+ *         lotAvailability:
+ *           $ref: '#/components/schemas/LotAvailability'
+ *         distance:
+ *           type: number
+ *           description: The distance (in meters) of the parking slot from the searched location, only in the listings around a location
+ *           example: 850
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Pricing:
+ *       type: object
+ *       description: The pricing rules of the parking slot, applied on top of its base hourly price
+ *       properties:
+ *         rates:
+ *           type: array
+ *           description: The time-of-day hourly prices, applied on specific days of the week (0 for sunday to 6 for saturday)
+ *           items:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [1, 2, 3, 4, 5]
+ *               from:
+ *                 type: string
+ *                 example: "07:00"
+ *               to:
+ *                 type: string
+ *                 example: "19:00"
+ *               price:
+ *                 type: number
+ *                 example: 4
+ *         weekendPrice:
+ *           type: number
+ *           description: The hourly price applied on saturdays and sundays
+ *           example: 1.5
+ *         dailyCap:
+ *           type: number
+ *           description: The maximal amount charged per day
+ *           example: 25
+ *         minimumCharge:
+ *           type: number
+ *           description: The minimal amount charged for an occupation
+ *           example: 1
+ *         freeMinutes:
+ *           type: number
+ *           description: The number of free minutes at the beginning of an occupation
+ *           example: 15
+ *         blockMinutes:
+ *           type: number
+ *           description: The duration of the blocks in minutes, every started block is charged entirely
+ *           example: 30
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Dimensions:
+ *       type: object
+ *       description: The maximal dimensions (in meters) of the vehicles fitting in the parking slot, unlimited if they aren't specified
+ *       properties:
+ *         maxLength:
+ *           type: number
+ *           example: 5
+ *         maxWidth:
+ *           type: number
+ *           example: 2.3
+ *         maxHeight:
+ *           type: number
+ *           example: 2.1
+ *     Amenities:
+ *       type: object
+ *       description: The equipment and accessibility attributes of the parking slot
+ *       properties:
+ *         evCharger:
+ *           type: object
+ *           description: The charger for electric vehicles, if there is one
+ *           properties:
+ *             connector:
+ *               type: string
+ *               enum: [type1, type2, ccs, chademo, domestic]
+ *               example: type2
+ *             power:
+ *               type: number
+ *               description: The charging power in kW
+ *               example: 11
+ *         covered:
+ *           type: boolean
+ *           example: true
+ *         lit:
+ *           type: boolean
+ *           example: true
+ *         accessible:
+ *           type: boolean
+ *           description: The accessibility of the parking slot to disabled persons
+ *           example: false
+ *         securityCamera:
+ *           type: boolean
+ *           example: false
+ *         bikes:
+ *           type: boolean
+ *           description: The suitability of the parking slot for bikes
+ *           example: false
+ *         motorbikes:
+ *           type: boolean
+ *           description: The suitability of the parking slot for motorbikes
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Schedule:
+ *       type: object
+ *       description: The availability rules of the parking slot, available 24/7 without any rule
+ *       properties:
+ *         openingHours:
+ *           type: array
+ *           description: The weekly opening hours, applied on specific days of the week (0 for sunday to 6 for saturday). The parking slot is open at any time without opening hours.
+ *           items:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [1, 2, 3, 4, 5]
+ *               from:
+ *                 type: string
+ *                 example: "08:00"
+ *               to:
+ *                 type: string
+ *                 example: "18:00"
+ *         blackouts:
+ *           type: array
+ *           description: The periods during which the parking slot isn't available
+ *           items:
+ *             $ref: '#/components/schemas/Blackout'
+ *         maxStay:
+ *           type: number
+ *           description: The maximal duration (in minutes) of an occupation of the parking slot
+ *           example: 240
+ *     Blackout:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the blackout period
+ *           example: 6650c2f1a4b0e3c9d8a1f2b3
+ *         start:
+ *           type: string
+ *           example: "2024-07-15T00:00:00.000Z"
+ *         end:
+ *           type: string
+ *           example: "2024-08-05T00:00:00.000Z"
+ *         reason:
+ *           type: string
+ *           enum: [holiday, personal, other]
+ *           example: holiday
+ *         comment:
+ *           type: string
+ *           example: Summer holidays, I use the parking myself.
  */
 
 /**
@@ -121,6 +369,85 @@ const router = Router();
  *           type: number
  *           description: The bill of the occupation
  *           example: 2.55
+ *         status:
+ *           type: string
+ *           description: The state of the occupation in the booking lifecycle
+ *           enum: [booked, active, completed, cancelled, expired]
+ *           example: completed
+ *         bookingStart:
+ *           type: string
+ *           description: The starting time of the booked time slot (only for occupations booked in advance)
+ *           example: "2023-11-22T12:00:00.000Z"
+ *         bookingEnd:
+ *           type: string
+ *           description: The end time of the booked time slot (only for occupations booked in advance)
+ *           example: "2023-11-22T14:00:00.000Z"
+ *         stayLimit:
+ *           type: object
+ *           description: The time at which the occupation has to end at the latest, if there is one
+ *           properties:
+ *             end:
+ *               type: string
+ *               example: "2023-11-22T18:00:00.000Z"
+ *             reason:
+ *               type: string
+ *               enum: [booking-end, closing-time, max-stay]
+ *               example: closing-time
+ *             warnedAt:
+ *               type: string
+ *               description: The date at which the client was warned that his stay was about to expire
+ *               example: "2023-11-22T17:45:00.000Z"
+ *             exceededAt:
+ *               type: string
+ *               description: The date at which the client and the owner of the parking were informed of the overstay
+ *               example: "2023-11-22T18:00:30.000Z"
+ *         overstay:
+ *           type: object
+ *           description: The overstay of the client past the stay limit of the occupation, if there was one
+ *           properties:
+ *             since:
+ *               type: string
+ *               example: "2023-11-22T18:00:00.000Z"
+ *             minutes:
+ *               type: number
+ *               example: 25
+ *             surcharge:
+ *               type: number
+ *               description: The overstay surcharge added to the bill, not charged during the grace delay
+ *               example: 0.75
+ *         vehicle:
+ *           description: The vehicle selected by the client when the reservation started (copy of his vehicle profile)
+ *           $ref: '#/components/schemas/Vehicle'
+ *         cancellation:
+ *           type: object
+ *           description: The cancellation details of a cancelled or expired occupation
+ *           properties:
+ *             date:
+ *               type: string
+ *               example: "2023-11-22T10:00:00.000Z"
+ *             by:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             reason:
+ *               type: string
+ *               enum: [client, provider, no-show]
+ *               example: client
+ *             fee:
+ *               type: number
+ *               example: 3.5
+ *         payment:
+ *           type: object
+ *           description: The payment details of the occupation on the wallet of the client
+ *           properties:
+ *             held:
+ *               type: number
+ *               example: 0
+ *             captured:
+ *               type: number
+ *               example: 7
+ *             refunded:
+ *               type: number
+ *               example: 0
  *         client:
  *           type: object
  *           description: the client that has reserved the parking
@@ -146,6 +473,74 @@ const router = Router();
  *               example: Beautiful parking in fribourg
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConfirmationTicket:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the confirmation ticket
+ *           example: 6554db94e474b43b04d7b2d2
+ *         type:
+ *           type: string
+ *           description: The type of the confirmed operation
+ *           enum: [start-reservation, end-reservation]
+ *           example: start-reservation
+ *         status:
+ *           type: string
+ *           description: The state of the confirmation
+ *           enum: [pending, confirmed, failed]
+ *           example: pending
+ *         message:
+ *           type: string
+ *           description: The instruction or failure message of the confirmation
+ *           example: Please confirm by pressing on the button of thingy blue-2.
+ *         user:
+ *           type: string
+ *           example: 654ca08c20d9213ef42b9443
+ *         parking:
+ *           type: string
+ *           example: 6554db94e474b43b04d7b2d2
+ *         occupation:
+ *           description: The occupation created or ended by the operation, once it is confirmed
+ *           $ref: '#/components/schemas/Occupation'
+ *         creationDate:
+ *           type: string
+ *           example: "2023-11-22T12:23:24.012Z"
+ *         expires:
+ *           type: string
+ *           description: The expiration time of the confirmation delay
+ *           example: "2023-11-22T12:24:24.012Z"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PhotoSource:
+ *       type: object
+ *       properties:
+ *         original:
+ *           type: string
+ *           description: The URL of the full-size photo
+ *           example: http://localhost:3001/public/img/parkings/parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000.jpeg
+ *         thumbnail:
+ *           type: string
+ *           description: The URL of the thumbnail variant (320 pixels wide)
+ *           example: http://localhost:3001/public/img/parkings/parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000-thumbnail.jpeg
+ *         medium:
+ *           type: string
+ *           description: The URL of the medium variant (960 pixels wide)
+ *           example: http://localhost:3001/public/img/parkings/parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000-medium.jpeg
+ *         srcset:
+ *           type: string
+ *           description: The srcset attribute listing the variants by width
+ *           example: http://localhost:3001/public/img/parkings/parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000-thumbnail.jpeg 320w, http://localhost:3001/public/img/parkings/parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000-medium.jpeg 960w
+ */
+
 /**
  * @swagger
  * /parkings:
@@ -179,6 +574,99 @@ const router = Router();
  *           type: string
  *           enum: [indoor, outdoor]
  *           example: indoor
+ *       - name: covered
+ *         in: query
+ *         description: 'The parking slot is covered'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: lit
+ *         in: query
+ *         description: 'The parking slot is lit'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: accessible
+ *         in: query
+ *         description: 'The parking slot is accessible to disabled persons'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: securityCamera
+ *         in: query
+ *         description: 'The parking slot is watched by a security camera'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: bikes
+ *         in: query
+ *         description: 'The parking slot is suitable for bikes'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: motorbikes
+ *         in: query
+ *         description: 'The parking slot is suitable for motorbikes'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: evCharger
+ *         in: query
+ *         description: 'The parking slot has a charger for electric vehicles'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: connector
+ *         in: query
+ *         description: 'The connector of the charger for electric vehicles'
+ *         schema:
+ *           type: string
+ *           enum: [type1, type2, ccs, chademo, domestic]
+ *           example: type2
+ *       - name: minChargingPower
+ *         in: query
+ *         description: 'The minimal power (in kW) of the charger for electric vehicles'
+ *         schema:
+ *           type: number
+ *           example: 11
+ *       - name: vehicleLength
+ *         in: query
+ *         description: 'The length (in meters) of the vehicle that has to fit in the parking slot'
+ *         schema:
+ *           type: number
+ *           example: 4.8
+ *       - name: vehicleWidth
+ *         in: query
+ *         description: 'The width (in meters) of the vehicle that has to fit in the parking slot'
+ *         schema:
+ *           type: number
+ *           example: 1.9
+ *       - name: vehicleHeight
+ *         in: query
+ *         description: 'The height (in meters) of the vehicle that has to fit in the parking slot'
+ *         schema:
+ *           type: number
+ *           example: 2.4
+ *       - name: vehicle
+ *         in: query
+ *         description: 'The id of a vehicle registered by the connected user that has to fit in the parking slot, its dimensions are overridden by the vehicleLength, vehicleWidth and vehicleHeight parameters'
+ *         schema:
+ *           type: string
+ *           example: 655b2f7e8c1d4a2b9e3f1a20
+ *       - name: from
+ *         in: query
+ *         description: 'The start of the time window during which the parkings must be free and open (requires to)'
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-14T08:00:00.000Z
+ *       - name: to
+ *         in: query
+ *         description: 'The end of the time window during which the parkings must be free and open (requires from)'
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-14T17:00:00.000Z
  *       - name: location
  *         in: query
  *         description: 'The name of the municipality (in Switzerland) from which we want to retrieve the parkings'
@@ -203,6 +691,16 @@ const router = Router();
  *         schema:
  *           type: number
  *           example: 5
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (price, distance, rating, creationDate), descending if prefixed by a minus. The distance requires a location (location or lat and lng). The parkings around a location are sorted from the nearest one by default, the most recent parkings come first otherwise.'
+ *         schema:
+ *           type: string
+ *           example: price,-rating
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: List of all parkings
@@ -214,6 +712,24 @@ const router = Router();
  *                 status:
  *                   type: string
  *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 137
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 2
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 7
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
  *                 data:
  *                   type: object
  *                   properties:
@@ -241,6 +757,85 @@ const router = Router();
  *                 value:
  *                   status: fail
  *                   message: Please provide a numerical value for the maximum price.
+ *               sortExample:
+ *                 summary: Unknown sort key
+ *                 value:
+ *                   status: fail
+ *                   message: The results can only be sorted by price, distance, rating, creationDate.
+ *               limitExample:
+ *                 summary: Invalid number of results per page
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a number of results between 1 and 100 for the limit.
+ *               amenityExample:
+ *                 summary: Amenity filter is not a boolean
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide true or false for the covered variable.
+ *               vehicleDimensionExample:
+ *                 summary: Vehicle dimension is not a number
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a numerical value for the vehicleHeight variable.
+ *               availabilityDatesExample:
+ *                 summary: Invalid availability window
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid start and end date for the availability window.
+ *               availabilityOrderExample:
+ *                 summary: Availability window ending before its start
+ *                 value:
+ *                   status: fail
+ *                   message: The end of the availability window must be after its start.
+ *               unknownAddressExample:
+ *                 summary: Unknown searched location
+ *                 value:
+ *                   status: fail
+ *                   message: The address Atlantis couldn't be found.
+ *               invalidCenterExample:
+ *                 summary: Invalid latitude or longitude of the center of the search
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a numerical value for the latitude.
+ *       401:
+ *         description: Vehicle search without being logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please log in to search parkings for one of your vehicles.
+ *       404:
+ *         description: Non existing vehicle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested vehicle doesn't exist.
+ *       503:
+ *         description: Geocoding service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                   example: The geocoding service is currently unavailable. Please try again later.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -279,10 +874,16 @@ const router = Router();
  *                type: number
  *                description: The hourly price of the parking slot
  *                example: 2.5
+ *              pricing:
+ *                $ref: '#/components/schemas/Pricing'
+ *              dimensions:
+ *                $ref: '#/components/schemas/Dimensions'
+ *              amenities:
+ *                $ref: '#/components/schemas/Amenities'
  *              coordinates:
  *                type: array
  *                description: The coordinates of the parking slot (lat/long)
- *                example: [7.1455, 47.699]
+ *                example: [47.699, 7.1455]
  *                maxItems: 2
  *         multipart/form-data:
  *           schema:
@@ -309,10 +910,22 @@ const router = Router();
  *                type: number
  *                description: The hourly price of the parking slot
  *                example: 2.5
+ *              pricing:
+ *                type: string
+ *                description: The pricing rules of the parking slot in JSON format
+ *                example: '{"weekendPrice": 1.5, "freeMinutes": 15}'
+ *              dimensions:
+ *                type: string
+ *                description: The maximal dimensions of the vehicles in JSON format
+ *                example: '{"maxLength": 5, "maxHeight": 2.1}'
+ *              amenities:
+ *                type: string
+ *                description: The amenities of the parking slot in JSON format
+ *                example: '{"covered": true, "evCharger": {"connector": "type2", "power": 11}}'
  *              coordinates:
  *                type: array
  *                description: The coordinates of the parking (lat/long)
- *                example: [7.1455, 47.699]
+ *                example: [47.699, 7.1455]
  *                maxItems: 2
  *              photos:
  *                type: array
@@ -350,11 +963,21 @@ const router = Router();
  *                   status: fail
  *                   message: Invalid input data.
  *                   fields: [name: A parking slot name can't be longer than 30 characters.]
+ *               pricingFormatExample:
+ *                 summary: Pricing rules format error
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid pricing rules in JSON format.
  *               parkingPicturesFormatExample:
  *                 summary: Parking pictures format error
  *                 value:
  *                   status: fail
  *                   message: Not an image! Please upload only images.
+ *               unknownAddressExample:
+ *                 summary: No address at the coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: No address could be found at the provided coordinates.
  *       401:
  *         description: User login problems
  *         content:
@@ -376,6 +999,19 @@ const router = Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/RolePermissionError'
+ *       503:
+ *         description: Geocoding service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                   example: The geocoding service is currently unavailable. Please try again later.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -394,6 +1030,7 @@ router
     uploadParkingImages,
     saveParkingImages,
     createParking,
+    deleteParkingImages,
   );
 
 /**
@@ -403,6 +1040,17 @@ router
  *     tags:
  *       - Parking
  *     summary: Route used to get all provided parkings (accessible to providers only)
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (price, rating, creationDate), descending if prefixed by a minus. Most recent parkings first by default.'
+ *         schema:
+ *           type: string
+ *           example: -creationDate
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: List of all parkings provided by the user
@@ -414,6 +1062,24 @@ router
  *                 status:
  *                   type: string
  *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 137
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 2
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 7
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
  *                 data:
  *                   type: object
  *                   properties:
@@ -504,24 +1170,1741 @@ router
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.route('/:id').get(checkConnected, getParking);
-
 /**
  * @swagger
- * /parkings/{id}/validate:
+ * /parkings/{id}:
  *   patch:
  *     tags:
  *       - Parking
- *     summary: Route used to validate a parking requested by an user (accessible to admins only)
+ *     summary: Route used to modify a parking (accessible to the owner of the parking and the admins only)
+ *     description: Only the name, description, type, price, pricing rules, coordinates and photos can be modified. The modification of the price, the pricing rules or the location of a parking by its owner submits it again for validation.
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to validate
+ *         description: The id of the modified parking
  *         required: true
  *         type: string
- *     responses:
+ *     requestBody:
+ *       description: The modified fields of the parking
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking slot
+ *                example: Beautiful parking
+ *              description:
+ *                type: string
+ *                description: The description of the parking slot
+ *                example: Beautiful parking slot situated in Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the parking slot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the parking slot (submits the parking again for validation)
+ *                example: 2.5
+ *              pricing:
+ *                $ref: '#/components/schemas/Pricing'
+ *              dimensions:
+ *                $ref: '#/components/schemas/Dimensions'
+ *              amenities:
+ *                $ref: '#/components/schemas/Amenities'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking slot (lat/long, submits the parking again for validation)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *         multipart/form-data:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The name of the parking slot
+ *                example: Beautiful parking
+ *              description:
+ *                type: string
+ *                description: The description of the parking slot
+ *                example: Beautiful parking slot situated in Fribourg.
+ *              type:
+ *                type: string
+ *                description: The type of the parking slot (indoor/outdoor)
+ *                example: indoor
+ *              price:
+ *                type: number
+ *                description: The hourly price of the parking slot (submits the parking again for validation)
+ *                example: 2.5
+ *              pricing:
+ *                type: string
+ *                description: The pricing rules of the parking slot in JSON format (submits the parking again for validation)
+ *                example: '{"weekendPrice": 1.5, "freeMinutes": 15}'
+ *              dimensions:
+ *                type: string
+ *                description: The maximal dimensions of the vehicles in JSON format
+ *                example: '{"maxLength": 5, "maxHeight": 2.1}'
+ *              amenities:
+ *                type: string
+ *                description: The amenities of the parking slot in JSON format
+ *                example: '{"covered": true, "evCharger": {"connector": "type2", "power": 11}}'
+ *              coordinates:
+ *                type: array
+ *                description: The coordinates of the parking (lat/long, submits the parking again for validation)
+ *                example: [47.699, 7.1455]
+ *                maxItems: 2
+ *              photos:
+ *                type: array
+ *                description: The new photos of the parking slot, added after the existing ones (at most 10 photos in total)
+ *                items:
+ *                  type: string
+ *                  format: binary
+ *     responses:
+ *       200:
+ *         description: Successful modification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your parking modifications were submitted for validation.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Invalid modification
+ *         content:
+ *           application/json:
+ *             examples:
+ *               noFieldExample:
+ *                 summary: No editable field sent
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide at least one field to modify (name, description, type, price, pricing, dimensions, amenities, coordinates or photos).
+ *               tooManyPhotosExample:
+ *                 summary: More photos than the maximal number of photos of a parking
+ *                 value:
+ *                   status: fail
+ *                   message: A parking can't have more than 10 photos.
+ *               invalidCoordinatesExample:
+ *                 summary: Invalid coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid coordinates values for your location.
+ *               pricingFormatExample:
+ *                 summary: Pricing rules format error
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide valid pricing rules in JSON format.
+ *               reservedParkingExample:
+ *                 summary: Price or location modification of a reserved parking
+ *                 value:
+ *                   status: fail
+ *                   message: You can't modify the price or the location of a parking having active or upcoming reservations.
+ *               lotSharedFieldExample:
+ *                 summary: Modification of a field shared with the parking lot of a spot
+ *                 value:
+ *                   status: fail
+ *                   message: The type, price, pricing, location and photos of a spot are shared with its parking lot. Please modify the parking lot instead.
+ *               unknownAddressExample:
+ *                 summary: No address at the coordinates
+ *                 value:
+ *                   status: fail
+ *                   message: No address could be found at the provided coordinates.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parkings.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       503:
+ *         description: Geocoding service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                   example: The geocoding service is currently unavailable. Please try again later.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to delete a parking (accessible to the owner of the parking and the admins only)
+ *     description: The parking is kept in the database to preserve the history of its occupations, and its upcoming bookings are cancelled without fees.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the deleted parking
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: Successful deletion
+ *       400:
+ *         description: Deletion of an occupied parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can't delete a parking while it is occupied.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Deletion of the parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only delete your own parkings.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id')
+  .get(checkConnected, getParking)
+  .patch(
+    protect,
+    restrictTo('client', 'provider', 'admin'),
+    uploadParkingImages,
+    saveParkingImages,
+    updateParking,
+    deleteParkingImages,
+  )
+  .delete(protect, restrictTo('client', 'provider', 'admin'), deleteParking);
+
+/**
+ * @swagger
+ * /parkings/{id}/quote:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the price of an occupation of a parking for a specific time slot
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: start
+ *         in: query
+ *         description: The starting time of the occupation
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2023-11-22T07:00:00.000Z"
+ *       - name: end
+ *         in: query
+ *         description: The end time of the occupation
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2023-11-22T17:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: The quote of the occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quote:
+ *                       type: object
+ *                       properties:
+ *                         start:
+ *                           type: string
+ *                           example: "2023-11-22T07:00:00.000Z"
+ *                         end:
+ *                           type: string
+ *                           example: "2023-11-22T17:00:00.000Z"
+ *                         price:
+ *                           type: number
+ *                           example: 3.5
+ *                         pricing:
+ *                           $ref: '#/components/schemas/Pricing'
+ *                         total:
+ *                           type: number
+ *                           example: 25
+ *                         breakdown:
+ *                           type: object
+ *                           description: The details of the computation (free and billed minutes, hourly price of each part of the time slot, amount of each day)
+ *       400:
+ *         description: Invalid time slot
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDatesExample:
+ *                 summary: Invalid start or end dates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid start and end date for the quote.
+ *               invalidTimeSlotExample:
+ *                 summary: End before the start
+ *                 value:
+ *                   status: fail
+ *                   message: The end of a quote must be after its start.
+ *               tooLongTimeSlotExample:
+ *                 summary: Time slot longer than the maximal quote duration
+ *                 value:
+ *                   status: fail
+ *                   message: A quote can't cover more than 31 days.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.route('/:id/quote').get(getQuote);
+
+/**
+ * @swagger
+ * /parkings/{id}/reviews:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the reviews of a parking, with its average rating
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed parking
+ *         required: true
+ *         type: string
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (rating, creationDate), descending if prefixed by a minus. Most recent reviews first by default.'
+ *         schema:
+ *           type: string
+ *           example: -rating
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *     responses:
+ *       200:
+ *         description: List of the reviews of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 42
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 1
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 3
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ratingsAverage:
+ *                       type: number
+ *                       example: 4.3
+ *                     ratingsQuantity:
+ *                       type: number
+ *                       example: 12
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.route('/:id/reviews').get(getParkingReviews);
+
+/**
+ * @swagger
+ * /parkings/{id}/validate:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to validate a parking requested by an user (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to validate
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: The facultative comment of the approval
+ *                 example: Everything is fine.
+ *               thingy:
+ *                 type: string
+ *                 description: The name of the free thingy installed at the parking. A free thingy of the inventory is installed by default if the parking doesn't have one yet.
+ *                 example: blue-2
+ *     responses:
+ *       200:
+ *         description: The updated validated parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Parking that isn't submitted for validation, or no free thingy to install at it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: A parking in rejected state can't be approved.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking or thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/validate')
+  .patch(protect, restrictTo('admin'), validateParking);
+
+/**
+ * @swagger
+ * /parkings/{id}/reject:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to reject a parking submitted by an user (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the moderated parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: The reason of the rejection, sent to the owner
+ *                 example: Please add a photo of the entrance of the parking.
+ *     responses:
+ *       200:
+ *         description: The moderated parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Invalid moderation decision
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingCommentExample:
+ *                 summary: Missing comment
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a comment explaining your decision to the owner.
+ *               invalidTransitionExample:
+ *                 summary: Parking that can't be moderated in its current state
+ *                 value:
+ *                   status: fail
+ *                   message: A parking in approved state can't be rejected.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/reject').patch(protect, restrictTo('admin'), rejectParking);
+
+/**
+ * @swagger
+ * /parkings/{id}/request-changes:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to ask the owner of a submitted parking to modify it before its validation (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the moderated parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: The changes requested to the owner
+ *                 example: Please add a photo of the entrance of the parking.
+ *     responses:
+ *       200:
+ *         description: The moderated parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Invalid moderation decision
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingCommentExample:
+ *                 summary: Missing comment
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a comment explaining your decision to the owner.
+ *               invalidTransitionExample:
+ *                 summary: Parking that can't be moderated in its current state
+ *                 value:
+ *                   status: fail
+ *                   message: A parking in approved state can't be sent back for changes.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/request-changes')
+  .patch(protect, restrictTo('admin'), requestParkingChanges);
+
+/**
+ * @swagger
+ * /parkings/{id}/resubmit:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to submit again a parking for validation once the requested changes were made (accessible to the owner of the parking only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the resubmitted parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: The facultative comment of the owner for the admins
+ *                 example: I added a photo of the entrance.
+ *     responses:
+ *       200:
+ *         description: The resubmitted parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your parking was submitted again for validation.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Parking for which no changes were requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Only parkings for which changes were requested can be resubmitted.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Resubmission of the parking of another user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               RolePermissionExample:
+ *                 $ref: '#/components/examples/RolePermissionExample'
+ *               notOwnerExample:
+ *                 summary: Parking of another user
+ *                 value:
+ *                   status: fail
+ *                   message: You can only resubmit your own parkings.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/resubmit')
+  .patch(protect, restrictTo('client', 'provider'), resubmitParking);
+
+/**
+ * @swagger
+ * /parkings/{id}/start-reservation:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to reserve a parking (accessible to clients and providers only)
+ *     description: The reservation has to be confirmed by pressing on the button of the thingy of the parking. Its result is sent through the socket connection of the client (successful_reservation / unsuccessful_reservation events) and can be polled with the returned confirmation ticket. While the reservation is active, the same socket connection is warned before its stay limit expires (stay_expiring event) and when it is exceeded (stay_exceeded event).
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to reserve
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicle:
+ *                 type: string
+ *                 description: The id of the vehicle of the user used for the reservation, which has to fit in the parking
+ *                 example: 655b2f7e8c1d4a2b9e3f1a20
+ *     responses:
+ *       202:
+ *         description: The confirmation ticket of the reservation start, that has to be confirmed on the thingy of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Please confirm by pressing on the button of thingy blue-2.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       $ref: '#/components/schemas/ConfirmationTicket'
+ *       400:
+ *         description: Invalid requests done by the user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               ownParkingReservationExample:
+ *                 summary: Own parking reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't reserve your own parkings.
+ *               parkingOccupiedExample:
+ *                 summary: Already occupied parking reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is already occupied.
+ *               parkingBookedExample:
+ *                 summary: Parking booked by another user at this time
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is booked by another user at this time.
+ *               parkingClosedExample:
+ *                 summary: Parking closed at this time
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is closed at this time.
+ *               vehicleTooLargeExample:
+ *                 summary: Selected vehicle too large for the parking
+ *                 value:
+ *                   status: fail
+ *                   message: "Your vehicle doesn't fit in the requested parking (maximal height: 2.1 m)."
+ *       402:
+ *         description: Insufficient wallet balance for the expected price of the reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Your wallet balance is insufficient for this reservation (7 CHF required). Please top up your wallet.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking or vehicle
+ *         content:
+ *           application/json:
+ *             examples:
+ *               parkingNotFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               vehicleNotFoundExample:
+ *                 summary: Non existing vehicle
+ *                 value:
+ *                   status: fail
+ *                   message: The requested vehicle doesn't exist.
+ *       409:
+ *         description: Parking currently being reserved by another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking is currently being reserved by another user.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/start-reservation')
+  .patch(protect, restrictTo('client', 'provider'), startReservation);
+
+/**
+ * @swagger
+ * /parkings/{id}/end-reservation:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to end a parking reservation (accessible to clients and providers only)
+ *     description: The end of the reservation has to be confirmed by pressing on the button of the thingy of the parking. Its result is sent through the socket connection of the client (successful_end / unsuccessful_end events) and can be polled with the returned confirmation ticket. An overstay past the stay limit of the reservation is charged on top of its price.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to reserve
+ *         required: true
+ *         type: string
+ *     responses:
+ *       202:
+ *         description: The confirmation ticket of the reservation end, that has to be confirmed on the thingy of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Please confirm by pressing on the button of thingy blue-2.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       $ref: '#/components/schemas/ConfirmationTicket'
+ *       400:
+ *         description: Non-reserved parking end reservation attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You haven't reserved this parking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       409:
+ *         description: Reservation end already waiting for a confirmation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The end of your reservation is already waiting for a confirmation.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/end-reservation')
+  .patch(protect, restrictTo('client', 'provider'), endReservation);
+
+/**
+ * @swagger
+ * /parkings/{id}/confirmations/{ticketId}:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the state of a confirmation ticket of a reservation start or end (accessible to the user that requested the reservation only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: ticketId
+ *         in: path
+ *         description: The id of the confirmation ticket
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The confirmation ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       $ref: '#/components/schemas/ConfirmationTicket'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing confirmation ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested confirmation ticket doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/confirmations/:ticketId').get(protect, getConfirmation);
+
+/**
+ * @swagger
+ * /parkings/{id}/bookings:
+ *   post:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to book a parking for a future time slot (accessible to clients and providers only)
+ *     description: The booking has to be confirmed on the parking by starting a reservation during the booked time slot.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to book
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The time slot we want to book
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - start
+ *              - end
+ *            properties:
+ *              start:
+ *                type: string
+ *                description: The starting time of the booking
+ *                example: "2023-11-22T07:00:00.000Z"
+ *              end:
+ *                type: string
+ *                description: The end time of the booking
+ *                example: "2023-11-22T17:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: The new booked occupation of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: You booked the parking for the requested time slot.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *       400:
+ *         description: Invalid booking requests done by the user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDatesExample:
+ *                 summary: Invalid time slot dates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid start and end date for your booking.
+ *               tooLongBookingExample:
+ *                 summary: Time slot longer than the maximal booking duration
+ *                 value:
+ *                   status: fail
+ *                   message: A booking can't last more than 31 days.
+ *               ownParkingBookingExample:
+ *                 summary: Own parking booking attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't book your own parkings.
+ *               overlappingBookingExample:
+ *                 summary: Time slot overlapping with another booking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is not available during this time slot.
+ *               closingTimeExample:
+ *                 summary: Time slot outside of the opening hours of the parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking closes on 22.11.2023 at 18:00, before the end of this time slot.
+ *               maxStayExample:
+ *                 summary: Time slot longer than the maximum stay of the parking
+ *                 value:
+ *                   status: fail
+ *                   message: The maximum stay at the requested parking is 240 minutes.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/bookings')
+  .post(protect, restrictTo('client', 'provider'), createBooking);
+
+/**
+ * @swagger
+ * /parkings/{id}/cancel-reservation:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to cancel an own booking of a parking (accessible to clients and providers only)
+ *     description: The cancellation is free until the free cancellation delay before the start of the booking, a cancellation fee is charged otherwise.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the booked parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The booking we want to cancel (the next upcoming booking of the parking if not specified)
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              occupation:
+ *                type: string
+ *                description: The id of the booked occupation
+ *                example: 654ca08c20d9213ef42b9443
+ *     responses:
  *       200:
- *         description: The updated validated parking
+ *         description: The cancelled occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your booking was cancelled.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *       400:
+ *         description: Non-booked parking cancellation attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You haven't booked this parking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/cancel-reservation')
+  .patch(protect, restrictTo('client', 'provider'), cancelOwnReservation);
+
+/**
+ * @swagger
+ * /parkings/{id}/occupations/{occupationId}/cancel:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to cancel a booking or an active reservation of an own parking (accessible to providers and admins only)
+ *     description: The cancellation is free for the client. An active reservation is billed until its cancellation and the parking is freed.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: occupationId
+ *         in: path
+ *         description: The id of the occupation we want to cancel
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The reservation was cancelled.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking or reservation
+ *         content:
+ *           application/json:
+ *             examples:
+ *               parkingNotFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               reservationNotFoundExample:
+ *                 summary: Non existing or finished reservation
+ *                 value:
+ *                   status: fail
+ *                   message: The requested reservation doesn't exist or is already finished.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/occupations/:occupationId/cancel')
+  .patch(protect, restrictTo('provider', 'admin'), cancelParkingReservation);
+
+/**
+ * @swagger
+ * /parkings/{id}/schedule:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to modify the opening hours and the maximum stay of a parking (accessible to its owner and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               openingHours:
+ *                 type: array
+ *                 description: The weekly opening hours of the parking, an empty list makes it available 24/7
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       example: [1, 2, 3, 4, 5]
+ *                     from:
+ *                       type: string
+ *                       example: "08:00"
+ *                     to:
+ *                       type: string
+ *                       example: "18:00"
+ *               maxStay:
+ *                 type: number
+ *                 nullable: true
+ *                 description: The maximal duration (in minutes) of an occupation, null to remove it
+ *                 example: 240
+ *     responses:
+ *       200:
+ *         description: The modified schedule of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The schedule of your parking was successfully modified.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     schedule:
+ *                       $ref: '#/components/schemas/Schedule'
+ *       400:
+ *         description: Invalid schedule
+ *         content:
+ *           application/json:
+ *             examples:
+ *               noFieldExample:
+ *                 summary: No schedule field sent
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide the opening hours or the maximum stay of the parking.
+ *               invalidInputExample:
+ *                 summary: Invalid opening hours
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [schedule.openingHours.0.to: The closing time must be after the opening time.]
+ *               bookingConflictExample:
+ *                 summary: Upcoming bookings outside of the new schedule
+ *                 value:
+ *                   status: fail
+ *                   message: The new schedule conflicts with upcoming bookings of the parking. Please cancel them first.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parkings.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/schedule')
+  .patch(protect, restrictTo('client', 'provider', 'admin'), updateSchedule);
+
+/**
+ * @swagger
+ * /parkings/{id}/schedule/blackouts:
+ *   post:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to add a blackout period during which a parking isn't available (accessible to its owner and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start
+ *               - end
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-07-15T00:00:00.000Z"
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-08-05T00:00:00.000Z"
+ *               reason:
+ *                 type: string
+ *                 enum: [holiday, personal, other]
+ *                 example: holiday
+ *               comment:
+ *                 type: string
+ *                 example: Summer holidays, I use the parking myself.
+ *     responses:
+ *       201:
+ *         description: The schedule of the parking, containing the new blackout period
  *         content:
  *           application/json:
  *             schema:
@@ -530,11 +2913,34 @@ router.route('/:id').get(checkConnected, getParking);
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The blackout period was added to your parking.
  *                 data:
  *                   type: object
  *                   properties:
- *                     parking:
- *                       $ref: '#/components/schemas/Parking'
+ *                     schedule:
+ *                       $ref: '#/components/schemas/Schedule'
+ *       400:
+ *         description: Invalid blackout period
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDatesExample:
+ *                 summary: Invalid dates
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid start and end date for the blackout period.
+ *               pastExample:
+ *                 summary: Blackout period in the past
+ *                 value:
+ *                   status: fail
+ *                   message: You can't add a blackout period in the past.
+ *               reservationConflictExample:
+ *                 summary: Active or upcoming reservations during the blackout period
+ *                 value:
+ *                   status: fail
+ *                   message: The blackout period overlaps active or upcoming reservations of the parking. Please cancel them first.
  *       401:
  *         description: User login problems
  *         content:
@@ -551,11 +2957,18 @@ router.route('/:id').get(checkConnected, getParking);
  *               tokenExpiredExample:
  *                 $ref: '#/components/examples/tokenExpiredExample'
  *       403:
- *         description: Forbidden access due to role
+ *         description: Modification of the parking of another user
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/RolePermissionError'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parkings.
  *       404:
  *         description: Non existing parking
  *         content:
@@ -579,25 +2992,117 @@ router.route('/:id').get(checkConnected, getParking);
  *       - bearerAuth: []
  */
 router
-  .route('/:id/validate')
-  .patch(protect, restrictTo('admin'), validateParking);
+  .route('/:id/schedule/blackouts')
+  .post(protect, restrictTo('client', 'provider', 'admin'), addBlackout);
 
 /**
  * @swagger
- * /parkings/{id}/start-reservation:
+ * /parkings/{id}/schedule/blackouts/{blackoutId}:
+ *   delete:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to remove a blackout period of a parking (accessible to its owner and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: blackoutId
+ *         in: path
+ *         description: The id of the blackout period
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: The blackout period was removed
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parkings.
+ *       404:
+ *         description: Non existing parking or blackout period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested blackout period doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/schedule/blackouts/:blackoutId')
+  .delete(protect, restrictTo('client', 'provider', 'admin'), removeBlackout);
+
+/**
+ * @swagger
+ * /parkings/{id}/photos:
  *   patch:
  *     tags:
  *       - Parking
- *     summary: Route used to reserve a parking (accessible to clients and providers only)
+ *     summary: Route used to reorder the photos of a parking, the first photo becomes its cover photo (accessible to its owner and the admins)
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to reserve
+ *         description: The id of the parking
  *         required: true
  *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photos
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 description: All the photos of the parking (filenames or URLs) in their new order
+ *                 items:
+ *                   type: string
+ *                 example:
+ *                   - parking-642c38f3b7ed1dbd25858e9e-1a2b3c4d-1700000000000.jpeg
+ *                   - parking-642c38f3b7ed1dbd25858e9e-5e6f7a8b-1700000000001.jpeg
  *     responses:
  *       200:
- *         description: The new created occupation of the parking
+ *         description: The parking with its modified photos
  *         content:
  *           application/json:
  *             schema:
@@ -606,54 +3111,34 @@ router
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The photos of your parking were reordered.
  *                 data:
  *                   type: object
  *                   properties:
- *                     occupation:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                           example: 654ca08c20d9213ef42b9443
- *                         start:
- *                           type: string
- *                           example: "2023-11-22T12:23:24.012Z"
- *                         client:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                               example: 654ca08c20d9213ef42b9443
- *                             username:
- *                               type: string
- *                               example: johndoe23
- *                             email:
- *                               type: string
- *                               example: johndoe23@example.com
- *                         parking:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                               example: 6554db94e474b43b04d7b2d2
- *                             name:
- *                               type: string
- *                               example: Beautiful parking in fribourg
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
  *       400:
- *         description: Invalid requests done by the user
+ *         description: Invalid photo order
  *         content:
  *           application/json:
  *             examples:
- *               ownParkingReservationExample:
- *                 summary: Own parking reservation attempt
+ *               orderExample:
+ *                 summary: Incomplete photo order
  *                 value:
  *                   status: fail
- *                   message: You can't reserve your own parkings.
- *               parkingOccupiedExample:
- *                 summary: Already occupied parking reservation attempt
+ *                   message: Please provide all the photos of the parking in their new order.
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
  *                 value:
  *                   status: fail
- *                   message: The requested parking is already occupied.
+ *                   message: The photos of the parking were modified in the meantime. Please try again.
+ *               spotExample:
+ *                 summary: Photos of a spot of a parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of a spot are shared with its parking lot. Please modify the photos of the parking lot instead.
  *       401:
  *         description: User login problems
  *         content:
@@ -670,13 +3155,71 @@ router
  *               tokenExpiredExample:
  *                 $ref: '#/components/examples/tokenExpiredExample'
  *       403:
- *         description: Forbidden access due to role
+ *         description: Modification of the parking of another user
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/RolePermissionError'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only modify your own parkings.
  *       404:
- *         description: Non existing parking
+ *         description: Non existing parking or photo
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/photos')
+  .patch(
+    protect,
+    restrictTo('client', 'provider', 'admin'),
+    reorderParkingPhotos,
+  );
+
+/**
+ * @swagger
+ * /parkings/{id}/photos/{photo}:
+ *   delete:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to delete a photo of a parking with its resized variants, the next photo becomes the cover if the cover photo is deleted (accessible to its owner and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: photo
+ *         in: path
+ *         description: The filename of the photo (the last segment of its URL)
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The parking with its modified photos
  *         content:
  *           application/json:
  *             schema:
@@ -684,12 +3227,47 @@ router
  *               properties:
  *                 status:
  *                   type: string
- *                   example: fail
+ *                   example: success
  *                 message:
  *                   type: string
- *                   example: The requested parking doesn't exist.
- *       408:
- *         description: Confirmation timeout expired
+ *                   example: The photo was deleted from your parking.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       400:
+ *         description: Invalid photo modification
+ *         content:
+ *           application/json:
+ *             examples:
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of the parking were modified in the meantime. Please try again.
+ *               spotExample:
+ *                 summary: Photos of a spot of a parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of a spot are shared with its parking lot. Please modify the photos of the parking lot instead.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Modification of the parking of another user
  *         content:
  *           application/json:
  *             schema:
@@ -700,7 +3278,22 @@ router
  *                   example: fail
  *                 message:
  *                   type: string
- *                   example: Timeout waiting for button click expired.
+ *                   example: You can only modify your own parkings.
+ *       404:
+ *         description: Non existing parking or photo
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -711,25 +3304,34 @@ router
  *       - bearerAuth: []
  */
 router
-  .route('/:id/start-reservation')
-  .patch(protect, restrictTo('client', 'provider'), startReservation);
+  .route('/:id/photos/:photo')
+  .delete(
+    protect,
+    restrictTo('client', 'provider', 'admin'),
+    deleteParkingPhoto,
+  );
 
 /**
  * @swagger
- * /parkings/{id}/end-reservation:
+ * /parkings/{id}/photos/{photo}/cover:
  *   patch:
  *     tags:
  *       - Parking
- *     summary: Route used to end a parking reservation (accessible to clients and providers only)
+ *     summary: Route used to choose the cover photo of a parking, shown first in the listings, the other photos keep their order (accessible to its owner and the admins)
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to reserve
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: photo
+ *         in: path
+ *         description: The filename of the photo (the last segment of its URL)
  *         required: true
  *         type: string
  *     responses:
  *       200:
- *         description: The updated occupation of the parking
+ *         description: The parking with its modified photos
  *         content:
  *           application/json:
  *             schema:
@@ -738,24 +3340,29 @@ router
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The cover photo of your parking was changed.
  *                 data:
  *                   type: object
  *                   properties:
- *                     occupation:
- *                       $ref: '#/components/schemas/Occupation'
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
  *       400:
- *         description: Non-reserved parking end reservation attempt
+ *         description: Invalid photo modification
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *                   example: You haven't reserved this parking.
+ *             examples:
+ *               conflictExample:
+ *                 summary: Photos modified in the meantime
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of the parking were modified in the meantime. Please try again.
+ *               spotExample:
+ *                 summary: Photos of a spot of a parking lot
+ *                 value:
+ *                   status: fail
+ *                   message: The photos of a spot are shared with its parking lot. Please modify the photos of the parking lot instead.
  *       401:
  *         description: User login problems
  *         content:
@@ -772,13 +3379,7 @@ router
  *               tokenExpiredExample:
  *                 $ref: '#/components/examples/tokenExpiredExample'
  *       403:
- *         description: Forbidden access due to role
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/RolePermissionError'
- *       404:
- *         description: Non existing parking
+ *         description: Modification of the parking of another user
  *         content:
  *           application/json:
  *             schema:
@@ -789,20 +3390,22 @@ router
  *                   example: fail
  *                 message:
  *                   type: string
- *                   example: The requested parking doesn't exist.
- *       408:
- *         description: Confirmation timeout expired
+ *                   example: You can only modify your own parkings.
+ *       404:
+ *         description: Non existing parking or photo
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *                   example: Timeout waiting for button click expired.
+ *             examples:
+ *               notFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               photoExample:
+ *                 summary: Non existing photo
+ *                 value:
+ *                   status: fail
+ *                   message: The requested photo doesn't exist.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -813,7 +3416,11 @@ router
  *       - bearerAuth: []
  */
 router
-  .route('/:id/end-reservation')
-  .patch(protect, restrictTo('client', 'provider'), endReservation);
+  .route('/:id/photos/:photo/cover')
+  .patch(
+    protect,
+    restrictTo('client', 'provider', 'admin'),
+    setParkingCoverPhoto,
+  );
 
 module.exports = router;
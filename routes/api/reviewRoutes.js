@@ -0,0 +1,504 @@
+/**
+ * Review resource router of the REST API.
+ * @module reviewRoutes
+ */
+
+const { Router } = require('express');
+const {
+  replyToReview,
+  reportReview,
+  getReportedReviews,
+  moderateReview,
+} = require('../../controllers/reviewController');
+const { protect, restrictTo } = require('../../controllers/authController');
+
+/**
+ * The Review resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the review
+ *           example: 655d1e2f3a4b5c6d7e8f9a01
+ *         occupation:
+ *           type: string
+ *           description: The reviewed occupation, reviewed only once
+ *           example: 655a6d1d2ac8d3e6e7b5d2b1
+ *         parking:
+ *           type: string
+ *           example: 6543f9a1f4f2a2d0d2a9c3b4
+ *         client:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe27
+ *         provider:
+ *           type: string
+ *           description: The owner of the reviewed parking
+ *           example: 642c38f3b7ed1dbd25858e9e
+ *         rating:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 4
+ *         text:
+ *           type: string
+ *           example: Easy to find and close to the station.
+ *         reply:
+ *           type: object
+ *           description: The reply of the provider
+ *           properties:
+ *             text:
+ *               type: string
+ *               example: Thank you, see you soon!
+ *             date:
+ *               type: string
+ *               example: "2023-11-23T08:15:00.000Z"
+ *         status:
+ *           type: string
+ *           enum: [published, reported, hidden]
+ *           description: The moderation state of the review, the hidden reviews aren't shown nor counted in the average ratings
+ *           example: published
+ *         reports:
+ *           type: array
+ *           description: The reports of the review (only listed to the admins)
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 example: 655b2f7e8c1d4a2b9e3f1a20
+ *               reason:
+ *                 type: string
+ *                 example: Insulting language.
+ *               date:
+ *                 type: string
+ *                 example: "2023-11-23T10:00:00.000Z"
+ *         moderation:
+ *           type: object
+ *           description: The last moderation decision of an admin on the review
+ *           properties:
+ *             by:
+ *               type: string
+ *               example: 6550b1e4f2a9c3d4e5f6a7b8
+ *             comment:
+ *               type: string
+ *               example: The review respects the rules of the platform.
+ *             date:
+ *               type: string
+ *               example: "2023-11-24T09:00:00.000Z"
+ *         creationDate:
+ *           type: string
+ *           example: "2023-11-22T18:30:00.000Z"
+ */
+
+/**
+ * @swagger
+ * /reviews/reported:
+ *   get:
+ *     tags:
+ *       - Review
+ *     summary: Route used to get the reported reviews waiting for a moderation decision, with their reports (accessible to admins only)
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (rating, creationDate), descending if prefixed by a minus. Oldest reviews first by default.'
+ *         schema:
+ *           type: string
+ *           example: creationDate
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *     responses:
+ *       200:
+ *         description: List of the reported reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 42
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 1
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 3
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/reported').get(protect, restrictTo('admin'), getReportedReviews);
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   patch:
+ *     tags:
+ *       - Review
+ *     summary: Route used to reply to a review of one of the parkings of the connected user, replacing the previous reply (accessible to clients and providers only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the review
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: Thank you, see you soon!
+ *     responses:
+ *       200:
+ *         description: Successful reply
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your reply was successfully published.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid reply
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingTextExample:
+ *                 summary: Missing reply text
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide the text of your reply.
+ *               tooLongExample:
+ *                 summary: Reply text too long
+ *                 value:
+ *                   status: fail
+ *                   message: A reply can't be longer than 1000 characters.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role or reply to the review of the parking of another user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 $ref: '#/components/examples/RolePermissionExample'
+ *               notOwnerExample:
+ *                 summary: Reply to the review of the parking of another user
+ *                 value:
+ *                   status: fail
+ *                   message: You can only reply to the reviews of your parkings.
+ *       404:
+ *         description: Non existing review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested review doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/reply')
+  .patch(protect, restrictTo('client', 'provider'), replyToReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/report:
+ *   post:
+ *     tags:
+ *       - Review
+ *     summary: Route used to report an inappropriate review to the admins, only once per user
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the review
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Insulting language.
+ *     responses:
+ *       200:
+ *         description: Successful report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The review was reported to the admins.
+ *       400:
+ *         description: Invalid report
+ *         content:
+ *           application/json:
+ *             examples:
+ *               ownReviewExample:
+ *                 summary: Report of an own review
+ *                 value:
+ *                   status: fail
+ *                   message: You can't report your own reviews.
+ *               alreadyReportedExample:
+ *                 summary: Review already reported by the user
+ *                 value:
+ *                   status: fail
+ *                   message: You have already reported this review.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested review doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/report').post(protect, reportReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/moderate:
+ *   patch:
+ *     tags:
+ *       - Review
+ *     summary: Route used to publish again or hide a review, the hidden reviews aren't shown nor counted in the average ratings (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the review
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [publish, hide]
+ *                 example: hide
+ *               comment:
+ *                 type: string
+ *                 example: The review contains insults.
+ *     responses:
+ *       200:
+ *         description: Successful moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The review was hidden.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid moderation decision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide a valid moderation decision (publish or hide).
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested review doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/moderate')
+  .patch(protect, restrictTo('admin'), moderateReview);
+
+module.exports = router;
@@ -11,7 +11,15 @@ const {
   setBuzzer,
   setLEDColor,
   getRating,
+  getAllThingies,
+  createThingy,
+  assignThingy,
+  unassignThingy,
+  resolveDevice,
+  setSubstitute,
+  removeSubstitute,
 } = require('../../controllers/thingyController');
+const { protect, restrictTo } = require('../../controllers/authController');
 
 /**
  * The Thingy resource router.
@@ -19,6 +27,644 @@ const {
  */
 const router = Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Thingy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the thingy
+ *           example: 6554ac1b3f9d1c2a8e4b7f01
+ *         name:
+ *           type: string
+ *           description: The name of the thingy device
+ *           example: blue-2
+ *         status:
+ *           type: string
+ *           enum: [unassigned, assigned]
+ *           description: The assignment status of the thingy in the inventory
+ *           example: assigned
+ *         parking:
+ *           type: object
+ *           description: The parking at which the thingy is installed
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 642c38f3b7ed1dbd25858e9e
+ *             name:
+ *               type: string
+ *               example: Beautiful parking slot
+ *         installedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The installation date of the thingy at its current parking
+ *         uninstalledAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date at which the thingy was uninstalled from its last parking
+ *         installations:
+ *           type: array
+ *           description: The history of the installations of the thingy
+ *           items:
+ *             type: object
+ *             properties:
+ *               parking:
+ *                 type: string
+ *                 example: 642c38f3b7ed1dbd25858e9e
+ *               installedAt:
+ *                 type: string
+ *                 format: date-time
+ *               uninstalledAt:
+ *                 type: string
+ *                 format: date-time
+ *         substitutedBy:
+ *           type: object
+ *           description: The device replacing the thingy, used by its reservations and its telemetry
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554ac1b3f9d1c2a8e4b7f03
+ *             name:
+ *               type: string
+ *               example: blue-3
+ *         substitutions:
+ *           type: array
+ *           description: The audit trail of the substitutions of the thingy
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [substituted, restored]
+ *                 example: substituted
+ *               substitute:
+ *                 type: string
+ *                 description: The id of the substitute
+ *                 example: 6554ac1b3f9d1c2a8e4b7f03
+ *               by:
+ *                 type: string
+ *                 description: The id of the admin that changed the substitution
+ *                 example: 642c38f3b7ed1dbd25858e9a
+ *               reason:
+ *                 type: string
+ *                 example: The button of the device is broken.
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /things:
+ *   get:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to get the inventory of the thingies (accessible to admins only)
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         description: Filter the thingies by assignment status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [unassigned, assigned]
+ *     responses:
+ *       200:
+ *         description: The thingies of the inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid status filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The status of the thingies can only be unassigned or assigned.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to register a new thingy in the inventory (accessible to admins only)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name of the thingy device
+ *                 example: blue-4
+ *     responses:
+ *       201:
+ *         description: The registered thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Missing or already used name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: A thingy with this name already exists.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(protect, restrictTo('admin'), getAllThingies)
+  .post(protect, restrictTo('admin'), createThingy);
+
+/**
+ * @swagger
+ * /things/{thingyId}/assign:
+ *   patch:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to install a thingy at a parking, moving it from its current parking if it is installed elsewhere (accessible to admins only)
+ *     parameters:
+ *       - name: thingyId
+ *         in: path
+ *         description: The name of the thingy
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parking:
+ *                 type: string
+ *                 description: The id of the parking at which the thingy is installed
+ *                 example: 642c38f3b7ed1dbd25858e9e
+ *     responses:
+ *       200:
+ *         description: The installed thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Thingy already installed at the parking, or parkings in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: A thingy can't be moved while its parkings are in use.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy or parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:thingyId/assign')
+  .patch(protect, restrictTo('admin'), assignThingy);
+
+/**
+ * @swagger
+ * /things/{thingyId}/unassign:
+ *   patch:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to uninstall a thingy from its parking and set it back as free in the inventory (accessible to admins only)
+ *     parameters:
+ *       - name: thingyId
+ *         in: path
+ *         description: The name of the thingy
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The uninstalled thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Thingy not installed, or parking in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: A thingy can't be uninstalled while its parking is in use.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:thingyId/unassign')
+  .patch(protect, restrictTo('admin'), unassignThingy);
+
+/**
+ * @swagger
+ * /things/{thingyId}/substitute:
+ *   patch:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to mark a thingy as substituted by another device, used instead of it for the reservations and the telemetry (accessible to admins only)
+ *     parameters:
+ *       - name: thingyId
+ *         in: path
+ *         description: The name of the substituted thingy
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               substitute:
+ *                 type: string
+ *                 description: The name of the device replacing the thingy
+ *                 example: blue-3
+ *               reason:
+ *                 type: string
+ *                 description: The reason of the substitution, recorded in the audit trail
+ *                 example: The button of the device is broken.
+ *     responses:
+ *       200:
+ *         description: The substituted thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy blue-1 is now substituted by blue-3.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid substitute (itself, cycle, installed at another parking or already replacing another thingy)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The substitute thingy is installed at another parking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy or substitute
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to remove the substitution of a thingy, such that it is used again for the reservations and the telemetry (accessible to admins only)
+ *     parameters:
+ *       - name: thingyId
+ *         in: path
+ *         description: The name of the substituted thingy
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: The reason of the restoration, recorded in the audit trail
+ *                 example: The device was repaired.
+ *     responses:
+ *       200:
+ *         description: The restored thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy blue-1 is no longer substituted.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Thingy not substituted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy is not substituted.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:thingyId/substitute')
+  .patch(protect, restrictTo('admin'), setSubstitute)
+  .delete(protect, restrictTo('admin'), removeSubstitute);
+
 router.route('/:thingyId').get(getThingDescription);
 
 /**
@@ -98,7 +744,7 @@ router.route('/:thingyId').get(getThingDescription);
  *               status: error
  *               message: An error occurred while fetching data ...
  */
-router.route('/:thingyId/properties/:property').get(getProperty);
+router.route('/:thingyId/properties/:property').get(resolveDevice, getProperty);
 
 /**
  * @swagger
@@ -171,7 +817,9 @@ router.route('/:thingyId/properties/:property').get(getProperty);
  *                   type: string
  *                   example: No timer has been started for the last 2d ...
  */
-router.route('/:thingyId/properties/BUTTON/timer').get(getButtonTimer);
+router
+  .route('/:thingyId/properties/BUTTON/timer')
+  .get(resolveDevice, getButtonTimer);
 
 /**
  * @swagger
@@ -240,7 +888,7 @@ router.route('/:thingyId/properties/BUTTON/timer').get(getButtonTimer);
  */
 router
   .route('/:thingyId/properties/:property/statistics/:statistic')
-  .get(getStatisticOfProperty);
+  .get(resolveDevice, getStatisticOfProperty);
 
 /**
  * @swagger
@@ -290,7 +938,9 @@ router
  *               status: error
  *               message: An error occurred while processing the request.
  */
-router.route('/:thingyId/properties/BUZZER/:setting').post(setBuzzer);
+router
+  .route('/:thingyId/properties/BUZZER/:setting')
+  .post(resolveDevice, setBuzzer);
 
 /**
  * @swagger
@@ -340,7 +990,9 @@ router.route('/:thingyId/properties/BUZZER/:setting').post(setBuzzer);
  *               status: error
  *               message: An error occurred while processing the request.
  */
-router.route('/:thingyId/properties/LED/setColor/:color').post(setLEDColor);
+router
+  .route('/:thingyId/properties/LED/setColor/:color')
+  .post(resolveDevice, setLEDColor);
 
 /**
  * @swagger
@@ -398,6 +1050,6 @@ router.route('/:thingyId/properties/LED/setColor/:color').post(setLEDColor);
  *                       example: 4.5
  *                       description: The overall final rating
  */
-router.route('/:thingyId/rating').get(getRating);
+router.route('/:thingyId/rating').get(resolveDevice, getRating);
 
 module.exports = router;
@@ -32,6 +32,39 @@ const {
   resizeUserPhoto,
   updateUser,
 } = require('../../controllers/userController');
+const {
+  getMyWallet,
+  topUpMyWallet,
+  getMyLedger,
+} = require('../../controllers/walletController');
+const {
+  getMyEarnings,
+  getMyStatement,
+} = require('../../controllers/earningsController');
+const {
+  getMyVehicles,
+  addVehicle,
+  updateVehicle,
+  deleteVehicle,
+} = require('../../controllers/vehicleController');
+const {
+  getMyFavourites,
+  addFavourite,
+  updateFavourite,
+  deleteFavourite,
+} = require('../../controllers/favouriteController');
+const {
+  keepSearchQuery,
+  createSavedSearch,
+  getMySavedSearches,
+  loadSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} = require('../../controllers/savedSearchController');
+const {
+  handleParkingQuery,
+  getAllParkings,
+} = require('../../controllers/parkingController');
 
 /**
  * The User resource router.
@@ -66,6 +99,14 @@ const router = Router();
  *           type: string
  *           description: The profile picture of the user
  *           example: http://localhost:3001/public/img/users/default.jpeg
+ *         ratingsAverage:
+ *           type: number
+ *           description: The average rating (1 to 5) given to the parkings of the user in the reviews of the clients
+ *           example: 4.3
+ *         ratingsQuantity:
+ *           type: number
+ *           description: The number of reviews of the parkings of the user
+ *           example: 12
  */
 
 /**
@@ -137,6 +178,56 @@ const router = Router();
  *           example: You don't have permission to perform this action.
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     pageParam:
+ *       name: page
+ *       in: query
+ *       description: The page of results to retrieve (1 by default)
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         example: 2
+ *     limitParam:
+ *       name: limit
+ *       in: query
+ *       description: The number of results per page (20 by default, 100 at most)
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         example: 20
+ *     cursorParam:
+ *       name: cursor
+ *       in: query
+ *       description: The cursor of the page of results to retrieve, given in the links of the previous response. Send an empty cursor to start a cursor pagination instead of the page one.
+ *       schema:
+ *         type: string
+ *     fieldsParam:
+ *       name: fields
+ *       in: query
+ *       description: The comma separated list of the fields of the results to retrieve (all fields by default)
+ *       schema:
+ *         type: string
+ *         example: name,price
+ *   schemas:
+ *     PaginationLinks:
+ *       type: object
+ *       properties:
+ *         next:
+ *           type: string
+ *           nullable: true
+ *           description: The link to the next page of results, null on the last page
+ *           example: http://localhost:3001/api/parkings?limit=20&page=3
+ *         prev:
+ *           type: string
+ *           nullable: true
+ *           description: The link to the previous page of results, null on the first page
+ *           example: http://localhost:3001/api/parkings?limit=20&page=1
+ */
+
 /**
  * @swagger
  * components:
@@ -165,6 +256,17 @@ const router = Router();
  *     tags:
  *       - User
  *     summary: Route used to get all the users
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (username, email), descending if prefixed by a minus. Sorted by username by default.'
+ *         schema:
+ *           type: string
+ *           example: username
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: List of all users
@@ -176,6 +278,24 @@ const router = Router();
  *                 status:
  *                   type: string
  *                   example: success
+ *                 results:
+ *                   type: number
+ *                   description: The number of results of the page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: The total number of results matching the query
+ *                   example: 137
+ *                 page:
+ *                   type: number
+ *                   description: The current page (page pagination only)
+ *                   example: 2
+ *                 pages:
+ *                   type: number
+ *                   description: The total number of pages
+ *                   example: 7
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
  *                 data:
  *                   type: object
  *                   properties:
@@ -1069,6 +1189,1709 @@ router
   .get(queryMe, getUser)
   .patch(queryMe, uploadUserPhoto, resizeUserPhoto, updateUser);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wallet:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6558c14c11b4b1d4bb7a7c8b
+ *         user:
+ *           type: string
+ *           description: The owner of the wallet
+ *           example: 654ca08c20d9213ef42b9443
+ *         balance:
+ *           type: number
+ *           description: The total amount of money of the wallet, including the held funds
+ *           example: 50
+ *         held:
+ *           type: number
+ *           description: The amount of money held for the active occupations of the user
+ *           example: 7
+ *         available:
+ *           type: number
+ *           description: The amount of money that can be spent
+ *           example: 43
+ *         currency:
+ *           type: string
+ *           example: CHF
+ *         creationDate:
+ *           type: string
+ *           example: "2023-11-18T13:44:12.308Z"
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6558c1d011b4b1d4bb7a7c95
+ *         wallet:
+ *           type: string
+ *           example: 6558c14c11b4b1d4bb7a7c8b
+ *         user:
+ *           type: string
+ *           example: 654ca08c20d9213ef42b9443
+ *         type:
+ *           type: string
+ *           enum: [top-up, hold, release, capture, refund]
+ *           example: top-up
+ *         amount:
+ *           type: number
+ *           example: 50
+ *         balance:
+ *           type: number
+ *           description: The balance of the wallet after the movement
+ *           example: 50
+ *         held:
+ *           type: number
+ *           description: The held amount of the wallet after the movement
+ *           example: 0
+ *         occupation:
+ *           type: object
+ *           description: The occupation related to the movement
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 655a6d1d2ac8d3e6e7b5d2b1
+ *             parking:
+ *               type: string
+ *               example: 6543f9a1f4f2a2d0d2a9c3b4
+ *             start:
+ *               type: string
+ *               example: "2023-11-22T07:00:00.000Z"
+ *             end:
+ *               type: string
+ *               example: "2023-11-22T09:00:00.000Z"
+ *         provider:
+ *           type: string
+ *           description: The payment provider that processed the top-up
+ *           example: fake
+ *         reference:
+ *           type: string
+ *           description: The reference of the top-up transaction on the payment provider
+ *           example: fake_ch_0b3c1a7e-3f1d-4d7c-9a5e-2c9b1f0e6a11
+ *         description:
+ *           type: string
+ *           example: Top-up of the wallet.
+ *         date:
+ *           type: string
+ *           example: "2023-11-18T13:46:24.110Z"
+ */
+
+/**
+ * @swagger
+ * /users/me/wallet:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get the wallet of the connected user
+ *     responses:
+ *       200:
+ *         description: The wallet of the connected user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     wallet:
+ *                       $ref: '#/components/schemas/Wallet'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/wallet').get(getMyWallet);
+
+/**
+ * @swagger
+ * /users/me/wallet/top-up:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Route used to add money on the wallet of the connected user, charged on his payment source
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - source
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: The amount of money added to the wallet
+ *                 example: 50
+ *               source:
+ *                 type: string
+ *                 description: The token identifying the payment source of the user on the payment provider (tok_declined is always declined by the fake provider)
+ *                 example: tok_visa
+ *     responses:
+ *       200:
+ *         description: Successful top-up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your wallet was successfully topped up.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     wallet:
+ *                       $ref: '#/components/schemas/Wallet'
+ *       400:
+ *         description: Invalid top-up
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidAmountExample:
+ *                 summary: Invalid amount
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid amount between 0 and 1000.
+ *               missingSourceExample:
+ *                 summary: Missing payment source
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a payment source.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       402:
+ *         description: Payment declined by the payment provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Your payment was declined.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/wallet/top-up').post(topUpMyWallet);
+
+/**
+ * @swagger
+ * /users/me/wallet/ledger:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get all the money movements recorded on the wallet of the connected user
+ *     responses:
+ *       200:
+ *         description: List of the movements, from the most recent one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/wallet/ledger').get(getMyLedger);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Vehicle:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 655b2f7e8c1d4a2b9e3f1a20
+ *         plate:
+ *           type: string
+ *           description: The license plate of the vehicle, stored in uppercase
+ *           example: VD 123456
+ *         make:
+ *           type: string
+ *           example: Volkswagen
+ *         model:
+ *           type: string
+ *           example: ID.3
+ *         length:
+ *           type: number
+ *           description: The length of the vehicle in meters
+ *           example: 4.26
+ *         width:
+ *           type: number
+ *           description: The width of the vehicle in meters
+ *           example: 1.81
+ *         height:
+ *           type: number
+ *           description: The height of the vehicle in meters
+ *           example: 1.55
+ *         isElectric:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /users/me/vehicles:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get all the vehicles registered by the connected user
+ *     responses:
+ *       200:
+ *         description: List of the vehicles of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Vehicle'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Route used to register a new vehicle for the connected user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plate
+ *             properties:
+ *               plate:
+ *                 type: string
+ *                 example: VD 123456
+ *               make:
+ *                 type: string
+ *                 example: Volkswagen
+ *               model:
+ *                 type: string
+ *                 example: ID.3
+ *               length:
+ *                 type: number
+ *                 description: The length of the vehicle in meters
+ *                 example: 4.26
+ *               width:
+ *                 type: number
+ *                 description: The width of the vehicle in meters
+ *                 example: 1.81
+ *               height:
+ *                 type: number
+ *                 description: The height of the vehicle in meters
+ *                 example: 1.55
+ *               isElectric:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Successful registration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your vehicle was successfully registered.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: Invalid vehicle
+ *         content:
+ *           application/json:
+ *             examples:
+ *               duplicatePlateExample:
+ *                 summary: Plate already registered
+ *                 value:
+ *                   status: fail
+ *                   message: You have already registered a vehicle with this plate.
+ *               missingPlateExample:
+ *                 summary: Missing plate
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide the license plate of your vehicle.
+ *               negativeDimensionExample:
+ *                 summary: Negative dimension
+ *                 value:
+ *                   status: fail
+ *                   message: A dimension can't be negative.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/vehicles').get(getMyVehicles).post(addVehicle);
+
+/**
+ * @swagger
+ * /users/me/vehicles/{vehicleId}:
+ *   patch:
+ *     tags:
+ *       - User
+ *     summary: Route used to update a vehicle registered by the connected user
+ *     parameters:
+ *       - name: vehicleId
+ *         in: path
+ *         description: The id of the vehicle
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 655b2f7e8c1d4a2b9e3f1a20
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plate:
+ *                 type: string
+ *                 example: VD 123456
+ *               make:
+ *                 type: string
+ *                 example: Volkswagen
+ *               model:
+ *                 type: string
+ *                 example: ID.3
+ *               length:
+ *                 type: number
+ *                 description: The length of the vehicle in meters
+ *                 example: 4.26
+ *               width:
+ *                 type: number
+ *                 description: The width of the vehicle in meters
+ *                 example: 1.81
+ *               height:
+ *                 type: number
+ *                 description: The height of the vehicle in meters
+ *                 example: 1.55
+ *               isElectric:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Successful update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your vehicle was successfully updated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: Invalid vehicle
+ *         content:
+ *           application/json:
+ *             examples:
+ *               duplicatePlateExample:
+ *                 summary: Plate already registered
+ *                 value:
+ *                   status: fail
+ *                   message: You have already registered a vehicle with this plate.
+ *               missingPlateExample:
+ *                 summary: Missing plate
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide the license plate of your vehicle.
+ *               negativeDimensionExample:
+ *                 summary: Negative dimension
+ *                 value:
+ *                   status: fail
+ *                   message: A dimension can't be negative.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Vehicle not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested vehicle doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - User
+ *     summary: Route used to delete a vehicle registered by the connected user
+ *     parameters:
+ *       - name: vehicleId
+ *         in: path
+ *         description: The id of the vehicle
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 655b2f7e8c1d4a2b9e3f1a20
+ *     responses:
+ *       204:
+ *         description: Successful deletion
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Vehicle not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested vehicle doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/vehicles/:vehicleId')
+  .patch(updateVehicle)
+  .delete(deleteVehicle);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Favourite:
+ *       type: object
+ *       properties:
+ *         parking:
+ *           description: The favourite parking (populated in the list of the favourites)
+ *           oneOf:
+ *             - type: string
+ *               example: 6543f9a1f4f2a2d0d2a9c3b4
+ *             - $ref: '#/components/schemas/Parking'
+ *         alerts:
+ *           type: boolean
+ *           description: The user is alerted when the parking becomes free
+ *           example: true
+ *         addedAt:
+ *           type: string
+ *           example: "2023-11-20T09:12:00.000Z"
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 655e3a1b2c4d5e6f7a8b9c0d
+ *         user:
+ *           type: string
+ *           example: 642c38f3b7ed1dbd25858e9e
+ *         name:
+ *           type: string
+ *           example: Near the station
+ *         query:
+ *           type: object
+ *           description: The query parameters of the parking search, the searched location is stored with its coordinates
+ *           example:
+ *             type: indoor
+ *             minPrice: "1"
+ *             maxPrice: "3"
+ *             covered: "true"
+ *             lat: "46.8032"
+ *             lng: "7.1512"
+ *             distance: "1"
+ *         center:
+ *           type: object
+ *           description: The center of the searched area (GeoJSON point, long/lat), if the search has a location
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: Point
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               example: [7.1512, 46.8032]
+ *         radius:
+ *           type: number
+ *           description: The radius of the searched area in meters, if the search has a location
+ *           example: 1000
+ *         parkingType:
+ *           type: string
+ *           description: The searched type of parkings, if the search filters it
+ *           example: indoor
+ *         minPrice:
+ *           type: number
+ *           description: The minimal hourly price of the searched parkings, if the search filters it
+ *           example: 1
+ *         maxPrice:
+ *           type: number
+ *           description: The maximal hourly price of the searched parkings, if the search filters it
+ *           example: 3
+ *         alerts:
+ *           type: boolean
+ *           description: The user is alerted when a parking matching the search is freed or validated
+ *           example: true
+ *         lastAlert:
+ *           type: string
+ *           description: The date of the last availability alert of the search
+ *           example: "2023-11-22T17:45:00.000Z"
+ *         creationDate:
+ *           type: string
+ *           example: "2023-11-20T09:15:00.000Z"
+ */
+
+/**
+ * @swagger
+ * /users/me/favourites:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get the favourite parkings of the connected user, from the last added one
+ *     responses:
+ *       200:
+ *         description: List of the favourite parkings of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 2
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     favourites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Favourite'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Route used to add a parking to the favourites of the connected user, who is alerted over socket.io (parking_available event) and by email when it becomes free
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - parking
+ *             properties:
+ *               parking:
+ *                 type: string
+ *                 example: 6543f9a1f4f2a2d0d2a9c3b4
+ *               alerts:
+ *                 type: boolean
+ *                 description: The availability alerts of the parking (enabled by default)
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: The new favourite parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The parking was added to your favourites.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     favourite:
+ *                       $ref: '#/components/schemas/Favourite'
+ *       400:
+ *         description: Invalid favourite
+ *         content:
+ *           application/json:
+ *             examples:
+ *               alreadyFavouriteExample:
+ *                 summary: Parking already in the favourites
+ *                 value:
+ *                   status: fail
+ *                   message: This parking is already in your favourites.
+ *               alertsExample:
+ *                 summary: Alerts flag is not a boolean
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide true or false for the alerts variable.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/favourites').get(getMyFavourites).post(addFavourite);
+
+/**
+ * @swagger
+ * /users/me/favourites/{parkingId}:
+ *   patch:
+ *     tags:
+ *       - User
+ *     summary: Route used to enable or disable the availability alerts of a favourite parking of the connected user
+ *     parameters:
+ *       - name: parkingId
+ *         in: path
+ *         description: The id of the favourite parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alerts
+ *             properties:
+ *               alerts:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: The updated favourite parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: You won't be alerted anymore when this parking becomes free.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     favourite:
+ *                       $ref: '#/components/schemas/Favourite'
+ *       400:
+ *         description: Alerts flag is not a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide true or false for the alerts variable.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Parking not in the favourites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking isn't in your favourites.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - User
+ *     summary: Route used to remove a parking from the favourites of the connected user
+ *     parameters:
+ *       - name: parkingId
+ *         in: path
+ *         description: The id of the favourite parking
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: Parking removed from the favourites
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Parking not in the favourites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking isn't in your favourites.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/favourites/:parkingId')
+  .patch(updateFavourite)
+  .delete(deleteFavourite);
+
+/**
+ * @swagger
+ * /users/me/searches:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get the saved searches of the connected user, from the last saved one
+ *     responses:
+ *       200:
+ *         description: List of the saved searches of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 2
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Route used to save a parking search of the connected user. The search takes the query parameters of the parking listing (GET /parkings), the user is alerted over socket.io (parking_available event) and by email when a matching parking is freed or validated, at most once per hour for each search.
+ *     parameters:
+ *       - name: maxPrice
+ *         in: query
+ *         description: 'The maximal hourly price of the parking'
+ *         schema:
+ *           type: number
+ *           example: 3
+ *       - name: covered
+ *         in: query
+ *         description: 'The parking slot is covered'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: vehicle
+ *         in: query
+ *         description: 'The id of a vehicle registered by the connected user that has to fit in the parking slot'
+ *         schema:
+ *           type: string
+ *           example: 655b2f7e8c1d4a2b9e3f1a20
+ *       - name: location
+ *         in: query
+ *         description: 'The name of the municipality (in Switzerland) around which the parkings are searched, stored with its coordinates'
+ *         schema:
+ *           type: string
+ *           example: Fribourg
+ *       - name: distance
+ *         in: query
+ *         description: 'The distance perimeter of the searched location (5km by default if not specified)'
+ *         schema:
+ *           type: number
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Near the station
+ *               alerts:
+ *                 type: boolean
+ *                 description: The availability alerts of the search (enabled by default)
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: The new saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your search was saved.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearch:
+ *                       $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Invalid saved search
+ *         content:
+ *           application/json:
+ *             examples:
+ *               tooManySearchesExample:
+ *                 summary: Maximal number of saved searches reached
+ *                 value:
+ *                   status: fail
+ *                   message: You can't save more than 10 searches.
+ *               missingNameExample:
+ *                 summary: Missing search name
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a name to your search.
+ *               queryExample:
+ *                 summary: Invalid query parameter
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a numerical value for the maximum price.
+ *               alertsExample:
+ *                 summary: Alerts flag is not a boolean
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide true or false for the alerts variable.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing vehicle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested vehicle doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/searches')
+  .get(getMySavedSearches)
+  .post(keepSearchQuery, handleParkingQuery, createSavedSearch);
+
+/**
+ * @swagger
+ * /users/me/searches/{searchId}:
+ *   patch:
+ *     tags:
+ *       - User
+ *     summary: Route used to rename a saved search of the connected user or to enable or disable its availability alerts, its query can't be modified
+ *     parameters:
+ *       - name: searchId
+ *         in: path
+ *         description: The id of the saved search
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Close to work
+ *               alerts:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: The updated saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your saved search was successfully updated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearch:
+ *                       $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Invalid saved search
+ *         content:
+ *           application/json:
+ *             examples:
+ *               nameLengthExample:
+ *                 summary: Search name too long
+ *                 value:
+ *                   status: fail
+ *                   message: A search name can't be longer than 30 characters.
+ *               alertsExample:
+ *                 summary: Alerts flag is not a boolean
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide true or false for the alerts variable.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested saved search doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - User
+ *     summary: Route used to delete a saved search of the connected user, stopping its availability alerts
+ *     parameters:
+ *       - name: searchId
+ *         in: path
+ *         description: The id of the saved search
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: Saved search deleted
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested saved search doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/searches/:searchId')
+  .patch(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+/**
+ * @swagger
+ * /users/me/searches/{searchId}/parkings:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to run a saved search of the connected user again, listing the matching parkings like the parking listing (GET /parkings)
+ *     parameters:
+ *       - name: searchId
+ *         in: path
+ *         description: The id of the saved search
+ *         required: true
+ *         type: string
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - name: sort
+ *         in: query
+ *         description: 'The comma separated sort keys (price, distance, rating, creationDate), descending if prefixed by a minus.'
+ *         schema:
+ *           type: string
+ *           example: price
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *     responses:
+ *       200:
+ *         description: List of the parkings matching the saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                   example: 4
+ *                 total:
+ *                   type: number
+ *                   example: 4
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     parkings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Parking'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing saved search or vehicle
+ *         content:
+ *           application/json:
+ *             examples:
+ *               searchExample:
+ *                 summary: Non existing saved search
+ *                 value:
+ *                   status: fail
+ *                   message: The requested saved search doesn't exist.
+ *               vehicleExample:
+ *                 summary: Vehicle of the search deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested vehicle doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/searches/:searchId/parkings')
+  .get(loadSavedSearch, handleParkingQuery, getAllParkings);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayoutAmounts:
+ *       type: object
+ *       properties:
+ *         occupations:
+ *           type: number
+ *           description: The number of billed occupations
+ *           example: 12
+ *         revenue:
+ *           type: number
+ *           description: The sum of the bills of the occupations
+ *           example: 84.5
+ *         refunds:
+ *           type: number
+ *           description: The amount refunded to the clients
+ *           example: 4.5
+ *         commission:
+ *           type: number
+ *           description: The commission kept by the platform on the refund deducted revenue
+ *           example: 8
+ *         payout:
+ *           type: number
+ *           description: The amount paid out to the provider
+ *           example: 72
+ *     PayoutStatement:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *           description: The month of the statement
+ *           example: 2023-11
+ *         currency:
+ *           type: string
+ *           example: CHF
+ *         commissionRate:
+ *           type: number
+ *           example: 0.1
+ *         parkings:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   parking:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 6543f9a1f4f2a2d0d2a9c3b4
+ *                       name:
+ *                         type: string
+ *                         example: Parking of the train station
+ *               - $ref: '#/components/schemas/PayoutAmounts'
+ *         totals:
+ *           $ref: '#/components/schemas/PayoutAmounts'
+ */
+
+/**
+ * @swagger
+ * /users/me/earnings:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get the monthly payout statements of the connected provider (accessible to providers only)
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         description: The first month (YYYY-MM) of the statements
+ *         schema:
+ *           type: string
+ *           example: 2023-09
+ *       - name: to
+ *         in: query
+ *         description: The last month (YYYY-MM) of the statements
+ *         schema:
+ *           type: string
+ *           example: 2023-11
+ *     responses:
+ *       200:
+ *         description: List of the payout statements, from the most recent month
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PayoutStatement'
+ *       400:
+ *         description: Invalid range of months
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide valid months in YYYY-MM format for the range of the statements.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/me/earnings').get(restrictTo('provider'), getMyEarnings);
+
+/**
+ * @swagger
+ * /users/me/earnings/{period}:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Route used to get or download the payout statement of the connected provider for a specific month (accessible to providers only)
+ *     parameters:
+ *       - name: period
+ *         in: path
+ *         description: The month (YYYY-MM) of the statement
+ *         required: true
+ *         type: string
+ *       - name: format
+ *         in: query
+ *         description: The format of the statement
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The payout statement of the month
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statement:
+ *                       $ref: '#/components/schemas/PayoutStatement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 period,parking_id,parking_name,occupations,revenue_CHF,refunds_CHF,commission_CHF,payout_CHF
+ *                 2023-11,6543f9a1f4f2a2d0d2a9c3b4,Parking of the train station,12,84.5,4.5,8,72
+ *                 2023-11,,Total,12,84.5,4.5,8,72
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid statement request
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidPeriodExample:
+ *                 summary: Invalid month
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid month in YYYY-MM format for the statement.
+ *               invalidFormatExample:
+ *                 summary: Invalid format
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid format for the statement (json / csv / pdf).
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/me/earnings/:period')
+  .get(restrictTo('provider'), getMyStatement);
+
 /**
  * @swagger
  * /users/{id}/role:
@@ -6,8 +6,10 @@ const { Router } = require('express');
 
 const userRouter = require('./api/userRoutes');
 const parkingRouter = require('./api/parkingRoutes');
+const lotRouter = require('./api/lotRoutes');
 const thingyRouter = require('./api/thingyRoutes');
 const occupationRouter = require('./api/occupationRoutes');
+const reviewRouter = require('./api/reviewRoutes');
 
 /**
  * The main router of the application.
@@ -19,7 +21,10 @@ router.use('/users', userRouter);
 router.use('/things', thingyRouter);
 
 router.use('/parkings', parkingRouter);
+router.use('/lots', lotRouter);
 
 router.use('/occupations', occupationRouter);
 
+router.use('/reviews', reviewRouter);
+
 module.exports = router;
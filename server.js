@@ -9,6 +9,8 @@ const mongoose = require('mongoose');
 const mqttHandler = require('./mqtt/mqttHandler');
 const app = require('./app');
 const { shutDownAll: shutDownWithoutBind } = require('./utils/utils');
+const { startScheduler } = require('./utils/scheduler');
+const { generateMissingVariants } = require('./utils/photos');
 const {
   FRONTEND_URL,
   socket_lock,
@@ -35,6 +37,20 @@ mongoose
   })
   .then(() => {
     console.log('DB connection successful.');
+
+    // Start the background jobs once the database is reachable
+    startScheduler();
+  });
+
+// Generate the resized variants of the photos stored before they were introduced
+generateMissingVariants()
+  .then(generated => {
+    if (generated > 0)
+      console.log(`Resized variants generated for ${generated} photos.`);
+  })
+  .catch(err => {
+    console.error('Error while trying to generate the missing photo variants.');
+    console.error(err);
   });
 
 // Instantiate the server
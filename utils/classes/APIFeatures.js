@@ -0,0 +1,505 @@
+/**
+ * APIFeatures module, containing the APIFeatures prototype function used to apply the pagination, sorting and field selection query parameters on the listings of the resources.
+ * @module APIFeatures
+ */
+const mongoose = require('mongoose');
+const AppError = require('./AppError');
+const {
+  BACKEND_URL,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+} = require('../globals');
+
+/**
+ * APIFeatures prototype function, used to execute a listing query with the pagination (page / limit or cursor), sorting (sort) and field selection (fields) query parameters of a request.
+ */
+class APIFeatures {
+  /**
+   * Query parameters handled by the APIFeatures, they can't be used as filters of the listings.
+   * @type {string[]}
+   */
+  static PARAMETERS = ['page', 'limit', 'cursor', 'sort', 'fields'];
+
+  /**
+   * Constructor function used to generate a new instance of an APIFeatures object. The query parameters are read from the original URL of the request, since the filtering middleware functions may replace its query object.
+   * @param {mongoose.Model} model the model of the listed resource
+   * @param {Object} filter the query filter of the listing
+   * @param {import('express').Request} req the request of the listing
+   * @param {Object} options the options of the listing
+   * @param {Object<string, string>} options.sortFields the names of the sort keys accepted in the sort parameter, with the path of the field they sort on (the distance key sorts on the distance computed from the reference point)
+   * @param {string} options.defaultSort the sort applied when the sort parameter isn't provided (e.g. -creationDate)
+   * @param {string[]} options.selectableFields the fields that can be requested in the fields parameter
+   * @param {Object} options.near the reference point of a geospatial listing, computing the distance of the results from it (distance sort key)
+   * @param {string} options.near.path the path of the location field
+   * @param {number[]} options.near.coordinates the coordinates of the reference point, in the GeoJSON order (longitude, latitude)
+   * @param {number} options.near.maxDistance the maximal distance (in meters) of the resources from the reference point
+   */
+  constructor(
+    model,
+    filter,
+    req,
+    { sortFields, defaultSort, selectableFields, near },
+  ) {
+    /**
+     * @private
+     * @readonly
+     */
+    this.model = model;
+    /**
+     * @private
+     * @readonly
+     */
+    this.filter = filter;
+    /**
+     * @private
+     * @readonly
+     */
+    this.url = new URL(
+      req.originalUrl,
+      BACKEND_URL ?? `${req.protocol}://${req.get('host')}`,
+    );
+    /**
+     * @private
+     * @readonly
+     */
+    this.sortFields = sortFields;
+    /**
+     * @private
+     * @readonly
+     */
+    this.selectableFields = selectableFields;
+    /**
+     * @private
+     * @readonly
+     */
+    this.near = near;
+
+    const params = this.url.searchParams;
+
+    /**
+     * @private
+     * @readonly
+     */
+    this.limit = APIFeatures.parseInteger(
+      params.get('limit') ?? DEFAULT_PAGE_LIMIT,
+      `Please provide a number of results between 1 and ${MAX_PAGE_LIMIT} for the limit.`,
+      MAX_PAGE_LIMIT,
+    );
+    /**
+     * @private
+     * @readonly
+     */
+    this.page = APIFeatures.parseInteger(
+      params.get('page') ?? 1,
+      'Please provide a positive integer for the page.',
+    );
+    /**
+     * @private
+     * @readonly
+     */
+    this.sort = this.parseSort(params.get('sort') || defaultSort);
+    /**
+     * @private
+     * @readonly
+     */
+    this.fields = this.parseFields(params.get('fields'));
+    /**
+     * @private
+     * @readonly
+     */
+    this.cursor = params.has('cursor')
+      ? APIFeatures.decodeCursor(params.get('cursor'))
+      : undefined;
+  }
+
+  /**
+   * Function used to parse a positive integer query parameter.
+   * @param {string|number} value the value of the parameter
+   * @param {string} message the error message if the value is invalid
+   * @param {number} max the maximal value of the parameter, no upper bound if not provided
+   * @returns {number} the parsed value
+   */
+  static parseInteger(value, message, max = Infinity) {
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < 1 || number > max)
+      throw new AppError(message, 400);
+
+    return number;
+  }
+
+  /**
+   * Function used to encode the position of a document in the sorted listing as a cursor.
+   * @param {Object} position the position of the document
+   * @param {Array} position.values the values of the sort fields of the document
+   * @param {string} position.id the id of the document
+   * @param {string} position.direction the direction of the pagination from the document (next / prev)
+   * @returns {string} the opaque cursor
+   */
+  static encodeCursor({ values, id, direction }) {
+    const encodedValues = values.map(value =>
+      value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+    );
+
+    return Buffer.from(
+      JSON.stringify({ v: encodedValues, id, d: direction }),
+    ).toString('base64url');
+  }
+
+  /**
+   * Function used to decode a cursor sent in the query parameters. An empty cursor starts a cursor pagination from the first document.
+   * @param {string} cursor the opaque cursor
+   * @returns {Object|null} the position of the document (values, id and direction), null for an empty cursor
+   */
+  static decodeCursor(cursor) {
+    if (!cursor) return null;
+
+    try {
+      const { v, id, d } = JSON.parse(
+        Buffer.from(cursor, 'base64url').toString(),
+      );
+
+      if (!Array.isArray(v) || typeof id !== 'string') throw new Error();
+
+      return {
+        values: v.map(value => (value?.$date ? new Date(value.$date) : value)),
+        id,
+        direction: d === 'prev' ? 'prev' : 'next',
+      };
+    } catch (err) {
+      throw new AppError('Please provide a valid cursor.', 400);
+    }
+  }
+
+  /**
+   * Function used to parse the sort parameter, a comma separated list of sort keys, descending if they are prefixed by a minus.
+   * @param {string} sort the sort parameter
+   * @returns {Array<{key: string, path: string, direction: number}>} the sort keys
+   */
+  parseSort(sort) {
+    const keys = `${sort ?? ''}`
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+      .map(key => {
+        const direction = key.startsWith('-') ? -1 : 1;
+        const name = key.replace(/^-/, '');
+
+        if (!this.sortFields[name])
+          throw new AppError(
+            `The results can only be sorted by ${Object.keys(
+              this.sortFields,
+            ).join(', ')}.`,
+            400,
+          );
+
+        return { key: name, path: this.sortFields[name], direction };
+      });
+
+    if (!this.near && keys.some(({ key }) => key === 'distance'))
+      throw new AppError(
+        'Please provide a location to sort the results by distance.',
+        400,
+      );
+
+    return keys;
+  }
+
+  /**
+   * Function used to parse the fields parameter, a comma separated list of the fields of the results.
+   * @param {string} fields the fields parameter
+   * @returns {string[]} the selected fields, empty to select the default ones
+   */
+  parseFields(fields) {
+    const selectedFields = `${fields ?? ''}`
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    const invalidField = selectedFields.find(
+      field => !this.selectableFields.includes(field),
+    );
+
+    if (invalidField)
+      throw new AppError(
+        `The field ${invalidField} can't be selected, please choose among ${this.selectableFields.join(
+          ', ',
+        )}.`,
+        400,
+      );
+
+    return selectedFields;
+  }
+
+  /**
+   * Function used to generate the query filter matching the documents after a cursor in a sort order.
+   * @param {Array<{path: string, direction: number}>} sort the sort order, ending with the id of the documents that breaks the ties between equal sort values
+   * @param {Object} cursor the position of the cursor
+   * @returns {Object} the query filter
+   */
+  static getCursorFilter(sort, { values, id }) {
+    const equal = (path, value) => ({ [path]: value ?? null });
+
+    // A null value is lower than all the other values in the sort order of MongoDB
+    const after = (path, value, direction) => {
+      if (value === null || value === undefined)
+        return direction === 1 ? { [path]: { $ne: null } } : null;
+
+      return direction === 1
+        ? { [path]: { $gt: value } }
+        : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+    };
+
+    const cursorValues = [...values, id];
+
+    return {
+      $or: sort
+        .map(({ path, direction }, i) => {
+          const condition = after(path, cursorValues[i], direction);
+
+          return (
+            condition && {
+              $and: [
+                ...sort
+                  .slice(0, i)
+                  .map(({ path: previousPath }, j) =>
+                    equal(previousPath, cursorValues[j]),
+                  ),
+                condition,
+              ],
+            }
+          );
+        })
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Function used to generate the link to another page of the listing, keeping the other query parameters of the request.
+   * @param {Object<string, string>} params the pagination query parameters of the page
+   * @returns {string} the link to the page
+   */
+  getLink(params) {
+    const url = new URL(this.url);
+
+    ['page', 'cursor'].forEach(param => url.searchParams.delete(param));
+    Object.entries(params).forEach(([param, value]) =>
+      url.searchParams.set(param, value),
+    );
+
+    return url.toString();
+  }
+
+  /**
+   * Async function used to fetch a page of the listing with a find query.
+   * @param {Function} customize function receiving the mongoose query of the listing to customize it
+   * @param {Array<{path: string, direction: number}>} sort the sort order of the page
+   * @returns {Promise<{documents: mongoose.Document[], total: number}>} the documents of the page (with an additional one if there are more results) and the number of results of the listing
+   */
+  async findPage(customize, sort) {
+    const { model, filter, limit, cursor } = this;
+
+    let query = customize(
+      model.find(
+        cursor
+          ? { $and: [filter, APIFeatures.getCursorFilter(sort, cursor)] }
+          : filter,
+      ),
+    ).sort(sort.map(({ path, direction }) => [path, direction]));
+
+    query = this.selectFields(query, sort);
+
+    if (cursor === undefined) query = query.skip((this.page - 1) * limit);
+
+    const [documents, total] = await Promise.all([
+      query.limit(limit + 1),
+      model.countDocuments(filter),
+    ]);
+
+    return { documents, total };
+  }
+
+  /**
+   * Async function used to fetch a page of the listing with a $geoNear aggregation, computing the distance (in meters) of the results from the reference point. The distance of each document is stored in its locals.
+   * @param {Function} customize function receiving the mongoose query of the listing to customize it
+   * @param {Array<{path: string, direction: number}>} sort the sort order of the page
+   * @returns {Promise<{documents: mongoose.Document[], total: number}>} the documents of the page (with an additional one if there are more results) and the number of results of the listing
+   */
+  async geoNearPage(customize, sort) {
+    const {
+      model,
+      filter,
+      limit,
+      cursor,
+      near: { path, coordinates, maxDistance },
+    } = this;
+
+    // The location filter of the listing is replaced by the maximal distance from the reference point
+    const { [path]: location, ...query } = filter;
+
+    const geoNear = {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        key: path,
+        query,
+      },
+    };
+
+    const pipeline = [geoNear];
+
+    if (cursor)
+      pipeline.push({
+        $match: APIFeatures.getCursorFilter(sort, {
+          ...cursor,
+          id: new mongoose.Types.ObjectId(cursor.id),
+        }),
+      });
+
+    pipeline.push({
+      $sort: Object.fromEntries(
+        sort.map(({ path: sortPath, direction }) => [sortPath, direction]),
+      ),
+    });
+
+    if (cursor === undefined) pipeline.push({ $skip: (this.page - 1) * limit });
+
+    pipeline.push({ $limit: limit + 1 }, { $project: { distance: 1 } });
+
+    const [rows, [{ total } = { total: 0 }]] = await Promise.all([
+      model.aggregate(pipeline),
+      model.aggregate([geoNear, { $count: 'total' }]),
+    ]);
+
+    const documents = await this.selectFields(
+      customize(model.find({ _id: { $in: rows.map(({ _id }) => _id) } })),
+      sort,
+    );
+
+    const distances = new Map(
+      rows.map(({ _id, distance }) => [_id.valueOf().toString(), distance]),
+    );
+
+    documents.forEach(document => {
+      document.$locals.distance = distances.get(
+        document._id.valueOf().toString(),
+      );
+    });
+
+    return {
+      documents: documents.sort(
+        (a, b) =>
+          rows.findIndex(({ _id }) => _id.equals(a._id)) -
+          rows.findIndex(({ _id }) => _id.equals(b._id)),
+      ),
+      total,
+    };
+  }
+
+  /**
+   * Function used to select the requested fields of the results, and the values of the sort fields needed to generate the cursors.
+   * @param {mongoose.Query} query the mongoose query of the listing
+   * @param {Array<{path: string, direction: number}>} sort the sort order of the listing
+   * @returns {mongoose.Query} the query with the selected fields
+   */
+  selectFields(query, sort) {
+    let selectedQuery = query;
+
+    if (this.fields.length > 0)
+      selectedQuery = selectedQuery.select(this.fields.join(' '));
+
+    const sortPaths = sort
+      .map(({ path }) => path)
+      .filter(path => path !== '_id' && path !== 'distance');
+
+    if (this.cursor !== undefined && sortPaths.length > 0)
+      selectedQuery = selectedQuery.select(
+        sortPaths.map(path => `+${path}`).join(' '),
+      );
+
+    return selectedQuery;
+  }
+
+  /**
+   * Function used to get the value of a sort field of a document of the listing.
+   * @param {mongoose.Document} document the document
+   * @param {string} path the path of the sort field
+   * @returns {*} the value of the sort field
+   */
+  static getSortValue(document, path) {
+    return path === 'distance' ? document.$locals.distance : document.get(path);
+  }
+
+  /**
+   * Async function used to execute the listing query.
+   * @param {Function} customize function receiving the mongoose query of the listing to customize it (population, additional selected fields, etc.)
+   * @returns {Promise<{documents: mongoose.Document[], results: number, total: number, page: number, pages: number, links: {next: string|null, prev: string|null}}>} the documents of the requested page and the pagination information
+   */
+  async execute(customize = query => query) {
+    const { limit, cursor } = this;
+    const isCursorPagination = cursor !== undefined;
+    const isPrev = cursor?.direction === 'prev';
+
+    // The id of the documents breaks the ties between equal sort values, and the sort is reversed to fetch the previous page
+    const sort = [
+      ...this.sort,
+      { path: '_id', direction: this.sort.at(-1)?.direction ?? 1 },
+    ].map(({ path, direction }) => ({
+      path,
+      direction: isPrev ? -direction : direction,
+    }));
+
+    const { documents, total } = this.near
+      ? await this.geoNearPage(customize, sort)
+      : await this.findPage(customize, sort);
+
+    const hasMore = documents.length > limit;
+
+    documents.splice(limit);
+
+    if (isPrev) documents.reverse();
+
+    const links = { next: null, prev: null };
+
+    if (isCursorPagination) {
+      const getCursor = (document, direction) =>
+        APIFeatures.encodeCursor({
+          values: this.sort.map(({ path }) =>
+            APIFeatures.getSortValue(document, path),
+          ),
+          id: document._id.valueOf(),
+          direction,
+        });
+
+      const hasNext = isPrev ? !!cursor : hasMore;
+      const hasPrev = isPrev ? hasMore : !!cursor;
+
+      if (hasNext && documents.length > 0)
+        links.next = this.getLink({
+          cursor: getCursor(documents.at(-1), 'next'),
+        });
+
+      if (hasPrev && documents.length > 0)
+        links.prev = this.getLink({
+          cursor: getCursor(documents[0], 'prev'),
+        });
+    } else {
+      if (hasMore) links.next = this.getLink({ page: this.page + 1 });
+
+      if (this.page > 1) links.prev = this.getLink({ page: this.page - 1 });
+    }
+
+    return {
+      documents,
+      results: documents.length,
+      total,
+      page: isCursorPagination ? undefined : this.page,
+      pages: Math.ceil(total / limit),
+      links,
+    };
+  }
+}
+
+module.exports = APIFeatures;
@@ -70,14 +70,17 @@ class Email {
    * Async Function used to send a specific template file email to the requested user.
    * @param {string} template The template ejs file we want to send as an email.
    * @param {string} subject The subject of the email.
+   * @param {Object} data The facultative additional data we want to display in the template.
+   * @param {Object[]} attachments The facultative files we want to attach to the email (nodemailer attachment objects).
    * @private
    */
-  async send(template, subject) {
+  async send(template, subject, data = {}, attachments = []) {
     const { to, from, name, url } = this;
     // Render the HTML based on a pub template
     const html = await ejs.renderFile(
       `${__dirname}/../../views/emails/base.ejs`,
       {
+        ...data,
         template: `_${template}`,
         name,
         url,
@@ -92,6 +95,7 @@ class Email {
       subject,
       html,
       text: htmlToText(html),
+      attachments,
     };
 
     // Create a transport and send email
@@ -124,19 +128,101 @@ class Email {
 
   /**
    * Async function used to send a confirmation to a provider that his parking request was validated by an admin.
+   * @param {string} parkingName the name of the validated parking.
    */
-  async sendValidatedParking() {
-    await this.send('validatedParking', 'Your parking request was validated');
+  async sendValidatedParking(parkingName) {
+    await this.send('validatedParking', 'Your parking request was validated', {
+      parkingSpot: parkingName,
+      availabilityStatus: 'Available',
+    });
+  }
+
+  /**
+   * Async function used to send to a provider that his parking request was rejected by an admin.
+   * @param {string} parkingName the name of the rejected parking.
+   * @param {string} comment the comment of the admin explaining the rejection.
+   */
+  async sendRejectedParking(parkingName, comment) {
+    await this.send(
+      'rejectedParking',
+      `Your parking request ${parkingName} was rejected`,
+      { parkingName, comment },
+    );
+  }
+
+  /**
+   * Async function used to send to a provider that an admin requested changes on his parking request before validating it.
+   * @param {string} parkingName the name of the parking.
+   * @param {string} comment the comment of the admin describing the requested changes.
+   */
+  async sendParkingChangesRequested(parkingName, comment) {
+    await this.send(
+      'parkingChangesRequested',
+      `Changes are requested on your parking request ${parkingName}`,
+      { parkingName, comment },
+    );
   }
 
   /**
    * Async function used to send to the owner of a parking that an user has reserved his parking.
    * @param {string} username the username of the user that reserved the parking.
+   * @param {Object} vehicle the vehicle selected by the user for the reservation, if there is one.
    */
-  async sendParkingReserved(username) {
+  async sendParkingReserved(username, vehicle) {
     await this.send(
       'parkingReserved',
       `${username} has reserved your parking.`,
+      { username, vehicle },
+    );
+  }
+
+  /**
+   * Async function used to send to the owner of a parking that an user has booked his parking for a future time slot.
+   * @param {string} username the username of the user that booked the parking.
+   * @param {Object} booking the booked time slot, containing the start and the end of the booking.
+   */
+  async sendParkingBooked(username, booking) {
+    await this.send('parkingBooked', `${username} has booked your parking.`, {
+      username,
+      bookingStart: booking.bookingStart,
+      bookingEnd: booking.bookingEnd,
+    });
+  }
+
+  /**
+   * Async function used to send to a client or a provider that a reservation of a parking was cancelled.
+   * @param {string} parkingName the name of the parking of the cancelled reservation.
+   * @param {string} reason the reason of the cancellation (client / provider / no-show).
+   * @param {number} fee the fee charged to the client for the cancellation.
+   */
+  async sendReservationCancelled(parkingName, reason, fee) {
+    await this.send(
+      'reservationCancelled',
+      `The reservation of the parking ${parkingName} was cancelled.`,
+      { parkingName, reason, fee },
+    );
+  }
+
+  /**
+   * Async function used to send to a client the invoice of his finished reservation.
+   * @param {string} parkingName the name of the parking of the finished reservation.
+   * @param {Invoice} invoice the invoice of the reservation.
+   * @param {Buffer} pdf the content of the invoice in PDF format, attached to the email.
+   */
+  async sendReservationInvoice(parkingName, invoice, pdf) {
+    const { number, total, currency } = invoice;
+
+    await this.send(
+      'reservationInvoice',
+      `Your invoice ${number} for the parking ${parkingName}`,
+      { parkingName, number, total, currency },
+      [
+        {
+          filename: `invoice-${number}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf',
+        },
+      ],
     );
   }
 
@@ -150,6 +236,71 @@ class Email {
       `${username} has ended the reservation of your parking.`,
     );
   }
+
+  /**
+   * Async function used to warn a client that the stay limit of his reservation is about to expire.
+   * @param {string} parkingName the name of the reserved parking.
+   * @param {Object} stayLimit the stay limit of the reservation, containing its end and its reason (booking-end / closing-time / max-stay).
+   */
+  async sendStayExpiring(parkingName, stayLimit) {
+    await this.send(
+      'stayExpiring',
+      `Your reservation of the parking ${parkingName} is about to expire.`,
+      { parkingName, limit: stayLimit.end, reason: stayLimit.reason },
+    );
+  }
+
+  /**
+   * Async function used to inform a client that he exceeded the stay limit of his reservation and will be charged an overstay surcharge.
+   * @param {string} parkingName the name of the reserved parking.
+   * @param {Object} stayLimit the stay limit of the reservation, containing its end and its reason (booking-end / closing-time / max-stay).
+   * @param {number} surchargeRate the rate of the price of the overstay period charged as a surcharge.
+   * @param {number} graceMinutes the number of minutes after the stay limit during which the overstay isn't charged.
+   */
+  async sendStayExceeded(parkingName, stayLimit, surchargeRate, graceMinutes) {
+    await this.send(
+      'stayExceeded',
+      `Your reservation of the parking ${parkingName} has expired.`,
+      {
+        parkingName,
+        limit: stayLimit.end,
+        reason: stayLimit.reason,
+        surchargeRate,
+        graceMinutes,
+      },
+    );
+  }
+
+  /**
+   * Async function used to alert the owner of a parking that a client exceeded the stay limit of his reservation.
+   * @param {string} username the username of the client occupying the parking.
+   * @param {string} parkingName the name of the occupied parking.
+   * @param {Object} stayLimit the stay limit of the reservation, containing its end and its reason (booking-end / closing-time / max-stay).
+   */
+  async sendParkingOverstayed(username, parkingName, stayLimit) {
+    await this.send(
+      'parkingOverstayed',
+      `${username} is overstaying on your parking ${parkingName}.`,
+      { username, parkingName, limit: stayLimit.end, reason: stayLimit.reason },
+    );
+  }
+
+  /**
+   * Async function used to alert an user that a parking he follows, as a favourite or through his saved searches, is available.
+   * @param {string} parkingName the name of the available parking.
+   * @param {string} reason the reason of the availability (freed / validated).
+   * @param {boolean} favourite whether the parking is one of the favourites of the user.
+   * @param {string[]} searches the names of the saved searches of the user matched by the parking.
+   */
+  async sendParkingAvailable(parkingName, reason, favourite, searches) {
+    await this.send(
+      'parkingAvailable',
+      reason === 'validated'
+        ? `A new parking matches your search: ${parkingName}.`
+        : `The parking ${parkingName} is available.`,
+      { parkingName, reason, favourite, searches },
+    );
+  }
 }
 
 module.exports = Email;
@@ -0,0 +1,74 @@
+/**
+ * FakePaymentProvider module, containing the FakePaymentProvider prototype function used to simulate payments locally, without any external service.
+ * @module FakePaymentProvider
+ */
+const crypto = require('crypto');
+const AppError = require('./AppError');
+const PaymentProvider = require('./PaymentProvider');
+
+/**
+ * FakePaymentProvider prototype function, used in development and tests to accept every payment, except the ones made with the declined source token.
+ * @extends PaymentProvider
+ */
+class FakePaymentProvider extends PaymentProvider {
+  /**
+   * Source token always declined by the fake provider, used to test payment failures.
+   * @type {string}
+   */
+  static DECLINED_SOURCE = 'tok_declined';
+
+  /**
+   * Constructor function used to generate a new instance of a FakePaymentProvider object.
+   */
+  constructor() {
+    super('fake');
+
+    /**
+     * @private
+     * @readonly
+     */
+    this.charges = new Map();
+  }
+
+  /**
+   * Async function used to simulate the charge of an amount of money on a payment source of the user.
+   * @param {Object} payment the payment we want to process
+   * @param {number} payment.amount the amount of money we want to charge
+   * @param {string} payment.currency the currency of the payment
+   * @param {string} payment.source the token identifying the payment source of the user
+   * @param {string} payment.description the description of the payment
+   * @returns {Promise<{reference: string}>} the reference of the simulated transaction
+   */
+  async charge({ amount, currency, source, description }) {
+    if (!source) throw new AppError('Please provide a payment source.', 400);
+
+    if (source === FakePaymentProvider.DECLINED_SOURCE)
+      throw new AppError('Your payment was declined.', 402);
+
+    const reference = `fake_ch_${crypto.randomUUID()}`;
+
+    this.charges.set(reference, { amount, currency, description, refunded: 0 });
+
+    return { reference };
+  }
+
+  /**
+   * Async function used to simulate the refund of a previously charged amount of money.
+   * @param {Object} refund the refund we want to process
+   * @param {string} refund.reference the reference of the charge transaction we want to refund
+   * @param {number} refund.amount the amount of money we want to refund
+   * @returns {Promise<{reference: string}>} the reference of the simulated refund transaction
+   */
+  async refund({ reference, amount }) {
+    const charge = this.charges.get(reference);
+
+    if (!charge || charge.amount - charge.refunded < amount)
+      throw new Error(`The charge ${reference} can't be refunded.`);
+
+    charge.refunded += amount;
+
+    return { reference: `fake_re_${crypto.randomUUID()}` };
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,109 @@
+/**
+ * FixtureGeocoder module, containing the FixtureGeocoder prototype function used to locate the addresses locally, without any external service.
+ * @module FixtureGeocoder
+ */
+const Geocoder = require('./Geocoder');
+
+/**
+ * FixtureGeocoder prototype function, used in development and tests to locate the addresses from a list of known places.
+ * @extends Geocoder
+ */
+class FixtureGeocoder extends Geocoder {
+  /**
+   * Maximal distance (in meters) between some coordinates and a known place for the place to be returned by the reverse geocoding.
+   * @type {number}
+   */
+  static MAX_REVERSE_DISTANCE = 1000;
+
+  /**
+   * Constructor function used to generate a new instance of a FixtureGeocoder object.
+   * @param {Object} options the options of the geocoder
+   * @param {{name: string, lat: number, lng: number, street: string, housenumber: string, postcode: string, city: string}[]} options.places the known places
+   * @param {Object} options.cache the options of the result cache
+   */
+  constructor({ places, cache }) {
+    super('fixture', cache);
+
+    /**
+     * @private
+     * @readonly
+     */
+    this.places = places;
+  }
+
+  /**
+   * Function used to normalize a text, such that the searches ignore the case and the accents.
+   * @param {string} text the text we want to normalize
+   * @returns {string} the normalized text
+   */
+  static normalize(text) {
+    return `${text ?? ''}`
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Function used to compute the distance between two points with the haversine formula.
+   * @param {number} lat1 the latitude of the first point
+   * @param {number} lng1 the longitude of the first point
+   * @param {number} lat2 the latitude of the second point
+   * @param {number} lng2 the longitude of the second point
+   * @returns {number} the distance between the points (in meters)
+   */
+  static distance(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+
+    const a =
+      Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+      Math.cos(toRadians(lat1)) *
+        Math.cos(toRadians(lat2)) *
+        Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+
+    return 2 * 6371e3 * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Async function used to find the known place matching an address.
+   * @param {string} address the searched address
+   * @returns {Promise<{lat: number, lng: number}|null>} the coordinates of the place, null if no place matches the address
+   */
+  async querySearch(address) {
+    const text = FixtureGeocoder.normalize(address);
+
+    const place = this.places.find(({ name, city, postcode }) =>
+      [name, city, postcode].some(
+        value => FixtureGeocoder.normalize(value) === text,
+      ),
+    );
+
+    return place ? { lat: place.lat, lng: place.lng } : null;
+  }
+
+  /**
+   * Async function used to find the known place nearest to some coordinates.
+   * @param {number} lat the latitude of the location
+   * @param {number} lng the longitude of the location
+   * @returns {Promise<{street: string, housenumber: string, postcode: string, city: string}|null>} the address of the nearest place, null if there is none close enough
+   */
+  async queryReverse(lat, lng) {
+    const [nearest] = this.places
+      .map(place => ({
+        place,
+        distance: FixtureGeocoder.distance(lat, lng, place.lat, place.lng),
+      }))
+      .filter(
+        ({ distance }) => distance <= FixtureGeocoder.MAX_REVERSE_DISTANCE,
+      )
+      .sort((a, b) => a.distance - b.distance);
+
+    if (!nearest) return null;
+
+    const { street, housenumber, postcode, city } = nearest.place;
+
+    return { street, housenumber, postcode, city };
+  }
+}
+
+module.exports = FixtureGeocoder;
@@ -0,0 +1,75 @@
+/**
+ * GeoapifyGeocoder module, containing the GeoapifyGeocoder prototype function used to locate the addresses with the Geoapify geocoding API.
+ * @module GeoapifyGeocoder
+ */
+const axios = require('axios');
+const Geocoder = require('./Geocoder');
+
+/**
+ * GeoapifyGeocoder prototype function, used to search and reverse geocode the addresses in Switzerland with the Geoapify API.
+ * @extends Geocoder
+ */
+class GeoapifyGeocoder extends Geocoder {
+  /**
+   * Constructor function used to generate a new instance of a GeoapifyGeocoder object.
+   * @param {Object} options the options of the geocoder
+   * @param {string} options.url the base URL of the Geoapify geocoding API
+   * @param {string} options.apiKey the API key of the application on Geoapify
+   * @param {Object} options.cache the options of the result cache
+   */
+  constructor({ url, apiKey, cache }) {
+    super('geoapify', cache);
+
+    /**
+     * @private
+     * @readonly
+     */
+    this.url = url;
+    /**
+     * @private
+     * @readonly
+     */
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Async function used to query Geoapify for the coordinates of an address in Switzerland.
+   * @param {string} address the searched address
+   * @returns {Promise<{lat: number, lng: number}|null>} the coordinates of the address, null if it is unknown
+   */
+  async querySearch(address) {
+    const {
+      data: { features = [] },
+    } = await axios.get(`${this.url}/search`, {
+      params: { text: `${address}, Switzerland`, apiKey: this.apiKey },
+    });
+
+    if (features.length === 0) return null;
+
+    const [lng, lat] = features[0].geometry.coordinates;
+
+    return { lat, lng };
+  }
+
+  /**
+   * Async function used to query Geoapify for the address located at some coordinates.
+   * @param {number} lat the latitude of the location
+   * @param {number} lng the longitude of the location
+   * @returns {Promise<{street: string, housenumber: string, postcode: string, city: string}|null>} the address of the location, null if there is none
+   */
+  async queryReverse(lat, lng) {
+    const {
+      data: { features = [] },
+    } = await axios.get(`${this.url}/reverse`, {
+      params: { lat, lon: lng, apiKey: this.apiKey },
+    });
+
+    if (features.length === 0) return null;
+
+    const { street, housenumber, postcode, city } = features[0].properties;
+
+    return { street, housenumber, postcode, city };
+  }
+}
+
+module.exports = GeoapifyGeocoder;
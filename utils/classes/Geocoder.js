@@ -0,0 +1,140 @@
+/**
+ * Geocoder module, containing the Geocoder prototype function defining the interface of the geocoding providers used to locate the addresses and the parkings.
+ * @module Geocoder
+ */
+const AppError = require('./AppError');
+
+/**
+ * Geocoder prototype function, defining the operations that every geocoding provider of the application has to implement. The results of the provider are cached, and its failures are converted into API errors.
+ * @abstract
+ */
+class Geocoder {
+  /**
+   * Constructor function used to generate a new instance of a Geocoder object.
+   * @param {string} name the name of the geocoding provider.
+   * @param {Object} cache the options of the result cache.
+   * @param {number} cache.duration the duration (in milliseconds) during which a result is kept in the cache.
+   * @param {number} cache.size the maximal number of results kept in the cache.
+   */
+  constructor(name, { duration = 24 * 60 * 60 * 1000, size = 1000 } = {}) {
+    /**
+     * @public
+     * @readonly
+     */
+    this.name = name;
+    /**
+     * @private
+     * @readonly
+     */
+    this.cacheDuration = duration;
+    /**
+     * @private
+     * @readonly
+     */
+    this.cacheSize = size;
+    /**
+     * @private
+     * @readonly
+     */
+    this.cache = new Map();
+  }
+
+  /**
+   * Async function used to get a result from the cache, or compute it and cache it if it isn't there or has expired.
+   * @param {string} key the key of the result in the cache
+   * @param {Function} compute the async function computing the result
+   * @returns {Promise<*>} the result
+   */
+  async cached(key, compute) {
+    const entry = this.cache.get(key);
+
+    if (entry && entry.expires > Date.now()) return entry.value;
+
+    this.cache.delete(key);
+
+    let value;
+
+    try {
+      value = await compute();
+    } catch (err) {
+      console.error(`Error while calling the ${this.name} geocoding service.`);
+      console.error(err);
+
+      throw new AppError(
+        'The geocoding service is currently unavailable. Please try again later.',
+        503,
+      );
+    }
+
+    // The oldest result is evicted when the cache is full
+    if (this.cache.size >= this.cacheSize)
+      this.cache.delete(this.cache.keys().next().value);
+
+    this.cache.set(key, { value, expires: Date.now() + this.cacheDuration });
+
+    return value;
+  }
+
+  /**
+   * Async function used to find the coordinates of an address.
+   * @param {string} address the searched address (municipality, street, etc.)
+   * @returns {Promise<{lat: number, lng: number}>} the coordinates of the address
+   * @throws {AppError} if the address is unknown (400) or the provider is unavailable (503)
+   */
+  async search(address) {
+    const text = `${address ?? ''}`.trim();
+
+    const coordinates = await this.cached(`search:${text.toLowerCase()}`, () =>
+      this.querySearch(text),
+    );
+
+    if (!coordinates)
+      throw new AppError(`The address ${text} couldn't be found.`, 400);
+
+    return coordinates;
+  }
+
+  /**
+   * Async function used to find the address located at some coordinates.
+   * @param {number} lat the latitude of the location
+   * @param {number} lng the longitude of the location
+   * @returns {Promise<{street: string, housenumber: string, postcode: string, city: string}>} the address of the location
+   * @throws {AppError} if no address is found at the location (400) or the provider is unavailable (503)
+   */
+  async reverse(lat, lng) {
+    const address = await this.cached(`reverse:${lat},${lng}`, () =>
+      this.queryReverse(Number(lat), Number(lng)),
+    );
+
+    if (!address)
+      throw new AppError(
+        'No address could be found at the provided coordinates.',
+        400,
+      );
+
+    return address;
+  }
+
+  /**
+   * Async function used to query the provider for the coordinates of an address.
+   * @abstract
+   * @param {string} address the searched address
+   * @returns {Promise<{lat: number, lng: number}|null>} the coordinates of the address, null if it is unknown
+   */
+  async querySearch(address) {
+    throw new Error(`The search operation isn't implemented by ${this.name}.`);
+  }
+
+  /**
+   * Async function used to query the provider for the address located at some coordinates.
+   * @abstract
+   * @param {number} lat the latitude of the location
+   * @param {number} lng the longitude of the location
+   * @returns {Promise<{street: string, housenumber: string, postcode: string, city: string}|null>} the address of the location, null if there is none
+   */
+  async queryReverse(lat, lng) {
+    throw new Error(`The reverse operation isn't implemented by ${this.name}.`);
+  }
+}
+
+module.exports = Geocoder;
@@ -0,0 +1,80 @@
+/**
+ * NominatimGeocoder module, containing the NominatimGeocoder prototype function used to locate the addresses with the OpenStreetMap Nominatim API.
+ * @module NominatimGeocoder
+ */
+const axios = require('axios');
+const Geocoder = require('./Geocoder');
+
+/**
+ * NominatimGeocoder prototype function, used to search and reverse geocode the addresses in Switzerland with the Nominatim API.
+ * @extends Geocoder
+ */
+class NominatimGeocoder extends Geocoder {
+  /**
+   * Constructor function used to generate a new instance of a NominatimGeocoder object.
+   * @param {Object} options the options of the geocoder
+   * @param {string} options.url the base URL of the Nominatim API
+   * @param {string} options.userAgent the user agent identifying the application, required by the usage policy of Nominatim
+   * @param {Object} options.cache the options of the result cache
+   */
+  constructor({ url, userAgent, cache }) {
+    super('nominatim', cache);
+
+    /**
+     * @private
+     * @readonly
+     */
+    this.url = url;
+    /**
+     * @private
+     * @readonly
+     */
+    this.headers = { 'User-Agent': userAgent };
+  }
+
+  /**
+   * Async function used to query Nominatim for the coordinates of an address in Switzerland.
+   * @param {string} address the searched address
+   * @returns {Promise<{lat: number, lng: number}|null>} the coordinates of the address, null if it is unknown
+   */
+  async querySearch(address) {
+    const { data: places } = await axios.get(`${this.url}/search`, {
+      params: { q: address, countrycodes: 'ch', format: 'jsonv2', limit: 1 },
+      headers: this.headers,
+    });
+
+    if (!places?.length) return null;
+
+    const [{ lat, lon }] = places;
+
+    return { lat: Number(lat), lng: Number(lon) };
+  }
+
+  /**
+   * Async function used to query Nominatim for the address located at some coordinates.
+   * @param {number} lat the latitude of the location
+   * @param {number} lng the longitude of the location
+   * @returns {Promise<{street: string, housenumber: string, postcode: string, city: string}|null>} the address of the location, null if there is none
+   */
+  async queryReverse(lat, lng) {
+    const { data } = await axios.get(`${this.url}/reverse`, {
+      params: { lat, lon: lng, format: 'jsonv2', addressdetails: 1 },
+      headers: this.headers,
+    });
+
+    if (!data?.address) return null;
+
+    const {
+      address: { road, house_number, postcode, city, town, village },
+    } = data;
+
+    return {
+      street: road,
+      housenumber: house_number,
+      postcode,
+      city: city ?? town ?? village,
+    };
+  }
+}
+
+module.exports = NominatimGeocoder;
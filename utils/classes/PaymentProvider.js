@@ -0,0 +1,48 @@
+/**
+ * PaymentProvider module, containing the PaymentProvider prototype function defining the interface of the payment providers used to top up the wallets.
+ * @module PaymentProvider
+ */
+
+/**
+ * PaymentProvider prototype function, defining the operations that every payment provider of the application has to implement.
+ * @abstract
+ */
+class PaymentProvider {
+  /**
+   * Constructor function used to generate a new instance of a PaymentProvider object.
+   * @param {string} name the name of the payment provider, stored in the ledger entries it processed.
+   */
+  constructor(name) {
+    /**
+     * @public
+     * @readonly
+     */
+    this.name = name;
+  }
+
+  /**
+   * Async function used to charge an amount of money on a payment source of the user.
+   * @param {Object} payment the payment we want to process
+   * @param {number} payment.amount the amount of money we want to charge
+   * @param {string} payment.currency the currency of the payment
+   * @param {string} payment.source the token identifying the payment source (card, account, etc.) of the user on the provider
+   * @param {string} payment.description the description of the payment
+   * @returns {Promise<{reference: string}>} the reference of the processed transaction on the provider
+   */
+  async charge({ amount, currency, source, description }) {
+    throw new Error(`The charge operation isn't implemented by ${this.name}.`);
+  }
+
+  /**
+   * Async function used to refund a previously charged amount of money on its payment source.
+   * @param {Object} refund the refund we want to process
+   * @param {string} refund.reference the reference of the charge transaction we want to refund
+   * @param {number} refund.amount the amount of money we want to refund
+   * @returns {Promise<{reference: string}>} the reference of the refund transaction on the provider
+   */
+  async refund({ reference, amount }) {
+    throw new Error(`The refund operation isn't implemented by ${this.name}.`);
+  }
+}
+
+module.exports = PaymentProvider;
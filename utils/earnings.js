@@ -0,0 +1,282 @@
+/**
+ * Functions used to compute the earnings of the providers from the bills of the occupations of their parkings, and to export their monthly payout statements.
+ * @module earnings
+ */
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const { TIMEZONE, CURRENCY, PLATFORM_COMMISSION_RATE } = require('./globals');
+
+/**
+ * Format of the periods of the payout statements (one statement per month).
+ * @type {string}
+ */
+const PERIOD_FORMAT = 'YYYY-MM';
+
+/**
+ * Function used to round an amount of money to the cent.
+ * @param {number} amount the amount we want to round
+ * @returns {number} the rounded amount
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to check if a value is a valid statement period.
+ * @param {string} period the value we want to check
+ * @returns {boolean} true if the value is a month in YYYY-MM format, false otherwise
+ */
+exports.isValidPeriod = period =>
+  typeof period === 'string' &&
+  /^\d{4}-\d{2}$/.test(period) &&
+  moment(period, PERIOD_FORMAT, true).isValid();
+
+/**
+ * Function used to compute the payout amounts of a set of aggregated occupations.
+ * @param {Object} totals the aggregated occupations
+ * @param {number} totals.occupations the number of billed occupations
+ * @param {number} totals.revenue the sum of the bills of the occupations
+ * @param {number} totals.refunds the sum of the amounts refunded to the clients
+ * @returns {Object} the aggregated occupations with their commission and payout amounts
+ */
+const computePayout = ({ occupations, revenue, refunds }) => {
+  const net = roundAmount(revenue - refunds);
+  const commission = roundAmount(net * PLATFORM_COMMISSION_RATE);
+
+  return {
+    occupations,
+    revenue: roundAmount(revenue),
+    refunds: roundAmount(refunds),
+    commission,
+    payout: roundAmount(net - commission),
+  };
+};
+
+/**
+ * Function used to get the monthly payout statements of a provider, aggregating the bills of the finished occupations of his parkings per month and parking.
+ * @param {string} ownerId the id of the provider
+ * @param {Object} range the range of months of the statements
+ * @param {string} range.from the first month (YYYY-MM) of the statements, no lower bound if not provided
+ * @param {string} range.to the last month (YYYY-MM) of the statements, no upper bound if not provided
+ * @returns {Promise<Object[]>} the payout statements, from the most recent month
+ */
+const getStatements = async (ownerId, { from, to } = {}) => {
+  // The deleted parkings are included, their past occupations are still part of the earnings
+  const parkings = await Parking.find({ owner: ownerId })
+    .setOptions({ withDeleted: true })
+    .select('_id name');
+
+  const names = Object.fromEntries(
+    parkings.map(({ _id, name }) => [_id.valueOf(), name]),
+  );
+
+  const endFilter = { $ne: null };
+
+  if (from) endFilter.$gte = moment.tz(from, PERIOD_FORMAT, TIMEZONE).toDate();
+
+  if (to)
+    endFilter.$lt = moment
+      .tz(to, PERIOD_FORMAT, TIMEZONE)
+      .add(1, 'month')
+      .toDate();
+
+  const rows = await Occupation.aggregate([
+    {
+      $match: {
+        parking: { $in: parkings.map(({ _id }) => _id) },
+        end: endFilter,
+        bill: { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateToString: {
+              format: '%Y-%m',
+              date: '$end',
+              timezone: TIMEZONE,
+            },
+          },
+          parking: '$parking',
+        },
+        occupations: { $sum: 1 },
+        revenue: { $sum: '$bill' },
+        refunds: { $sum: { $ifNull: ['$payment.refunded', 0] } },
+      },
+    },
+    { $sort: { '_id.period': -1, '_id.parking': 1 } },
+  ]);
+
+  const statements = [];
+
+  rows.forEach(({ _id: { period, parking }, ...totals }) => {
+    let statement = statements.at(-1);
+
+    if (statement?.period !== period) {
+      statement = { period, currency: CURRENCY, parkings: [] };
+      statements.push(statement);
+    }
+
+    statement.parkings.push({
+      parking: { _id: parking, name: names[parking.valueOf()] },
+      ...computePayout(totals),
+    });
+  });
+
+  return statements.map(statement => ({
+    ...statement,
+    commissionRate: PLATFORM_COMMISSION_RATE,
+    totals: computePayout(
+      statement.parkings.reduce(
+        (totals, { occupations, revenue, refunds }) => ({
+          occupations: totals.occupations + occupations,
+          revenue: totals.revenue + revenue,
+          refunds: totals.refunds + refunds,
+        }),
+        { occupations: 0, revenue: 0, refunds: 0 },
+      ),
+    ),
+  }));
+};
+
+exports.getStatements = getStatements;
+
+/**
+ * Function used to get the payout statement of a provider for a specific month.
+ * @param {string} ownerId the id of the provider
+ * @param {string} period the month (YYYY-MM) of the statement
+ * @returns {Promise<Object>} the payout statement of the month, empty if the provider didn't earn anything during it
+ */
+exports.getStatement = async (ownerId, period) => {
+  const [statement] = await getStatements(ownerId, {
+    from: period,
+    to: period,
+  });
+
+  return (
+    statement ?? {
+      period,
+      currency: CURRENCY,
+      parkings: [],
+      commissionRate: PLATFORM_COMMISSION_RATE,
+      totals: computePayout({ occupations: 0, revenue: 0, refunds: 0 }),
+    }
+  );
+};
+
+/**
+ * Function used to escape a value written in a CSV cell. The texts starting like a formula (e.g. a parking name chosen by its owner) are prefixed with an apostrophe, such that the spreadsheets don't run them, while the numbers are kept as they are.
+ * @param {*} value the value of the cell
+ * @returns {string} the escaped value
+ */
+const toCSVCell = value => {
+  let cell = `${value ?? ''}`;
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Function used to export a payout statement in CSV format, with one line per parking and a final line with the totals.
+ * @param {Object} statement the payout statement we want to export
+ * @returns {string} the content of the CSV file
+ */
+exports.toCSV = ({ period, currency, parkings, totals }) => {
+  const header = [
+    'period',
+    'parking_id',
+    'parking_name',
+    'occupations',
+    `revenue_${currency}`,
+    `refunds_${currency}`,
+    `commission_${currency}`,
+    `payout_${currency}`,
+  ];
+
+  const lines = [
+    ...parkings.map(({ parking, ...amounts }) => [
+      period,
+      parking._id,
+      parking.name,
+      amounts.occupations,
+      amounts.revenue,
+      amounts.refunds,
+      amounts.commission,
+      amounts.payout,
+    ]),
+    [
+      period,
+      '',
+      'Total',
+      totals.occupations,
+      totals.revenue,
+      totals.refunds,
+      totals.commission,
+      totals.payout,
+    ],
+  ];
+
+  return [header, ...lines]
+    .map(line => line.map(toCSVCell).join(','))
+    .join('\n');
+};
+
+/**
+ * Function used to export a payout statement in PDF format.
+ * @param {Object} statement the payout statement we want to export
+ * @param {User} provider the provider receiving the payout
+ * @returns {Promise<Buffer>} the content of the PDF file
+ */
+exports.toPDF = (
+  { period, currency, parkings, commissionRate, totals },
+  provider,
+) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const formatAmount = amount => `${amount.toFixed(2)} ${currency}`;
+
+    doc.fontSize(20).text("Park'N'Share - Payout statement");
+    doc.moveDown();
+    doc
+      .fontSize(12)
+      .text(`Provider: ${provider.username} (${provider.email})`)
+      .text(`Period: ${moment(period, PERIOD_FORMAT).format('MMMM YYYY')}`)
+      .text(`Platform commission: ${roundAmount(commissionRate * 100)}%`);
+    doc.moveDown();
+
+    if (parkings.length === 0)
+      doc.text('No occupation was billed on your parkings during this period.');
+
+    parkings.forEach(({ parking, ...amounts }) => {
+      doc
+        .fontSize(14)
+        .text(parking.name ?? parking._id.valueOf())
+        .fontSize(11)
+        .text(`Billed occupations: ${amounts.occupations}`)
+        .text(`Revenue: ${formatAmount(amounts.revenue)}`)
+        .text(`Refunds: ${formatAmount(amounts.refunds)}`)
+        .text(`Commission: ${formatAmount(amounts.commission)}`)
+        .text(`Payout: ${formatAmount(amounts.payout)}`);
+      doc.moveDown();
+    });
+
+    doc
+      .fontSize(14)
+      .text('Total')
+      .fontSize(11)
+      .text(`Billed occupations: ${totals.occupations}`)
+      .text(`Revenue: ${formatAmount(totals.revenue)}`)
+      .text(`Refunds: ${formatAmount(totals.refunds)}`)
+      .text(`Commission: ${formatAmount(totals.commission)}`)
+      .text(`Payout: ${formatAmount(totals.payout)}`);
+
+    doc.end();
+  });
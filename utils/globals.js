@@ -6,6 +6,12 @@ const PasswordValidator = require('password-validator');
 const TwilioSDK = require('twilio');
 const twilio = require('twilio');
 const Lock = require('./classes/Lock');
+const PaymentProvider = require('./classes/PaymentProvider');
+const FakePaymentProvider = require('./classes/FakePaymentProvider');
+const Geocoder = require('./classes/Geocoder');
+const GeoapifyGeocoder = require('./classes/GeoapifyGeocoder');
+const NominatimGeocoder = require('./classes/NominatimGeocoder');
+const FixtureGeocoder = require('./classes/FixtureGeocoder');
 
 const {
   env: { ACCOUNT_SID, TWILIO_AUTH_TOKEN },
@@ -43,6 +49,21 @@ exports.USERS_FOLDER = exports.IMG_FOLDER + '/users';
  */
 exports.PARKINGS_FOLDER = exports.IMG_FOLDER + '/parkings';
 
+/**
+ * Resized variants of the parking photos generated alongside the originals, with their width in pixels and their JPEG quality, such that the list views don't load the full-size photos.
+ * @type {Object<string, {width: number, quality: number}>}
+ */
+exports.PHOTO_VARIANTS = {
+  thumbnail: { width: 320, quality: 80 },
+  medium: { width: 960, quality: 85 },
+};
+
+/**
+ * Maximal number of photos of a parking or a parking lot.
+ * @type {number}
+ */
+exports.MAX_PARKING_PHOTOS = 10;
+
 /**
  * Base URL of the frontend application.
  * @type {string}
@@ -56,22 +77,69 @@ exports.FRONTEND_URL = process.env.FRONTEND_URL;
 exports.BACKEND_URL = process.env.API_URL;
 
 /**
- * Base URL of the GEOAPI
+ * Base URL of the Geoapify geocoding API
  * @type {string}
  */
 exports.GEOAPI_URL = 'https://api.geoapify.com/v1/geocode';
 
 /**
- * Search URL of GEOAPI, used to find the coordinates for a specific address
+ * Base URL of the Nominatim API of OpenStreetMap
  * @type {string}
  */
-exports.GEOAPI_SEARCH_URL = exports.GEOAPI_URL + '/search';
+exports.NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
 
 /**
- * Reverse URL of GEOAPI, used to find an address for given coordinates
- * @type {string}
+ * Duration (in milliseconds) during which the results of the geocoding provider are cached.
+ * @type {number}
  */
-exports.GEOAPI_REVERSE_URL = exports.GEOAPI_URL + '/reverse';
+exports.GEOCODING_CACHE_DURATION =
+  parseFloat(process.env.GEOCODING_CACHE_HOURS ?? 24) * 60 * 60 * 1000; // 24 hours by default
+
+/**
+ * Maximal number of results of the geocoding provider kept in the cache.
+ * @type {number}
+ */
+exports.GEOCODING_CACHE_SIZE = 1000;
+
+/**
+ * Factories of the geocoding providers that can be used to locate the addresses and the parkings, selected with the GEOCODING_PROVIDER environment variable.
+ * @type {Object<string, function(Object): Geocoder>}
+ */
+const GEOCODERS = {
+  geoapify: cache =>
+    new GeoapifyGeocoder({
+      url: exports.GEOAPI_URL,
+      apiKey: process.env.GEOAPIFY_API_KEY,
+      cache,
+    }),
+  nominatim: cache =>
+    new NominatimGeocoder({
+      url: exports.NOMINATIM_URL,
+      userAgent: `park-n-share (${exports.BACKEND_URL})`,
+      cache,
+    }),
+  fixture: cache =>
+    new FixtureGeocoder({
+      places: require('./fixtures/geocoding.json'),
+      cache,
+    }),
+};
+
+const createGeocoder = GEOCODERS[process.env.GEOCODING_PROVIDER ?? 'geoapify'];
+
+if (!createGeocoder)
+  throw new Error(
+    `Unknown geocoding provider: ${process.env.GEOCODING_PROVIDER}.`,
+  );
+
+/**
+ * Geocoding provider object, used to find the coordinates of the searched addresses and the addresses of the parkings.
+ * @type {Geocoder}
+ */
+exports.GEOCODER = createGeocoder({
+  duration: exports.GEOCODING_CACHE_DURATION,
+  size: exports.GEOCODING_CACHE_SIZE,
+});
 
 /**
  * List of url parameters that can happen multiple times.
@@ -141,6 +209,201 @@ exports.CONFIRMATION_DELAY = 5 * 60 * 1000; // 5 minutes
  */
 exports.EMAIL_CONFIRMATION_DELAY = 10 * 24 * 60 * 60 * 1000; // 10 days
 
+/**
+ * Delay in ms given to the user to confirm a reservation by pressing on the button of the thingy of the parking.
+ * @type {number}
+ */
+exports.BUTTON_CONFIRMATION_DELAY = 60 * 1000; // 60 seconds
+
+/**
+ * Delay in ms during which a parking stays in pending state when an user starts a reservation, before other users can reserve it again.
+ * @type {number}
+ */
+exports.PENDING_RESERVATION_DELAY =
+  exports.BUTTON_CONFIRMATION_DELAY + 5 * 1000; // 5 seconds more than the confirmation delay
+
+/**
+ * Delay in ms before the start of a booked time slot from which the client can already confirm his arrival on the parking.
+ * @type {number}
+ */
+exports.BOOKING_ARRIVAL_TOLERANCE = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Delay in ms before the start of a booked time slot until which the client can cancel his booking without fees.
+ * @type {number}
+ */
+exports.FREE_CANCELLATION_DELAY =
+  parseFloat(process.env.FREE_CANCELLATION_HOURS ?? 2) * 60 * 60 * 1000; // 2 hours by default
+
+/**
+ * Rate of the price of the booked time slot charged to the client when he cancels his booking after the free cancellation delay.
+ * @type {number}
+ */
+exports.LATE_CANCELLATION_FEE_RATE = parseFloat(
+  process.env.LATE_CANCELLATION_FEE_RATE ?? 0.5,
+);
+
+/**
+ * Delay in ms after the start of a booked time slot after which the booking expires if the client never confirmed his arrival on the thingy.
+ * @type {number}
+ */
+exports.NO_SHOW_DELAY =
+  parseFloat(process.env.NO_SHOW_MINUTES ?? 30) * 60 * 1000; // 30 minutes by default
+
+/**
+ * Rate of the price of the booked time slot charged to the client when his booking expires because he never showed up.
+ * @type {number}
+ */
+exports.NO_SHOW_FEE_RATE = parseFloat(process.env.NO_SHOW_FEE_RATE ?? 1);
+
+/**
+ * Delay in ms before the stay limit of an occupation (end of the booking, closing time or maximum stay of the parking) at which the client is warned that his stay is about to expire.
+ * @type {number}
+ */
+exports.OVERSTAY_WARNING_DELAY =
+  parseFloat(process.env.OVERSTAY_WARNING_MINUTES ?? 15) * 60 * 1000; // 15 minutes by default
+
+/**
+ * Delay in ms after the stay limit of an occupation during which the overstay of the client isn't charged.
+ * @type {number}
+ */
+exports.OVERSTAY_GRACE_DELAY =
+  parseFloat(process.env.OVERSTAY_GRACE_MINUTES ?? 5) * 60 * 1000; // 5 minutes by default
+
+/**
+ * Rate of the price of the overstay period charged to the client as a surcharge, on top of the price of the occupation.
+ * @type {number}
+ */
+exports.OVERSTAY_SURCHARGE_RATE = parseFloat(
+  process.env.OVERSTAY_SURCHARGE_RATE ?? 0.5,
+);
+
+/**
+ * Interval in ms between two executions of the scheduled jobs of the application.
+ * @type {number}
+ */
+exports.SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Timezone of the application, in which the pricing rules of the parkings are applied and the earnings statements are generated.
+ * @type {string}
+ */
+exports.TIMEZONE = 'Europe/Zurich';
+
+/**
+ * Rate of the (refund deducted) bills of the occupations kept by the platform as commission on the earnings of the providers.
+ * @type {number}
+ */
+exports.PLATFORM_COMMISSION_RATE = parseFloat(
+  process.env.PLATFORM_COMMISSION_RATE ?? 0.1,
+);
+
+/**
+ * Currency of the wallets and payments of the application.
+ * @type {string}
+ */
+exports.CURRENCY = 'CHF';
+
+/**
+ * VAT rate included in the bills of the occupations and shown on their invoices.
+ * @type {number}
+ */
+exports.VAT_RATE = parseFloat(process.env.VAT_RATE ?? 0.081);
+
+/**
+ * Prefix of the numbers of the invoices generated by the application.
+ * @type {string}
+ */
+exports.INVOICE_PREFIX = 'PNS';
+
+/**
+ * Maximal duration in ms of the time slot of a price quote, such that the price computation stays bounded.
+ * @type {number}
+ */
+exports.MAX_QUOTE_DURATION = 31 * 24 * 60 * 60 * 1000; // 31 days
+
+/**
+ * Maximal duration in ms of a booking, such that its price computation stays bounded and a parking can't be blocked for a long time.
+ * @type {number}
+ */
+exports.MAX_BOOKING_DURATION = 31 * 24 * 60 * 60 * 1000; // 31 days
+
+/**
+ * Duration in ms of the occupation priced to compute the amount held on the wallet of the client when he starts a reservation without booking, also the expected duration of such a reservation when the parking has no stay limit.
+ * @type {number}
+ */
+exports.RESERVATION_HOLD_DURATION =
+  parseFloat(process.env.RESERVATION_HOLD_HOURS ?? 2) * 60 * 60 * 1000; // 2 hours by default
+
+/**
+ * Maximal amount of money that can be added to a wallet in a single top-up.
+ * @type {number}
+ */
+exports.MAX_TOP_UP_AMOUNT = 1000;
+
+/**
+ * Maximal number of saved searches of an user.
+ * @type {number}
+ */
+exports.MAX_SAVED_SEARCHES = 10;
+
+/**
+ * Minimal delay in ms between two availability alerts of the same saved search, such that the user isn't flooded with alerts in a busy area.
+ * @type {number}
+ */
+exports.SAVED_SEARCH_ALERT_DELAY =
+  parseFloat(process.env.SAVED_SEARCH_ALERT_MINUTES ?? 60) * 60 * 1000; // 60 minutes by default
+
+/**
+ * Payment providers that can be used to top up the wallets, selected with the PAYMENT_PROVIDER environment variable.
+ * @type {Object<string, typeof PaymentProvider>}
+ */
+const PAYMENT_PROVIDERS = {
+  fake: FakePaymentProvider,
+};
+
+/**
+ * Payment providers accepting any payment source, that can only be used in the development and test environments.
+ * @type {string[]}
+ */
+const TEST_PAYMENT_PROVIDERS = ['fake'];
+
+if (!process.env.PAYMENT_PROVIDER)
+  throw new Error(
+    'Please provide a payment provider with the PAYMENT_PROVIDER environment variable.',
+  );
+
+const PaymentProviderClass = PAYMENT_PROVIDERS[process.env.PAYMENT_PROVIDER];
+
+if (!PaymentProviderClass)
+  throw new Error(`Unknown payment provider: ${process.env.PAYMENT_PROVIDER}.`);
+
+if (
+  TEST_PAYMENT_PROVIDERS.includes(process.env.PAYMENT_PROVIDER) &&
+  !['development', 'test'].includes(process.env.NODE_ENV)
+)
+  throw new Error(
+    `The ${process.env.PAYMENT_PROVIDER} payment provider can only be used in the development and test environments.`,
+  );
+
+/**
+ * Payment provider object, used to charge the payment sources of the users when they top up their wallet.
+ * @type {PaymentProvider}
+ */
+exports.PAYMENT_PROVIDER = new PaymentProviderClass();
+
+/**
+ * Default number of results per page of the listings.
+ * @type {number}
+ */
+exports.DEFAULT_PAGE_LIMIT = 20;
+
+/**
+ * Maximal number of results per page of the listings.
+ * @type {number}
+ */
+exports.MAX_PAGE_LIMIT = 100;
+
 /**
  * Socket lock object used to restrict simultanous access on the socket connection array when trying to modifying it.
  * @type {Lock}
@@ -148,7 +411,7 @@ exports.EMAIL_CONFIRMATION_DELAY = 10 * 24 * 60 * 60 * 1000; // 10 days
 exports.socket_lock = new Lock();
 
 /**
- * Socket connection array, containing all the existing socket connections etablished between the backend and client applications.
+ * Socket connection array, containing all the existing socket connections etablished between the backend and client applications, with the id of the user connected on them if he sent an authenticated request with his session id.
  * @type {Array}
  */
 exports.SOCKET_CONNECTIONS = [];
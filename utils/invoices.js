@@ -0,0 +1,244 @@
+/**
+ * Functions used to generate the numbered invoices of the completed occupations and to render them in HTML and PDF formats.
+ * @module invoices
+ */
+const ejs = require('ejs');
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const Occupation = require('../models/occupationModel');
+const Invoice = require('../models/invoiceModel');
+const Counter = require('../models/counterModel');
+const AppError = require('./classes/AppError');
+const { runTransaction } = require('./utils');
+const { TIMEZONE, CURRENCY, VAT_RATE, INVOICE_PREFIX } = require('./globals');
+
+/**
+ * Function used to round an amount of money to the cent.
+ * @param {number} amount the amount we want to round
+ * @returns {number} the rounded amount
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to format the location of a parking as a postal address.
+ * @param {Object} location the location of the parking
+ * @returns {string} the postal address of the parking
+ */
+const formatAddress = ({ street, housenumber, postcode, city } = {}) =>
+  [
+    [street, housenumber].filter(Boolean).join(' '),
+    [postcode, city].filter(Boolean).join(' '),
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Function used to format a date in the timezone of the application.
+ * @param {Date|string} date the date we want to format
+ * @param {string} format the moment format of the date
+ * @returns {string} the formatted date
+ */
+const formatDate = (date, format = 'DD.MM.YYYY HH:mm') =>
+  date ? moment(date).tz(TIMEZONE).format(format) : '-';
+
+/**
+ * Function used to format an amount of money with its currency.
+ * @param {number} amount the amount we want to format
+ * @param {string} currency the currency of the amount
+ * @returns {string} the formatted amount
+ */
+const formatAmount = (amount, currency = CURRENCY) =>
+  `${(amount ?? 0).toFixed(2)} ${currency}`;
+
+/**
+ * Function used to generate the invoice of a completed occupation, numbered sequentially per year. The invoice is generated only once: the existing one is returned if it was already generated.
+ * @param {string} occupationId the id of the completed occupation
+ * @returns {Promise<mongoose.Document<Invoice>>} the invoice of the occupation
+ */
+exports.createInvoice = async occupationId => {
+  try {
+    return await runTransaction(async session => {
+      const existingInvoice = await Invoice.findOne({
+        occupation: occupationId,
+      }).session(session);
+
+      if (existingInvoice) return existingInvoice;
+
+      const occupation = await Occupation.findById(occupationId)
+        .populate([
+          { path: 'client', select: '_id username email' },
+          {
+            path: 'parking',
+            select: '_id name location',
+            options: { withDeleted: true },
+          },
+        ])
+        .session(session);
+
+      if (!occupation || occupation.status !== 'completed')
+        throw new AppError('Only completed occupations can be invoiced.', 400);
+
+      const issueDate = new Date();
+      const year = moment(issueDate).tz(TIMEZONE).year();
+      const sequence = await Counter.getNextSequence(
+        `invoice-${year}`,
+        session,
+      );
+
+      const number = [
+        INVOICE_PREFIX,
+        year,
+        `${sequence}`.padStart(6, '0'),
+      ].join('-');
+      const { client, parking, start, end, bill, billDetails } = occupation;
+      const total = roundAmount(bill ?? 0);
+      const netAmount = roundAmount(total / (1 + VAT_RATE));
+
+      const [invoice] = await Invoice.create(
+        [
+          {
+            number,
+            occupation: occupation._id,
+            client: client && {
+              _id: client._id,
+              username: client.username,
+              email: client.email,
+            },
+            parking: parking && {
+              _id: parking._id,
+              name: parking.name,
+              address: formatAddress(parking.location),
+            },
+            start,
+            end,
+            breakdown: billDetails,
+            total,
+            vatRate: VAT_RATE,
+            netAmount,
+            vatAmount: roundAmount(total - netAmount),
+            currency: CURRENCY,
+            issueDate,
+          },
+        ],
+        { session },
+      );
+
+      return invoice;
+    });
+  } catch (err) {
+    // The invoice was generated by a concurrent request in the meantime
+    if (err.code === 11000)
+      return Invoice.findOne({ occupation: occupationId });
+
+    throw err;
+  }
+};
+
+/**
+ * Function used to render an invoice as an HTML page.
+ * @param {mongoose.Document<Invoice>} invoice the invoice we want to render
+ * @returns {Promise<string>} the HTML content of the invoice
+ */
+exports.renderInvoiceHTML = invoice =>
+  ejs.renderFile(`${__dirname}/../views/invoices/invoice.ejs`, {
+    invoice,
+    formatDate,
+    formatAmount,
+  });
+
+/**
+ * Function used to render an invoice as a PDF document.
+ * @param {mongoose.Document<Invoice>} invoice the invoice we want to render
+ * @returns {Promise<Buffer>} the content of the PDF document
+ */
+exports.renderInvoicePDF = invoice =>
+  new Promise((resolve, reject) => {
+    const {
+      number,
+      issueDate,
+      client,
+      parking,
+      start,
+      end,
+      breakdown,
+      total,
+      vatRate,
+      netAmount,
+      vatAmount,
+      currency,
+    } = invoice;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text(`Park'N'Share - Invoice ${number}`);
+    doc.moveDown();
+    doc
+      .fontSize(11)
+      .text(`Issue date: ${formatDate(issueDate, 'DD.MM.YYYY')}`)
+      .text(`Client: ${client?.username ?? '-'} (${client?.email ?? '-'})`);
+    doc.moveDown();
+
+    doc
+      .fontSize(14)
+      .text('Parking')
+      .fontSize(11)
+      .text(parking?.name ?? '-')
+      .text(parking?.address || '-')
+      .text(`From: ${formatDate(start)}`)
+      .text(`To: ${formatDate(end)}`);
+    doc.moveDown();
+
+    doc.fontSize(14).text('Tariff breakdown').fontSize(11);
+
+    if (breakdown?.freeMinutes > 0)
+      doc.text(`Free minutes: ${breakdown.freeMinutes} min`);
+
+    (breakdown?.segments ?? []).forEach(
+      ({ from, to, hourlyPrice, minutes, amount }) => {
+        const period = `${formatDate(from)} - ${formatDate(to, 'HH:mm')}`;
+        const price = formatAmount(hourlyPrice, currency);
+        const cost = formatAmount(amount, currency);
+
+        doc.text(`${period}: ${minutes} min at ${price}/h = ${cost}`);
+      },
+    );
+
+    (breakdown?.days ?? [])
+      .filter(({ capped }) => capped)
+      .forEach(({ date, amount }) => {
+        const day = formatDate(date, 'DD.MM.YYYY');
+
+        doc.text(
+          `Daily cap applied on ${day}: ${formatAmount(amount, currency)}`,
+        );
+      });
+
+    if (breakdown?.minimumChargeApplied)
+      doc.text(`Minimum charge applied: ${formatAmount(total, currency)}`);
+
+    if (breakdown?.overstay?.surcharge > 0)
+      doc.text(
+        `Overstay surcharge (${
+          breakdown.overstay.minutes
+        } min after ${formatDate(breakdown.overstay.since)}): ${formatAmount(
+          breakdown.overstay.surcharge,
+          currency,
+        )}`,
+      );
+
+    const vatPercentage = roundAmount(vatRate * 100);
+
+    doc.moveDown();
+    doc
+      .text(`Net amount: ${formatAmount(netAmount, currency)}`)
+      .text(`VAT (${vatPercentage}%): ${formatAmount(vatAmount, currency)}`)
+      .fontSize(14)
+      .text(`Total: ${formatAmount(total, currency)}`);
+
+    doc.end();
+  });
@@ -0,0 +1,154 @@
+/**
+ * Parking lot functions, used to share the fields of the lots with their spots, compute the availability of the lots and find a free spot in them.
+ * @module lots
+ */
+const Parking = require('../models/parkingModel');
+const Lot = require('../models/lotModel');
+const Occupation = require('../models/occupationModel');
+const { getScheduleConflict } = require('./schedule');
+const { getVehicleFitConflict } = require('./vehicles');
+const { BOOKING_ARRIVAL_TOLERANCE } = require('./globals');
+
+/**
+ * Fields of a parking lot shared with its spots, they can only be modified on the lot.
+ * @type {string[]}
+ */
+const LOT_SHARED_FIELDS = ['type', 'price', 'pricing', 'location', 'photos'];
+
+exports.LOT_SHARED_FIELDS = LOT_SHARED_FIELDS;
+
+/**
+ * Function used to get the fields of a parking lot that have to be copied on its spots.
+ * @param {mongoose.Document<Lot>|Object} lot the parking lot, or the modified fields of the lot
+ * @returns {Object} the shared fields of the lot that are defined
+ */
+exports.getSharedFields = lot => {
+  const fields = typeof lot.toObject === 'function' ? lot.toObject() : lot;
+
+  return Object.fromEntries(
+    LOT_SHARED_FIELDS.filter(field => fields[field] !== undefined).map(
+      field => [field, fields[field]],
+    ),
+  );
+};
+
+/**
+ * Async function used to keep the photos that aren't used anymore by any parking or parking lot, such that the files shared by a lot with its spots or referenced by another parking are never deleted.
+ * @param {string[]} filenames the filenames of the removed photos
+ * @returns {Promise<string[]>} the filenames of the photos whose files can be deleted
+ */
+exports.getUnusedPhotos = async filenames => {
+  if (filenames.length === 0) return [];
+
+  const [parkingPhotos, lotPhotos] = await Promise.all([
+    Parking.distinct('photos', { photos: { $in: filenames } }),
+    Lot.distinct('photos', { photos: { $in: filenames } }),
+  ]);
+
+  const usedPhotos = new Set([...parkingPhotos, ...lotPhotos]);
+
+  return filenames.filter(filename => !usedPhotos.has(filename));
+};
+
+/**
+ * Async function used to find the bookings of the current time slot of some spots, whose clients can already confirm their arrival.
+ * @param {mongoose.Types.ObjectId[]} spotIds the ids of the spots
+ * @param {Date} now the current time
+ * @returns {Promise<mongoose.Document<Occupation>[]>} the current bookings of the spots, with their parking and client
+ */
+const findCurrentBookings = (spotIds, now) =>
+  Occupation.find({
+    parking: { $in: spotIds },
+    status: 'booked',
+    bookingStart: {
+      $lte: new Date(now.getTime() + BOOKING_ARRIVAL_TOLERANCE),
+    },
+    bookingEnd: { $gt: now },
+  }).select('parking client');
+
+/**
+ * Function used to check if a spot can be reserved right now by any user: it has a thingy, is neither occupied nor being reserved, isn't booked and is open.
+ * @param {mongoose.Document<Parking>} spot the spot, with its thingy and its occupation and pending states
+ * @param {Set<string>} bookedSpots the ids of the spots booked for the current time slot
+ * @param {Date} now the current time
+ * @returns {boolean} true if the spot is free, false otherwise
+ */
+const isFreeSpot = (spot, bookedSpots, now) =>
+  Boolean(spot.thingy) &&
+  spot.isOccupied !== true &&
+  !(spot.isPending && spot.pendingExpires > now) &&
+  !bookedSpots.has(spot._id.valueOf()) &&
+  !getScheduleConflict(spot.schedule, now);
+
+/**
+ * Async function used to compute the availability of parking lots, from the number of their validated spots that can be reserved right now (see findFreeSpot).
+ * @param {mongoose.Types.ObjectId[]} lotIds the ids of the parking lots
+ * @returns {Promise<Map<string, {free: number, total: number}>>} the number of free spots and the total number of spots of each lot, by lot id
+ */
+exports.getLotAvailability = async lotIds => {
+  if (lotIds.length === 0) return new Map();
+
+  const now = new Date();
+
+  const spots = await Parking.find({
+    lot: { $in: lotIds },
+    isValidated: true,
+  }).select('lot schedule +thingy +isOccupied +isPending +pendingExpires');
+
+  const bookings = await findCurrentBookings(
+    spots.map(({ _id }) => _id),
+    now,
+  );
+
+  const bookedSpots = new Set(bookings.map(({ parking }) => parking.valueOf()));
+
+  return spots.reduce((availability, spot) => {
+    const lotId = spot.lot.valueOf();
+    const { free, total } = availability.get(lotId) ?? { free: 0, total: 0 };
+
+    availability.set(lotId, {
+      free: free + (isFreeSpot(spot, bookedSpots, now) ? 1 : 0),
+      total: total + 1,
+    });
+
+    return availability;
+  }, new Map());
+};
+
+/**
+ * Async function used to find a spot of a parking lot that an user can reserve right now. The spot booked by the user for the current time slot is chosen first, otherwise any validated spot that has a thingy, is free, isn't booked by another user, is open and fits the vehicle of the user.
+ * @param {string} lotId the id of the parking lot
+ * @param {Object} reservation the reservation the user wants to start
+ * @param {string} reservation.userId the id of the user
+ * @param {Object} reservation.vehicle the vehicle selected by the user, if there is one
+ * @returns {Promise<mongoose.Document<Parking>|null>} the spot the user can reserve, null if there isn't any
+ */
+exports.findFreeSpot = async (lotId, { userId, vehicle }) => {
+  const now = new Date();
+
+  const spots = await Parking.find({ lot: lotId, isValidated: true }).select(
+    '+thingy +isOccupied +isPending +pendingExpires',
+  );
+
+  const bookings = await findCurrentBookings(
+    spots.map(({ _id }) => _id),
+    now,
+  );
+
+  const ownBooking = bookings.find(
+    ({ client }) => client.valueOf() === userId.valueOf(),
+  );
+
+  if (ownBooking)
+    return spots.find(({ _id }) => _id.equals(ownBooking.parking)) ?? null;
+
+  const bookedSpots = new Set(bookings.map(({ parking }) => parking.valueOf()));
+
+  return (
+    spots.find(
+      spot =>
+        isFreeSpot(spot, bookedSpots, now) &&
+        !(vehicle && getVehicleFitConflict(spot.dimensions, vehicle)),
+    ) ?? null
+  );
+};
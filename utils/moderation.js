@@ -0,0 +1,84 @@
+/**
+ * Functions handling the moderation state machine of the parkings (submitted, changes_requested, rejected, approved).
+ * @module moderation
+ */
+const Parking = require('../models/parkingModel');
+
+/**
+ * States from which a parking can reach each moderation state:
+ *  - an admin approves, requests changes on or rejects a submitted parking (or rejects a parking waiting for changes)
+ *  - a parking is submitted again when its owner resubmits it after the requested changes, or modifies the price or the location of an approved parking
+ * @type {Object<string, string[]>}
+ */
+const ALLOWED_ORIGINS = {
+  approved: ['submitted'],
+  changes_requested: ['submitted'],
+  rejected: ['submitted', 'changes_requested'],
+  submitted: ['changes_requested', 'approved'],
+};
+
+/**
+ * Function used to generate the query filter matching the parkings being in one of the requested moderation states.
+ * @param {string[]} statuses the requested moderation states
+ * @returns {Object} the query filter
+ */
+const getStatusFilter = statuses => {
+  const filters = [{ 'moderation.status': { $in: statuses } }];
+
+  // The parkings created before the moderation process only have a validation state
+  if (statuses.includes('approved'))
+    filters.push({
+      'moderation.status': { $exists: false },
+      isValidated: true,
+    });
+
+  if (statuses.includes('submitted'))
+    filters.push({
+      'moderation.status': { $exists: false },
+      isValidated: { $ne: true },
+    });
+
+  return { $or: filters };
+};
+
+/**
+ * Function used to get the moderation state of a parking, deduced from its validation state if it was created before the moderation process.
+ * @param {mongoose.Document<Parking>} parking the parking, with its selected moderation and validation states
+ * @returns {string} the moderation state of the parking
+ */
+exports.getModerationStatus = parking =>
+  parking.moderation?.status ??
+  (parking.isValidated ? 'approved' : 'submitted');
+
+/**
+ * Function used to atomically move a parking to a new moderation state and record the decision in its moderation history. The parking is validated if and only if it is approved.
+ * @param {string} parkingId the id of the moderated parking
+ * @param {string} status the new moderation state of the parking
+ * @param {Object} decision the moderation decision
+ * @param {string} decision.by the id of the user that took the decision
+ * @param {string} decision.comment the comment explaining the decision
+ * @param {string[]} decision.from the states from which the transition is allowed, all the allowed ones by default
+ * @param {Object} decision.update the additional fields of the parking updated with the transition
+ * @param {mongoose.ClientSession} decision.session the session of the transaction in which the transition is made, if there is one
+ * @returns {Promise<mongoose.Document<Parking>>} the moderated parking, null if the transition isn't allowed from its current state
+ */
+exports.moderateParking = (
+  parkingId,
+  status,
+  { by, comment, from = ALLOWED_ORIGINS[status], update = {}, session },
+) =>
+  Parking.findOneAndUpdate(
+    { _id: parkingId, ...getStatusFilter(from) },
+    {
+      $set: {
+        ...update,
+        isValidated: status === 'approved',
+        'moderation.status': status,
+        'moderation.comment': comment,
+      },
+      $push: {
+        'moderation.history': { status, comment, by, date: new Date() },
+      },
+    },
+    { new: true, runValidators: false, session },
+  ).select('+isValidated +moderation');
@@ -0,0 +1,203 @@
+/**
+ * Parking photo functions, used to store the photos with their resized variants, generate their sources and modify the photo lists of the parkings.
+ * @module photos
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const AppError = require('./classes/AppError');
+const { PARKINGS_FOLDER, BACKEND_URL, PHOTO_VARIANTS } = require('./globals');
+
+/**
+ * Function used to get the filename of a resized variant of a photo.
+ * @param {string} filename the filename of the original photo
+ * @param {string} variant the name of the variant (thumbnail / medium)
+ * @returns {string} the filename of the variant, stored next to the original photo
+ */
+const getVariantFilename = (filename, variant) =>
+  filename.replace(/\.jpeg$/, `-${variant}.jpeg`);
+
+/**
+ * Async function used to store a resized variant of a photo in JPEG format.
+ * @param {Buffer|string} input the content of the photo or the path of its original file
+ * @param {string} filename the filename of the original photo
+ * @param {string} variant the name of the variant (thumbnail / medium)
+ */
+const saveVariant = (input, filename, variant) => {
+  const { width, quality } = PHOTO_VARIANTS[variant];
+
+  return (
+    sharp(input)
+      // The small photos aren't enlarged
+      .resize({ width, withoutEnlargement: true })
+      .toFormat('jpeg')
+      .jpeg({ quality })
+      .toFile(`${PARKINGS_FOLDER}/${getVariantFilename(filename, variant)}`)
+  );
+};
+
+/**
+ * Async function used to store an uploaded photo in JPEG format, along with its resized variants.
+ * @param {Buffer} buffer the content of the uploaded photo
+ * @param {string} filename the filename of the stored photo
+ */
+exports.savePhoto = async (buffer, filename) => {
+  await Promise.all([
+    sharp(buffer)
+      .toFormat('jpeg')
+      .jpeg({ quality: 100 })
+      .toFile(`${PARKINGS_FOLDER}/${filename}`),
+    ...Object.keys(PHOTO_VARIANTS).map(variant =>
+      saveVariant(buffer, filename, variant),
+    ),
+  ]);
+};
+
+/**
+ * Async function used to generate the missing resized variants of the stored photos, e.g. the ones of the photos uploaded before the variants were introduced. The photos are processed one by one to limit the memory usage, and a photo that can't be processed doesn't stop the others.
+ * @returns {Promise<number>} the number of photos whose variants were generated
+ */
+exports.generateMissingVariants = async () => {
+  const files = await fs.readdir(PARKINGS_FOLDER);
+  const existingFiles = new Set(files);
+  const variants = Object.keys(PHOTO_VARIANTS);
+
+  const originals = files.filter(
+    file =>
+      file.endsWith('.jpeg') &&
+      !variants.some(variant => file.endsWith(`-${variant}.jpeg`)),
+  );
+
+  let generated = 0;
+
+  for (const filename of originals) {
+    const missingVariants = variants.filter(
+      variant => !existingFiles.has(getVariantFilename(filename, variant)),
+    );
+
+    if (missingVariants.length === 0) continue;
+
+    try {
+      await Promise.all(
+        missingVariants.map(variant =>
+          saveVariant(`${PARKINGS_FOLDER}/${filename}`, filename, variant),
+        ),
+      );
+      generated++;
+    } catch (err) {
+      console.error(
+        `Error while trying to generate the resized variants of the photo ${filename}.`,
+      );
+      console.error(err);
+    }
+  }
+
+  return generated;
+};
+
+/**
+ * Async function used to delete the files of photos that aren't used anymore, with their resized variants. The files that were already deleted are ignored.
+ * @param {string[]} filenames the filenames of the deleted photos
+ */
+exports.deletePhotoFiles = async filenames => {
+  const files = filenames.flatMap(filename => [
+    filename,
+    ...Object.keys(PHOTO_VARIANTS).map(variant =>
+      getVariantFilename(filename, variant),
+    ),
+  ]);
+
+  await Promise.all(
+    files.map(async file => {
+      try {
+        await fs.unlink(`${PARKINGS_FOLDER}/${file}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }),
+  );
+};
+
+/**
+ * Function used to generate the absolute URLs of a photo and of its resized variants, with the srcset listing the variants by width.
+ * @param {string} filename the filename of the photo
+ * @returns {{original: string, thumbnail: string, medium: string, srcset: string}} the URL of the original photo and of each variant, and the srcset of the variants
+ */
+exports.getPhotoSources = filename => {
+  const getURL = file => `${BACKEND_URL}/${PARKINGS_FOLDER}/${file}`;
+
+  const variants = Object.fromEntries(
+    Object.keys(PHOTO_VARIANTS).map(variant => [
+      variant,
+      getURL(getVariantFilename(filename, variant)),
+    ]),
+  );
+
+  return {
+    original: getURL(filename),
+    ...variants,
+    srcset: Object.entries(PHOTO_VARIANTS)
+      .map(([variant, { width }]) => `${variants[variant]} ${width}w`)
+      .join(', '),
+  };
+};
+
+/**
+ * Function used to find a photo in the photo list of a parking, from its filename or its URL.
+ * @param {string[]} photos the filenames of the photos of the parking
+ * @param {string} photo the filename or the URL of the requested photo
+ * @returns {string} the filename of the photo
+ */
+const findPhoto = (photos, photo) => {
+  const filename = path.basename(`${photo}`);
+
+  if (!photos.includes(filename))
+    throw new AppError("The requested photo doesn't exist.", 404);
+
+  return filename;
+};
+
+/**
+ * Function used to remove a photo from the photo list of a parking.
+ * @param {string[]} photos the filenames of the photos of the parking
+ * @param {string} photo the filename or the URL of the removed photo
+ * @returns {string[]} the photo list without the photo
+ */
+exports.removePhoto = (photos, photo) => {
+  const filename = findPhoto(photos, photo);
+
+  return photos.filter(other => other !== filename);
+};
+
+/**
+ * Function used to set a photo as the cover of a parking, i.e. the first photo of its list.
+ * @param {string[]} photos the filenames of the photos of the parking
+ * @param {string} photo the filename or the URL of the cover photo
+ * @returns {string[]} the photo list starting with the cover photo, the other photos keep their order
+ */
+exports.setCoverPhoto = (photos, photo) => {
+  const filename = findPhoto(photos, photo);
+
+  return [filename, ...photos.filter(other => other !== filename)];
+};
+
+/**
+ * Function used to reorder the photos of a parking.
+ * @param {string[]} photos the filenames of the photos of the parking
+ * @param {string[]} order the filenames or the URLs of all the photos of the parking in their new order
+ * @returns {string[]} the reordered photo list
+ */
+exports.reorderPhotos = (photos, order) => {
+  const error = new AppError(
+    'Please provide all the photos of the parking in their new order.',
+    400,
+  );
+
+  if (!Array.isArray(order) || order.length !== photos.length) throw error;
+
+  const reorderedPhotos = order.map(photo => findPhoto(photos, photo));
+
+  if (new Set(reorderedPhotos).size !== photos.length) throw error;
+
+  return reorderedPhotos;
+};
@@ -0,0 +1,281 @@
+/**
+ * Pricing functions, used to compute the price of an occupation of a parking from its pricing rules.
+ * All functions of the module are pure: they only depend on their parameters.
+ * @module pricing
+ */
+const moment = require('moment-timezone');
+const { TIMEZONE } = require('./globals');
+
+/**
+ * Number of minutes in a day.
+ * @type {number}
+ */
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Function used to convert a time of the day in HH:mm format into the number of minutes since midnight.
+ * @param {string} time the time of the day in HH:mm format (24:00 is accepted as the end of the day)
+ * @returns {number} the number of minutes since midnight
+ */
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+
+  return hours * 60 + minutes;
+};
+
+exports.toMinutes = toMinutes;
+
+/**
+ * Function used to round an amount to the cent.
+ * @param {number} amount the amount we want to round
+ * @returns {number} the rounded amount
+ */
+const round = amount => parseFloat(amount.toFixed(2));
+
+/**
+ * Function used to find the hourly price applied at a specific minute of a day.
+ * The time-of-day rates have the priority over the weekend price, which has the priority over the base price.
+ * @param {Object} parking the parking containing the base hourly price and the pricing rules
+ * @param {number} weekday the day of the week (0 for sunday to 6 for saturday)
+ * @param {number} minute the number of minutes since midnight
+ * @returns {number} the hourly price applied at this moment
+ */
+const getHourlyPrice = ({ price, pricing }, weekday, minute) => {
+  const rate = pricing?.rates?.find(
+    ({ days, from, to }) =>
+      (!days || days.length === 0 || days.includes(weekday)) &&
+      toMinutes(from) <= minute &&
+      minute < toMinutes(to),
+  );
+
+  if (rate) return rate.price;
+
+  if (
+    (weekday === 0 || weekday === 6) &&
+    typeof pricing?.weekendPrice === 'number'
+  )
+    return pricing.weekendPrice;
+
+  return price;
+};
+
+/**
+ * Function used to find the next minute of a day at which the applied hourly price can change.
+ * @param {Object} pricing the pricing rules of the parking
+ * @param {number} minute the number of minutes since midnight
+ * @returns {number} the next minute of the day at which a time-of-day rate starts or ends, the end of the day if there isn't any
+ */
+const getNextBoundary = (pricing, minute) =>
+  (pricing?.rates || [])
+    .flatMap(({ from, to }) => [toMinutes(from), toMinutes(to)])
+    .filter(boundary => boundary > minute)
+    .reduce((min, boundary) => Math.min(min, boundary), DAY_MINUTES);
+
+/**
+ * Function used to get the wall-clock time of a date as a number of minutes since midnight, which differs from the elapsed minutes since midnight on the daylight saving time change days.
+ * @param {moment.Moment} time the date in the timezone of the application
+ * @returns {number} the number of minutes since midnight shown on the clock
+ */
+const getWallClockMinute = time =>
+  time.hours() * 60 + time.minutes() + time.seconds() / 60;
+
+exports.getWallClockMinute = getWallClockMinute;
+
+/**
+ * Function used to find the first date after the current time at which the clock shows a specific minute of the current day.
+ * On the daylight saving time change days, a skipped wall-clock time is moved after the change and a repeated wall-clock time gives its next occurrence.
+ * @param {moment.Moment} current the current time in the timezone of the application
+ * @param {number} minute the wall-clock minute of the current time
+ * @param {number} boundaryMinute the wall-clock minute of the boundary, after the current minute (the end of the day for the midnight of the next day)
+ * @returns {moment.Moment} the date of the boundary, always after the current time
+ */
+const getBoundaryTime = (current, minute, boundaryMinute) => {
+  const boundary =
+    boundaryMinute >= DAY_MINUTES
+      ? current.clone().startOf('day').add(1, 'day')
+      : current
+          .clone()
+          .startOf('day')
+          .hours(Math.floor(boundaryMinute / 60))
+          .minutes(boundaryMinute % 60);
+
+  // A repeated wall-clock time resolves to its first occurrence, the second one comes after the clock is turned back
+  if (!boundary.isAfter(current))
+    boundary.add(boundary.utcOffset() - current.utcOffset(), 'minutes');
+
+  if (boundary.isAfter(current)) return boundary;
+
+  return current.clone().add(boundaryMinute - minute, 'minutes');
+};
+
+exports.getBoundaryTime = getBoundaryTime;
+
+/**
+ * Function used to find the next daylight saving time change of the timezone of the application, at which the same wall-clock times can be repeated or skipped.
+ * @param {moment.Moment} current the current time
+ * @returns {moment.Moment|null} the date of the next change, null if there isn't any
+ */
+const getNextOffsetChange = current => {
+  const change = moment.tz
+    .zone(TIMEZONE)
+    .untils.find(until => until > current.valueOf());
+
+  return change && Number.isFinite(change) ? moment(change).tz(TIMEZONE) : null;
+};
+
+/**
+ * Function used to compute the price of an occupation of a parking between two dates, by applying its pricing rules in the following order:
+ *  1. the first free minutes are removed from the billed duration
+ *  2. the billed duration is rounded to the next started block
+ *  3. the time-of-day, weekend and base hourly prices are applied to each part of the billed duration
+ *  4. the amount of each day is limited to the daily cap
+ *  5. the total is raised to the minimum charge
+ * @param {Object} parking the parking (or any object containing its hourly price and its pricing rules)
+ * @param {number} parking.price the base hourly price of the parking
+ * @param {Object} parking.pricing the pricing rules of the parking
+ * @param {Date|string|number} start the starting time of the occupation
+ * @param {Date|string|number} end the end time of the occupation
+ * @returns {Object} the total price of the occupation and the breakdown of its computation
+ */
+exports.computePrice = (parking, start, end) => {
+  const { pricing } = parking;
+  const startTime = moment(start).tz(TIMEZONE);
+  const endTime = moment(end).tz(TIMEZONE);
+
+  const duration = Math.max(0, endTime.diff(startTime, 'minutes', true));
+  const freeMinutes = Math.min(duration, pricing?.freeMinutes || 0);
+
+  const breakdown = {
+    duration: round(duration),
+    freeMinutes: round(freeMinutes),
+    billedMinutes: 0,
+    segments: [],
+    days: [],
+    minimumChargeApplied: false,
+  };
+
+  let billedMinutes = duration - freeMinutes;
+
+  if (billedMinutes <= 0) return { total: 0, breakdown };
+
+  if (pricing?.blockMinutes)
+    billedMinutes =
+      Math.ceil(billedMinutes / pricing.blockMinutes) * pricing.blockMinutes;
+
+  breakdown.billedMinutes = round(billedMinutes);
+
+  // Apply the hourly prices on each part of the billed duration having the same price
+  let current = startTime.clone().add(freeMinutes, 'minutes');
+  const billedEnd = current.clone().add(billedMinutes, 'minutes');
+
+  while (current.isBefore(billedEnd)) {
+    const weekday = current.day();
+    const minute = getWallClockMinute(current);
+    const hourlyPrice = getHourlyPrice(parking, weekday, minute);
+    const boundary = getBoundaryTime(
+      current,
+      minute,
+      getNextBoundary(pricing, minute),
+    );
+    const offsetChange = getNextOffsetChange(current);
+    const segmentEnd = moment.min(
+      [boundary, billedEnd, offsetChange].filter(Boolean),
+    );
+
+    // Each part of the billed duration must move forward, such that the computation always ends
+    if (!segmentEnd.isAfter(current))
+      throw new Error(`Pricing boundary stuck at ${current.toISOString()}.`);
+
+    const minutes = segmentEnd.diff(current, 'minutes', true);
+    const date = current.format('YYYY-MM-DD');
+
+    breakdown.segments.push({
+      date,
+      from: current.toISOString(),
+      to: segmentEnd.toISOString(),
+      hourlyPrice,
+      minutes: round(minutes),
+      amount: round((minutes * hourlyPrice) / 60),
+    });
+
+    current = segmentEnd;
+  }
+
+  // Limit the amount of each day to the daily cap
+  breakdown.days = breakdown.segments.reduce((days, { date, amount }) => {
+    const day = days.find(day => day.date === date);
+
+    if (day) day.amount = round(day.amount + amount);
+    else days.push({ date, amount });
+
+    return days;
+  }, []);
+
+  breakdown.days.forEach(day => {
+    day.capped =
+      typeof pricing?.dailyCap === 'number' && day.amount > pricing.dailyCap;
+    if (day.capped) day.amount = pricing.dailyCap;
+  });
+
+  let total = round(
+    breakdown.days.reduce((sum, { amount }) => sum + amount, 0),
+  );
+
+  if (
+    typeof pricing?.minimumCharge === 'number' &&
+    total < pricing.minimumCharge
+  ) {
+    total = pricing.minimumCharge;
+    breakdown.minimumChargeApplied = true;
+  }
+
+  return { total: round(total), breakdown };
+};
+
+/**
+ * Function used to compute the overstay of a client past the stay limit of his occupation, and the surcharge applied to it.
+ * The surcharge is a rate of the price of the overstay period, computed with the hourly prices of the parking only, and isn't charged during the grace delay.
+ * @param {Object} parking the parking (or any object containing its hourly price and its pricing rules)
+ * @param {Date|string|number} limit the stay limit of the occupation
+ * @param {Date|string|number} end the end time of the occupation
+ * @param {Object} rules the overstay rules
+ * @param {number} rules.graceDelay the delay in ms after the stay limit during which the overstay isn't charged
+ * @param {number} rules.surchargeRate the rate of the price of the overstay period charged as a surcharge
+ * @returns {{since: Date, minutes: number, surcharge: number}|null} the overstay of the client, null if he left before the stay limit
+ */
+exports.computeOverstay = (
+  { price, pricing },
+  limit,
+  end,
+  { graceDelay, surchargeRate },
+) => {
+  if (!limit) return null;
+
+  const since = new Date(limit);
+  const duration = new Date(end).getTime() - since.getTime();
+
+  if (duration <= 0) return null;
+
+  const surcharge =
+    duration > graceDelay
+      ? round(
+          exports.computePrice(
+            {
+              price,
+              pricing: {
+                rates: pricing?.rates,
+                weekendPrice: pricing?.weekendPrice,
+              },
+            },
+            since,
+            end,
+          ).total * surchargeRate,
+        )
+      : 0;
+
+  return {
+    since,
+    minutes: Math.ceil(duration / (60 * 1000)),
+    surcharge,
+  };
+};
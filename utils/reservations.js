@@ -0,0 +1,263 @@
+/**
+ * Functions handling the lifecycle of the parking reservations, shared between the controllers and the scheduled jobs.
+ * @module reservations
+ */
+const mongoose = require('mongoose');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Email = require('./classes/Email');
+const AppError = require('./classes/AppError');
+const { getCancellationFee, runTransaction } = require('./utils');
+const { computePrice } = require('./pricing');
+const { getStayLimit } = require('./schedule');
+const { getHoldAmount, holdFunds, captureFunds } = require('./wallet');
+
+/**
+ * Function used to atomically create the active occupation of a parking (or activate the booked one), set the parking as occupied and hold the expected price of the occupation on the wallet of the client.
+ * The occupation has to end before the end of its booking, or before the closing time or the maximum stay of the parking.
+ * @param {Object} reservation the reservation we want to start
+ * @param {mongoose.Document<Parking>} reservation.parking the parking we want to occupy
+ * @param {string} reservation.userId the id of the user occupying the parking
+ * @param {mongoose.Document<Occupation>} reservation.booking the booking of the user for the current time slot, if there is one
+ * @param {Object} reservation.vehicle the vehicle selected by the user, copied on the occupation, if there is one
+ * @param {Date|number} reservation.start the starting time of the occupation
+ * @param {string} reservation.sessionID the id of the socket session of the client, if there is one
+ * @returns {Promise<mongoose.Document<Occupation>>} the active occupation
+ */
+exports.occupyParking = ({
+  parking,
+  userId,
+  booking,
+  vehicle,
+  start,
+  sessionID,
+}) =>
+  runTransaction(async session => {
+    // Conditional update: the transaction is aborted if the parking was occupied in the meantime
+    const { modifiedCount } = await Parking.updateOne(
+      { _id: parking._id, isOccupied: { $ne: true } },
+      {
+        isOccupied: true,
+        isPending: false,
+        $unset: { pendingUser: 1, pendingExpires: 1 },
+      },
+      { session, runValidators: false },
+    );
+
+    if (modifiedCount === 0)
+      throw new AppError('The requested parking is already occupied.', 400);
+
+    const held = getHoldAmount(parking, booking, start);
+    const stayLimit = booking
+      ? { end: booking.bookingEnd, reason: 'booking-end' }
+      : getStayLimit(parking.schedule, start);
+
+    let occupation;
+
+    if (booking) {
+      occupation = await Occupation.findOneAndUpdate(
+        { _id: booking._id, status: 'booked', end: undefined },
+        {
+          start,
+          status: 'active',
+          stayLimit,
+          vehicle,
+          sessionID,
+          'payment.held': held,
+        },
+        { session, new: true },
+      );
+
+      if (!occupation)
+        throw new AppError('Your booking was cancelled or has expired.', 400);
+    } else {
+      [occupation] = await Occupation.create(
+        [
+          {
+            start,
+            end: undefined,
+            status: 'active',
+            client: userId,
+            parking: parking._id,
+            stayLimit,
+            vehicle,
+            sessionID,
+            payment: { held },
+          },
+        ],
+        { session },
+      );
+    }
+
+    // The transaction is aborted if the wallet of the client doesn't contain enough money
+    await holdFunds({ userId, occupation, amount: held }, session);
+
+    return occupation;
+  });
+
+/**
+ * Function used to atomically complete the active occupation of a parking, set the parking as free and charge the bill on the wallet of the client.
+
+ * @param {Object} reservation the reservation we want to end
+ * @param {mongoose.Document<Occupation>} reservation.occupation the active occupation we want to complete
+ * @param {mongoose.Document<Parking>} reservation.parking the occupied parking
+ * @param {Date} reservation.end the end time of the occupation
+ * @param {number} reservation.bill the bill of the occupation
+ * @param {Object} reservation.billDetails the breakdown of the bill computation
+ * @param {Object} reservation.overstay the overstay of the client past the stay limit of the occupation, if there was one
+ * @returns {Promise<mongoose.Document<Occupation>>} the completed occupation
+ */
+exports.freeParking = ({
+  occupation,
+  parking,
+  end,
+  bill,
+  billDetails,
+  overstay,
+}) =>
+  runTransaction(async session => {
+    // Conditional update: the transaction is aborted if the occupation was ended in the meantime
+    const updatedOccupation = await Occupation.findOneAndUpdate(
+      { _id: occupation._id, end: undefined },
+      {
+        end,
+        bill,
+        billDetails,
+        overstay,
+        status: 'completed',
+        'payment.held': 0,
+        'payment.captured': bill,
+      },
+      { session, new: true },
+    );
+
+    if (!updatedOccupation)
+      throw new AppError('Your reservation is already finished.', 400);
+
+    await captureFunds(
+      {
+        userId: occupation.client,
+        occupation,
+        amount: bill,
+        held: occupation.payment?.held,
+        description: 'Payment of the reservation of a parking.',
+      },
+      session,
+    );
+
+    await Parking.updateOne(
+      { _id: parking._id },
+      { isOccupied: false },
+      { session, runValidators: false },
+    );
+
+    return updatedOccupation;
+  });
+
+/**
+ * Function used to cancel a booked or active occupation of a parking, free the parking if it was occupied, charge the fee on the wallet of the client and notify the other party of the occupation.
+ * @param {mongoose.Document<Occupation>} occupation the occupation we want to cancel, with its populated client
+ * @param {mongoose.Document<Parking>} parking the parking of the occupation, with its populated owner
+ * @param {string} userId the id of the user cancelling the occupation
+ * @param {string} reason the reason of the cancellation (client / provider / no-show)
+ * @returns {Promise<mongoose.Document<Occupation>>} the cancelled occupation
+ */
+exports.cancelOccupation = async (occupation, parking, userId, reason) => {
+  const date = new Date();
+  const isActive = occupation.status === 'active';
+
+  // An active occupation is billed until its cancellation, a booking is only charged with the cancellation fee
+  const fee = isActive
+    ? computePrice(parking, occupation.start, date).total
+    : getCancellationFee(
+        occupation,
+        computePrice(parking, occupation.bookingStart, occupation.bookingEnd)
+          .total,
+        reason,
+        date,
+      );
+
+  const cancelledOccupation = await runTransaction(async session => {
+    // Conditional update: the transaction is aborted if the occupation was ended in the meantime
+    const updatedOccupation = await Occupation.findOneAndUpdate(
+      { _id: occupation._id, end: undefined },
+      {
+        status: reason === 'no-show' ? 'expired' : 'cancelled',
+        end: date,
+        bill: fee,
+        cancellation: {
+          date,
+          by: userId,
+          reason,
+          fee: isActive ? 0 : fee,
+        },
+        'payment.held': 0,
+        'payment.captured': fee,
+      },
+      { session, new: true },
+    );
+
+    if (!updatedOccupation)
+      throw new AppError('The reservation is already finished.', 400);
+
+    await captureFunds(
+      {
+        userId: occupation.client._id ?? occupation.client,
+        occupation,
+        amount: fee,
+        held: occupation.payment?.held,
+        description: isActive
+          ? 'Payment of the cancelled reservation of a parking.'
+          : 'Cancellation fee of the booking of a parking.',
+      },
+      session,
+    );
+
+    if (isActive)
+      await Parking.updateOne(
+        { _id: parking._id },
+        { isOccupied: false },
+        { session, runValidators: false },
+      );
+
+    return updatedOccupation;
+  });
+
+  const recipient = reason === 'client' ? parking.owner : occupation.client;
+
+  try {
+    await new Email(recipient).sendReservationCancelled(
+      parking.name,
+      reason,
+      isActive ? 0 : fee,
+    );
+  } catch (err) {
+    console.error(
+      'Error while trying to send the reservation cancellation email.',
+    );
+    console.error(err);
+  }
+
+  return cancelledOccupation;
+};
+
+/**
+ * Function used to release the pending state of a parking set by an user when he started a reservation, if he still holds it.
+ * @param {string} parkingId the id of the pending parking
+ * @param {string} userId the id of the user that set the parking in pending state
+ */
+exports.releasePendingParking = async (parkingId, userId) => {
+  try {
+    await Parking.updateOne(
+      { _id: parkingId, pendingUser: userId },
+      {
+        isPending: false,
+        $unset: { pendingUser: 1, pendingExpires: 1 },
+      },
+      { runValidators: false },
+    );
+  } catch (err) {
+    console.error('Error while trying to release the pending parking.');
+    console.error(err);
+  }
+};
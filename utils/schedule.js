@@ -0,0 +1,152 @@
+/**
+ * Schedule functions, used to check the availability of a parking from its opening hours, blackout periods and maximum stay.
+ * @module schedule
+ */
+const moment = require('moment-timezone');
+const { TIMEZONE } = require('./globals');
+const { toMinutes, getWallClockMinute, getBoundaryTime } = require('./pricing');
+
+/**
+ * Number of minutes in a day.
+ * @type {number}
+ */
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Function used to find the end of the opening hours containing a specific minute of a day, merging the overlapping and contiguous opening hours.
+ * @param {Object[]} openingHours the weekly opening hours of the parking
+ * @param {number} weekday the day of the week (0 for sunday to 6 for saturday)
+ * @param {number} minute the number of minutes since midnight
+ * @returns {number|null} the minute of the day at which the parking closes, null if it is closed at this minute
+ */
+const getClosingMinute = (openingHours, weekday, minute) => {
+  const periods = openingHours
+    .filter(({ days }) => !days || days.length === 0 || days.includes(weekday))
+    .map(({ from, to }) => [toMinutes(from), toMinutes(to)]);
+
+  let closing = null;
+  let extended = true;
+
+  while (extended) {
+    const current = closing ?? minute;
+
+    extended = false;
+
+    periods.forEach(([from, to]) => {
+      if (
+        from <= current &&
+        current < to &&
+        (closing === null || to > closing)
+      ) {
+        closing = to;
+        extended = true;
+      }
+    });
+  }
+
+  return closing;
+};
+
+/**
+ * Function used to find the time at which a parking closes after a specific date, because of its opening hours or a blackout period.
+ * @param {Object} schedule the availability rules of the parking
+ * @param {Date|string|number} date the date from which the parking is considered
+ * @returns {Date|null} the closing time of the parking (the date itself if it is closed at this time), null if it never closes
+ */
+const getClosingTime = (schedule, date) => {
+  const time = moment(date).tz(TIMEZONE);
+  const blackouts = schedule?.blackouts || [];
+
+  if (
+    blackouts.some(({ start, end }) => time.isBetween(start, end, null, '[)'))
+  )
+    return time.toDate();
+
+  let closing = null;
+
+  if (schedule?.openingHours?.length) {
+    let current = time.clone();
+
+    // Follow the opening hours from day to day, the parking never closes if it stays open for a whole week
+    for (let day = 0; day <= 7; day += 1) {
+      const minute = getWallClockMinute(current);
+      const closingMinute = getClosingMinute(
+        schedule.openingHours,
+        current.day(),
+        minute,
+      );
+
+      if (closingMinute === null) {
+        closing = current;
+        break;
+      }
+
+      if (closingMinute < DAY_MINUTES) {
+        closing = getBoundaryTime(current, minute, closingMinute);
+        break;
+      }
+
+      current = current.clone().startOf('day').add(1, 'day');
+    }
+  }
+
+  // The parking also closes at the start of the next blackout period
+  const nextBlackout = blackouts
+    .map(({ start }) => moment(start))
+    .filter(start => start.isAfter(time))
+    .reduce((min, start) => (min && min.isBefore(start) ? min : start), null);
+
+  if (nextBlackout && (!closing || nextBlackout.isBefore(closing)))
+    closing = nextBlackout;
+
+  return closing ? closing.toDate() : null;
+};
+
+exports.getClosingTime = getClosingTime;
+
+/**
+ * Function used to compute the time at which an occupation of a parking starting at a specific date has to end at the latest, because of its closing time or its maximum stay.
+ * @param {Object} schedule the availability rules of the parking
+ * @param {Date|string|number} start the starting time of the occupation
+ * @returns {{end: Date, reason: string}|null} the stay limit of the occupation and its reason (closing-time / max-stay), null if there isn't any
+ */
+exports.getStayLimit = (schedule, start) => {
+  const closing = getClosingTime(schedule, start);
+  const maxStayEnd = schedule?.maxStay
+    ? new Date(new Date(start).getTime() + schedule.maxStay * 60 * 1000)
+    : null;
+
+  if (maxStayEnd && (!closing || maxStayEnd < closing))
+    return { end: maxStayEnd, reason: 'max-stay' };
+
+  return closing ? { end: closing, reason: 'closing-time' } : null;
+};
+
+/**
+ * Function used to check if a parking can be occupied during a time window, according to its opening hours, blackout periods and maximum stay.
+ * @param {Object} schedule the availability rules of the parking
+ * @param {Date|string|number} start the start of the time window
+ * @param {Date|string|number} end the end of the time window, if it is known
+ * @returns {string|null} the message explaining why the parking can't be occupied, null if it can be
+ */
+exports.getScheduleConflict = (schedule, start, end) => {
+  const closing = getClosingTime(schedule, start);
+
+  if (closing && closing <= new Date(start))
+    return 'The requested parking is closed at this time.';
+
+  if (end && closing && closing < new Date(end))
+    return `The requested parking closes on ${moment(closing)
+      .tz(TIMEZONE)
+      .format('DD.MM.YYYY [at] HH:mm')}, before the end of this time slot.`;
+
+  if (
+    end &&
+    schedule?.maxStay &&
+    new Date(end).getTime() - new Date(start).getTime() >
+      schedule.maxStay * 60 * 1000
+  )
+    return `The maximum stay at the requested parking is ${schedule.maxStay} minutes.`;
+
+  return null;
+};
@@ -0,0 +1,269 @@
+/**
+ * Scheduled jobs running periodically in the background of the application.
+ * @module scheduler
+ */
+const Occupation = require('../models/occupationModel');
+const Parking = require('../models/parkingModel');
+const Email = require('./classes/Email');
+const { cancelOccupation } = require('./reservations');
+const { getSessionSocket } = require('./utils');
+const {
+  NO_SHOW_DELAY,
+  SCHEDULER_INTERVAL,
+  OVERSTAY_WARNING_DELAY,
+  OVERSTAY_GRACE_DELAY,
+  OVERSTAY_SURCHARGE_RATE,
+} = require('./globals');
+
+/**
+ * Function used to expire the bookings for which the client never confirmed his arrival on the thingy after the no-show delay, such that the booked parkings are freed.
+ * A booking that can't be expired is logged without stopping the job, it is retried on the next run.
+ * @returns {Promise<number>} the number of expired bookings
+ */
+exports.expireNoShows = async () => {
+  const bookings = await Occupation.find({
+    status: 'booked',
+    end: undefined,
+    bookingStart: { $lte: new Date(Date.now() - NO_SHOW_DELAY) },
+  }).populate({ path: 'client', select: '_id username email' });
+
+  let expired = 0;
+  for (const booking of bookings) {
+    try {
+      // The bookings of the deleted parkings also expire
+      const parking = await Parking.findById(booking.parking)
+        .setOptions({ withDeleted: true })
+        .populate({
+          path: 'owner',
+          select: '_id username email',
+        });
+
+      await cancelOccupation(booking, parking, undefined, 'no-show');
+
+      expired += 1;
+    } catch (err) {
+      console.error(`Error while trying to expire the booking ${booking._id}.`);
+      console.error(err);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Function used to find the active occupations reaching a stay limit for which the client wasn't notified yet, with their client, their parking and its owner.
+ * @param {Object} filter the filter of the stay limit of the occupations
+ * @returns {Promise<mongoose.Document<Occupation>[]>} the active occupations
+ */
+const findActiveOccupations = filter =>
+  Occupation.find({ status: 'active', end: undefined, ...filter })
+    .select('+sessionID')
+    .populate({ path: 'client', select: '_id username email' })
+    .populate({
+      path: 'parking',
+      select: 'name owner',
+      populate: { path: 'owner', select: '_id username email' },
+    });
+
+/**
+ * Function used to send a notification by email, logging the error without stopping the job if it fails.
+ * @param {Function} send the async function sending the email
+ * @param {string} description the description of the notification, used in the error message
+ */
+const notify = async (send, description) => {
+  try {
+    await send();
+  } catch (err) {
+    console.error(`Error while trying to send the ${description}.`);
+    console.error(err);
+  }
+};
+
+/**
+ * Function used to watch the active occupations against their stay limit (end of the booking, closing time or maximum stay of the parking):
+ *  - the clients whose stay limit is about to expire are warned
+ *  - the clients who exceeded their stay limit are informed of the overstay surcharge, and the owners of the parkings are alerted
+ * Each notification is only sent once per occupation.
+ * @returns {Promise<Object>} the number of warned and exceeded occupations
+ */
+exports.watchOverstays = async () => {
+  const now = new Date();
+
+  const expiring = await findActiveOccupations({
+    'stayLimit.end': {
+      $gt: now,
+      $lte: new Date(now.getTime() + OVERSTAY_WARNING_DELAY),
+    },
+    'stayLimit.warnedAt': { $exists: false },
+  });
+
+  let warned = 0;
+  for (const occupation of expiring) {
+    const { _id, client, parking, stayLimit, sessionID } = occupation;
+
+    // Conditional update: the client isn't warned twice if the job runs concurrently
+    const { modifiedCount } = await Occupation.updateOne(
+      { _id, 'stayLimit.warnedAt': { $exists: false } },
+      { 'stayLimit.warnedAt': now },
+    );
+
+    if (modifiedCount === 0) continue;
+
+    warned += 1;
+
+    getSessionSocket(sessionID)?.emit('stay_expiring', {
+      occupation: _id,
+      stayLimit,
+    });
+
+    if (client && parking)
+      await notify(
+        () => new Email(client).sendStayExpiring(parking.name, stayLimit),
+        'warning of the expiring stay to the client',
+      );
+  }
+
+  const exceeded = await findActiveOccupations({
+    'stayLimit.end': { $lte: now },
+    'stayLimit.exceededAt': { $exists: false },
+  });
+
+  let overstayed = 0;
+  for (const occupation of exceeded) {
+    const { _id, client, parking, stayLimit, sessionID } = occupation;
+
+    const { modifiedCount } = await Occupation.updateOne(
+      { _id, 'stayLimit.exceededAt': { $exists: false } },
+      { 'stayLimit.exceededAt': now },
+    );
+
+    if (modifiedCount === 0) continue;
+
+    overstayed += 1;
+
+    getSessionSocket(sessionID)?.emit('stay_exceeded', {
+      occupation: _id,
+      stayLimit,
+    });
+
+    if (!client || !parking) continue;
+
+    await notify(
+      () =>
+        new Email(client).sendStayExceeded(
+          parking.name,
+          stayLimit,
+          OVERSTAY_SURCHARGE_RATE,
+          OVERSTAY_GRACE_DELAY / (60 * 1000),
+        ),
+      'overstay notification to the client',
+    );
+
+    if (parking.owner)
+      await notify(
+        () =>
+          new Email(parking.owner).sendParkingOverstayed(
+            client.username,
+            parking.name,
+            stayLimit,
+          ),
+        'overstay alert to the owner of the parking',
+      );
+  }
+
+  return { warned, exceeded: overstayed };
+};
+
+/**
+ * Function used to repair the inconsistent parking / occupation pairs stored in the database:
+ *  - occupied parkings without any active occupation are set as free
+ *  - free parkings with an active occupation are set as occupied
+ *  - parkings whose pending state has expired are released
+ * @returns {Promise<Object>} the number of repaired parkings for each kind of inconsistency
+ */
+exports.repairOccupations = async () => {
+  const activeFilter = { end: undefined, status: { $in: ['active', null] } };
+
+  const activeParkings = await Occupation.distinct('parking', activeFilter);
+
+  // Occupied parkings without active occupation
+  const occupiedParkings = await Parking.find({
+    isOccupied: true,
+    _id: { $nin: activeParkings },
+  }).select('_id');
+
+  let freed = 0;
+  for (const { _id } of occupiedParkings) {
+    // Check again to not free a parking occupied since the beginning of the job
+    if (await Occupation.exists({ ...activeFilter, parking: _id })) continue;
+
+    const { modifiedCount } = await Parking.updateOne(
+      { _id, isOccupied: true },
+      { isOccupied: false },
+      { runValidators: false },
+    );
+    freed += modifiedCount;
+  }
+
+  // Free parkings with an active occupation
+  const { modifiedCount: occupied } = await Parking.updateMany(
+    { isOccupied: { $ne: true }, _id: { $in: activeParkings } },
+    { isOccupied: true },
+    { runValidators: false },
+  );
+
+  // Expired pending parkings
+  const { modifiedCount: released } = await Parking.updateMany(
+    { isPending: true, pendingExpires: { $lte: new Date() } },
+    { isPending: false, $unset: { pendingUser: 1, pendingExpires: 1 } },
+    { runValidators: false },
+  );
+
+  return { freed, occupied, released };
+};
+
+/**
+ * Function used to run all scheduled jobs once, logging the errors without stopping the other jobs.
+ */
+const runJobs = async () => {
+  try {
+    const expired = await exports.expireNoShows();
+    if (expired > 0) console.log(`${expired} booking(s) expired (no-show).`);
+  } catch (err) {
+    console.error('Error while trying to expire the no-show bookings.');
+    console.error(err);
+  }
+
+  try {
+    const { warned, exceeded } = await exports.watchOverstays();
+    if (warned + exceeded > 0)
+      console.log(
+        `Overstays: ${warned} client(s) warned, ${exceeded} stay limit(s) exceeded.`,
+      );
+  } catch (err) {
+    console.error('Error while trying to watch the overstays.');
+    console.error(err);
+  }
+
+  try {
+    const { freed, occupied, released } = await exports.repairOccupations();
+    if (freed + occupied + released > 0)
+      console.log(
+        `Repaired parkings: ${freed} freed, ${occupied} occupied, ${released} released from pending state.`,
+      );
+  } catch (err) {
+    console.error('Error while trying to repair the parking occupations.');
+    console.error(err);
+  }
+};
+
+/**
+ * Function used to start the periodic execution of the scheduled jobs.
+ * @returns {NodeJS.Timer} the interval object of the scheduler, that can be used to stop it
+ */
+exports.startScheduler = () => {
+  // Repair the inconsistencies that could have happened while the server was down
+  runJobs();
+
+  return setInterval(runJobs, SCHEDULER_INTERVAL);
+};
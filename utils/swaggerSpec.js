@@ -41,6 +41,11 @@ const options = {
         name: 'Parking',
         description: 'All operations related to parking management',
       },
+      {
+        name: 'Lot',
+        description:
+          'All operations related to parking lot management (groups of parking slots sharing their address, photos and pricing)',
+      },
       {
         name: 'Thingy',
         description: 'All operations related to thingy management',
@@ -49,6 +54,10 @@ const options = {
         name: 'Occupation',
         description: 'All operations related to occupation management',
       },
+      {
+        name: 'Review',
+        description: 'All operations related to the reviews of the parkings',
+      },
     ],
     components: {
       securitySchemes: {
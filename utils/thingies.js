@@ -0,0 +1,278 @@
+/**
+ * Functions handling the inventory of the thingies and their installation at the parkings.
+ * @module thingies
+ */
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Thingy = require('../models/thingyModel');
+const AppError = require('./classes/AppError');
+
+/**
+ * Function used to check if a parking is currently in use: occupied, being reserved or having an active occupation. The thingy of a parking in use can't be changed, since the end of the reservation has to be confirmed on it.
+ * @param {string} parkingId the id of the parking
+ * @param {mongoose.ClientSession} session the session of the transaction in which the check is made, if there is one
+ * @returns {Promise<boolean>} true if the parking is in use, false otherwise
+ */
+exports.isParkingInUse = async (parkingId, session) => {
+  const [parking, activeOccupation] = await Promise.all([
+    Parking.findById(parkingId)
+      .setOptions({ withDeleted: true })
+      .select('+isOccupied +isPending +pendingExpires')
+      .session(session),
+    Occupation.exists({
+      parking: parkingId,
+      end: undefined,
+      status: { $ne: 'booked' },
+    }).session(session),
+  ]);
+
+  return (
+    !!activeOccupation ||
+    parking?.isOccupied === true ||
+    (parking?.isPending === true && parking.pendingExpires > new Date())
+  );
+};
+
+/**
+ * Function used to find a thingy of the inventory that isn't installed at any parking, nor involved in a substitution.
+ * @param {mongoose.ClientSession} session the session of the transaction in which the search is made, if there is one
+ * @returns {Promise<Thingy|null>} the free thingy, null if all the thingies are installed
+ */
+exports.findFreeThingy = async session => {
+  // The substituted thingies and their substitutes aren't available for a new installation
+  const substitutes = await Thingy.distinct('substitutedBy').session(session);
+
+  const [thingy] = await Thingy.aggregate([
+    {
+      $match: {
+        status: { $ne: 'assigned' },
+        substitutedBy: null,
+        _id: { $nin: substitutes },
+      },
+    },
+    // The thingies assigned before the inventory only have a reference from their parking
+    {
+      $lookup: {
+        from: 'parkings',
+        localField: '_id',
+        foreignField: 'thingy',
+        as: 'parkings',
+      },
+    },
+    {
+      $match: {
+        parkings: { $not: { $elemMatch: { isDeleted: { $ne: true } } } },
+      },
+    },
+    { $sort: { name: 1 } },
+    { $limit: 1 },
+    { $project: { parkings: 0 } },
+  ]).session(session);
+
+  return thingy ?? null;
+};
+
+/**
+ * Function used to uninstall a thingy from its parking and set it back as free in the inventory.
+ * @param {string} thingyId the id of the thingy we want to uninstall
+ * @param {mongoose.ClientSession} session the session of the transaction in which the thingy is uninstalled
+ */
+const uninstallThingy = async (thingyId, session) => {
+  const now = new Date();
+
+  await Thingy.updateOne(
+    { _id: thingyId },
+    {
+      status: 'unassigned',
+      uninstalledAt: now,
+      'installations.$[installation].uninstalledAt': now,
+      $unset: { parking: 1, installedAt: 1 },
+    },
+    {
+      session,
+      arrayFilters: [{ 'installation.uninstalledAt': { $exists: false } }],
+    },
+  );
+
+  await Parking.updateMany(
+    { thingy: thingyId },
+    { $unset: { thingy: 1 } },
+    { session, runValidators: false },
+  );
+};
+
+exports.uninstallThingy = uninstallThingy;
+
+/**
+ * Function used to install a free thingy at a parking, replacing the thingy previously installed at it, if there was one.
+ * @param {string} thingyId the id of the thingy we want to install
+ * @param {string} parkingId the id of the parking at which the thingy is installed
+ * @param {mongoose.ClientSession} session the session of the transaction in which the thingy is installed
+ * @returns {Promise<mongoose.Document<Thingy>>} the installed thingy
+ */
+exports.installThingy = async (thingyId, parkingId, session) => {
+  const parking = await Parking.findById(parkingId)
+    .select('+thingy')
+    .session(session);
+
+  if (!parking) throw new AppError("The requested parking doesn't exist.", 404);
+
+  if (parking.thingy?.valueOf() === thingyId.valueOf())
+    throw new AppError(
+      'The requested thingy is already installed at this parking.',
+      400,
+    );
+
+  const now = new Date();
+
+  // Conditional update: the installation is refused if the thingy was installed elsewhere in the meantime
+  const thingy = await Thingy.findOneAndUpdate(
+    { _id: thingyId, status: { $ne: 'assigned' } },
+    {
+      status: 'assigned',
+      parking: parkingId,
+      installedAt: now,
+      $push: { installations: { parking: parkingId, installedAt: now } },
+    },
+    { session, new: true },
+  );
+
+  if (!thingy || (await Parking.exists({ thingy: thingyId }).session(session)))
+    throw new AppError(
+      'The requested thingy is already installed at another parking.',
+      400,
+    );
+
+  if (parking.thingy) await uninstallThingy(parking.thingy, session);
+
+  await Parking.updateOne(
+    { _id: parkingId },
+    { thingy: thingyId },
+    { session, runValidators: false },
+  );
+
+  return thingy;
+};
+
+/**
+ * Maximal length of a chain of substitutions, protecting the resolution of the devices against invalid mappings.
+ * @type {number}
+ */
+const MAX_SUBSTITUTIONS = 10;
+
+/**
+ * Function used to get the chain of substitutions of a thingy, from the thingy to the device actually used for it.
+ * @param {string} name the name of the thingy
+ * @returns {Promise<string[]>} the names of the devices of the chain
+ */
+const getSubstitutionChain = async name => {
+  const chain = [name];
+
+  while (chain.length <= MAX_SUBSTITUTIONS) {
+    const thingy = await Thingy.findOne({ name: chain.at(-1) }).populate({
+      path: 'substitutedBy',
+      select: 'name',
+    });
+
+    const substitute = thingy?.substitutedBy?.name;
+
+    if (!substitute || chain.includes(substitute)) break;
+
+    chain.push(substitute);
+  }
+
+  return chain;
+};
+
+/**
+ * Function used to get the name of the device actually used for a thingy, following its chain of substitutions.
+ * @param {string} name the name of the thingy
+ * @returns {Promise<string>} the name of the device replacing the thingy, its own name if it isn't substituted
+ */
+exports.resolveThingyName = async name =>
+  (await getSubstitutionChain(name)).at(-1);
+
+/**
+ * Function used to replace a thingy by another device and record the substitution in its audit trail.
+ * @param {mongoose.Document<Thingy>} thingy the substituted thingy
+ * @param {mongoose.Document<Thingy>} substitute the thingy replacing it
+ * @param {Object} audit the audit information of the substitution
+ * @param {string} audit.by the id of the user substituting the thingy
+ * @param {string} audit.reason the reason of the substitution
+ * @returns {Promise<mongoose.Document<Thingy>>} the substituted thingy
+ */
+exports.substituteThingy = async (thingy, substitute, { by, reason }) => {
+  if (thingy._id.equals(substitute._id))
+    throw new AppError("A thingy can't be substituted by itself.", 400);
+
+  if ((await getSubstitutionChain(substitute.name)).includes(thingy.name))
+    throw new AppError(
+      'The substitute thingy is already replaced by this thingy.',
+      400,
+    );
+
+  if (
+    substitute.status === 'assigned' &&
+    !substitute.parking?.equals(thingy.parking)
+  )
+    throw new AppError(
+      'The substitute thingy is installed at another parking.',
+      400,
+    );
+
+  if (
+    await Thingy.exists({
+      _id: { $ne: thingy._id },
+      substitutedBy: substitute._id,
+    })
+  )
+    throw new AppError(
+      'The substitute thingy already replaces another thingy.',
+      400,
+    );
+
+  return Thingy.findByIdAndUpdate(
+    thingy._id,
+    {
+      substitutedBy: substitute._id,
+      $push: {
+        substitutions: {
+          action: 'substituted',
+          substitute: substitute._id,
+          by,
+          reason,
+        },
+      },
+    },
+    { new: true },
+  );
+};
+
+/**
+ * Function used to remove the substitution of a thingy, such that the reservations and the telemetry use it again, and record it in its audit trail.
+ * @param {mongoose.Document<Thingy>} thingy the substituted thingy
+ * @param {Object} audit the audit information of the restoration
+ * @param {string} audit.by the id of the user restoring the thingy
+ * @param {string} audit.reason the reason of the restoration
+ * @returns {Promise<mongoose.Document<Thingy>>} the restored thingy
+ */
+exports.restoreThingy = async (thingy, { by, reason }) => {
+  if (!thingy.substitutedBy)
+    throw new AppError('The requested thingy is not substituted.', 400);
+
+  return Thingy.findByIdAndUpdate(
+    thingy._id,
+    {
+      $unset: { substitutedBy: 1 },
+      $push: {
+        substitutions: {
+          action: 'restored',
+          substitute: thingy.substitutedBy,
+          by,
+          reason,
+        },
+      },
+    },
+    { new: true },
+  );
+};
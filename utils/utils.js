@@ -11,7 +11,16 @@ const { once } = require('events');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
-const { TWILIO_CLIENT } = require('./globals');
+const {
+  TWILIO_CLIENT,
+  FREE_CANCELLATION_DELAY,
+  LATE_CANCELLATION_FEE_RATE,
+  NO_SHOW_FEE_RATE,
+  BUTTON_CONFIRMATION_DELAY,
+  SOCKET_CONNECTIONS,
+  GEOCODER,
+  RESERVATION_HOLD_DURATION,
+} = require('./globals');
 const { Server } = require('http');
 const multer = require('multer');
 const { promisify } = require('util');
@@ -428,17 +437,184 @@ exports.checkNumber = (field, errMessage, next) => {
  * @returns {boolean} true if the coordinates are valid, false otherwise
  */
 exports.checkLocation = coordinates => {
-  if (coordinates?.length !== 2) return false;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return false;
 
-  const [lat, lng] = coordinates;
+  const [lat, lng] = coordinates.map(Number);
 
-  if (typeof lat !== 'number' && Math.abs(lat) > 90) return false;
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90) return false;
 
-  if (typeof lng !== 'number' && Math.abs(lng) > 180) return false;
+  if (!Number.isFinite(lng) || Math.abs(lng) > 180) return false;
 
   return true;
 };
 
+/**
+ * Function used to retrieve the address of a parking (or a parking lot) from its coordinates and generate its location.
+ * The coordinates of the location are stored in the GeoJSON order (longitude, latitude) read by the geospatial queries.
+ * @param {number[]} coordinates An array containing the latitude and the longitude of the parking
+ * @returns {Promise<Object>} the location (address and coordinates) of the parking
+ */
+exports.getLocation = async coordinates => {
+  const [lat, lng] = coordinates.map(Number);
+
+  const { street, housenumber, postcode, city } = await GEOCODER.reverse(
+    lat,
+    lng,
+  );
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat],
+    street,
+    housenumber,
+    postcode,
+    city,
+  };
+};
+
+/**
+ * Function used to parse an object field of a parking or a parking lot (pricing rules, dimensions or amenities), sent as a JSON string in multipart forms.
+ * @param {Object|string} value the value of the field sent by the client
+ * @param {string} description the description of the field, used in the error message
+ * @returns {Object} the parsed value of the field
+ * @throws {AppError} if the value isn't a valid JSON string
+ */
+exports.parseJSONField = (value, description) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new AppError(
+      `Please provide valid ${description} in JSON format.`,
+      400,
+    );
+  }
+};
+
+/**
+ * Function used to retrieve the socket connection of a session.
+ * @param {string} sessionID the id of the socket session
+ * @returns {import('socket.io').Socket} the socket connection of the session, undefined if it isn't connected anymore.
+ */
+exports.getSessionSocket = sessionID => {
+  if (!sessionID) return;
+
+  return SOCKET_CONNECTIONS.find(socket => socket.id === sessionID)?.socket;
+};
+
+/**
+ * Function used to link a socket session to the user connected on it, such that the alerts of the user can be sent through the session.
+ * @param {string} sessionID the id of the socket session
+ * @param {mongoose.Types.ObjectId} userId the id of the connected user
+ */
+exports.bindSessionUser = (sessionID, userId) => {
+  if (!sessionID) return;
+
+  const connection = SOCKET_CONNECTIONS.find(socket => socket.id === sessionID);
+
+  if (connection) connection.user = userId.valueOf();
+};
+
+/**
+ * Function used to retrieve the socket connections of the sessions linked to an user.
+ * @param {mongoose.Types.ObjectId} userId the id of the user
+ * @returns {import('socket.io').Socket[]} the socket connections of the user, empty if he isn't connected on any session.
+ */
+exports.getUserSockets = userId =>
+  SOCKET_CONNECTIONS.filter(({ user }) => user === userId.valueOf()).map(
+    ({ socket }) => socket,
+  );
+
+/**
+ * Function used to check if a value sent by the client corresponds to a valid date.
+ * @param {string|number|Date} value The value we want to check if it is a valid date.
+ * @returns {boolean} true if the value can be converted to a valid date, false otherwise.
+ */
+exports.isValidDate = value => {
+  if (value === undefined || value === null || value === '') return false;
+
+  return !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Function used to generate the filter of the occupations overlapping a given time window.
+ * Booked occupations overlap if their booked time slot intersects the window. Active occupations overlap if their planned end (end of their booking, or stay limit of the walk-in reservations) is after the start of the window, the walk-in reservations without stay limit are expected to last the hold duration.
+ * @param {Date} start the start of the time window
+ * @param {Date} end the end of the time window
+ * @returns {Object} the filter of the overlapping occupations
+ */
+const getOverlappingOccupationFilter = (start, end) => ({
+  end: undefined,
+  $or: [
+    {
+      status: 'booked',
+      bookingStart: { $lt: end },
+      bookingEnd: { $gt: start },
+    },
+    { status: { $ne: 'booked' }, bookingEnd: { $gt: start } },
+    {
+      status: { $ne: 'booked' },
+      bookingEnd: undefined,
+      'stayLimit.end': { $gt: start },
+    },
+    {
+      status: { $ne: 'booked' },
+      bookingEnd: undefined,
+      'stayLimit.end': undefined,
+      start: {
+        $gt: new Date(new Date(start).getTime() - RESERVATION_HOLD_DURATION),
+      },
+    },
+  ],
+});
+
+exports.getOverlappingOccupationFilter = getOverlappingOccupationFilter;
+
+/**
+ * Function used to find an occupation of a parking that overlaps a given time window.
+ * @param {mongoose.Model<Occupation>} occupationModel the occupation model from which we want to query the overlapping occupations
+ * @param {string} parkingId the id of the parking for which we want to check the overlapping occupations
+ * @param {Date} start the start of the time window
+ * @param {Date} end the end of the time window
+ * @returns {Promise<mongoose.Document<Occupation>>} the first overlapping occupation, null if there isn't any
+ */
+exports.findOverlappingOccupation = (occupationModel, parkingId, start, end) =>
+  occupationModel.findOne({
+    parking: parkingId,
+    ...getOverlappingOccupationFilter(start, end),
+  });
+
+/**
+ * Function used to compute the fee charged to the client when one of his bookings is cancelled.
+ * Cancellations made by the provider are free, cancellations made by the client are free until the free cancellation delay before the start of the booking and no-shows are always charged.
+ * @param {Occupation} occupation the booked occupation that is cancelled
+ * @param {number} bookingPrice the price of the booked time slot
+ * @param {string} reason the reason of the cancellation (client / provider / no-show)
+ * @param {Date} date the date of the cancellation
+ * @returns {number} the cancellation fee, rounded to the cent
+ */
+exports.getCancellationFee = (
+  occupation,
+  bookingPrice,
+  reason,
+  date = new Date(),
+) => {
+  const { bookingStart } = occupation;
+
+  if (reason === 'provider' || !bookingStart) return 0;
+
+  let rate = NO_SHOW_FEE_RATE;
+
+  if (reason === 'client')
+    rate =
+      bookingStart.getTime() - date.getTime() > FREE_CANCELLATION_DELAY
+        ? 0
+        : LATE_CANCELLATION_FEE_RATE;
+
+  return parseFloat((bookingPrice * rate).toFixed(2));
+};
+
 /**
  * Function used to query by id a model and retrieve the resulting document.
  * @param {mongoose.Model} Model the mongoose Model used to make the query to the database
@@ -559,7 +735,7 @@ exports.waitClickButton = async (mqttClient, thingy) => {
       // Remove the listener and reject the promise on timeout
       mqttClient.off('message', messageHandler);
       reject(new AppError('Timeout waiting for button click expired.', 408));
-    }, 60 * 1000); // Timeout set to 60 seconds (adjust as needed)
+    }, BUTTON_CONFIRMATION_DELAY);
 
     // Use 'once' to wait for the first 'message' event
     once(mqttClient, 'message').then(() => {
@@ -666,3 +842,24 @@ exports.connectGoogleUser = async (oAuth2Client, code) => {
 
   return data;
 };
+
+/**
+ * Function used to execute database operations inside a transaction, such that they are all applied or all aborted.
+ * @param {Function} operations the async function executing the operations, receiving the session of the transaction as parameter
+ * @returns {Promise<*>} the value returned by the operations function once the transaction is committed
+ */
+exports.runTransaction = async operations => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await operations(session);
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
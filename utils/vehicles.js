@@ -0,0 +1,52 @@
+/**
+ * Vehicle functions, used to find the vehicles registered by the users and check if they fit in the parkings.
+ * @module vehicles
+ */
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const AppError = require('./classes/AppError');
+
+/**
+ * Dimensions of the vehicles, with the corresponding maximal dimension of the parkings.
+ * @type {Object<string, string>}
+ */
+const VEHICLE_DIMENSIONS = {
+  length: 'maxLength',
+  width: 'maxWidth',
+  height: 'maxHeight',
+};
+
+/**
+ * Async function used to find a vehicle registered by an user.
+ * @param {string} userId the id of the owner of the vehicle
+ * @param {string} vehicleId the id of the vehicle
+ * @returns {Promise<mongoose.Types.Subdocument>} the vehicle of the user
+ * @throws {AppError} if the user has no vehicle with this id (404)
+ */
+exports.findUserVehicle = async (userId, vehicleId) => {
+  const user = mongoose.isValidObjectId(vehicleId)
+    ? await User.findById(userId).select('+vehicles')
+    : null;
+  const vehicle = user?.vehicles.id(vehicleId);
+
+  if (!vehicle) throw new AppError("The requested vehicle doesn't exist.", 404);
+
+  return vehicle;
+};
+
+/**
+ * Function used to check if a vehicle fits in a parking, according to the maximal dimensions of the parking.
+ * @param {Object} dimensions the maximal dimensions of the parking, the missing ones aren't limited
+ * @param {Object} vehicle the vehicle of the user, the missing dimensions aren't checked
+ * @returns {string|null} the message explaining why the vehicle doesn't fit, null if it fits
+ */
+exports.getVehicleFitConflict = (dimensions, vehicle) => {
+  for (const [dimension, limit] of Object.entries(VEHICLE_DIMENSIONS)) {
+    const max = dimensions?.[limit];
+
+    if (max != null && vehicle[dimension] != null && vehicle[dimension] > max)
+      return `Your vehicle doesn't fit in the requested parking (maximal ${dimension}: ${max} m).`;
+  }
+
+  return null;
+};
@@ -0,0 +1,274 @@
+/**
+ * Functions handling the money movements on the wallets of the users, each movement being recorded as an immutable ledger entry.
+ * @module wallet
+ */
+const mongoose = require('mongoose');
+const Wallet = require('../models/walletModel');
+const LedgerEntry = require('../models/ledgerEntryModel');
+const Occupation = require('../models/occupationModel');
+const AppError = require('./classes/AppError');
+const { computePrice } = require('./pricing');
+const { runTransaction } = require('./utils');
+const {
+  CURRENCY,
+  PAYMENT_PROVIDER,
+  RESERVATION_HOLD_DURATION,
+} = require('./globals');
+
+/**
+ * Function used to get the wallet of an user, creating it if he doesn't have one yet.
+ * @param {string} userId the id of the owner of the wallet
+ * @param {mongoose.ClientSession} session the session of the transaction in which the wallet is requested, if there is one
+ * @returns {Promise<mongoose.Document<Wallet>>} the wallet of the user
+ */
+const getWallet = (userId, session) =>
+  Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, currency: CURRENCY } },
+    { upsert: true, new: true, session },
+  );
+
+exports.getWallet = getWallet;
+
+/**
+ * Function used to apply a movement on the wallet of an user and record it in the ledger.
+ * @param {Object} movement the movement we want to apply
+ * @param {string} movement.userId the id of the owner of the wallet
+ * @param {string} movement.type the type of the movement (top-up / hold / release / capture / refund)
+ * @param {number} movement.amount the amount of money of the movement
+ * @param {Object} movement.inc the increments applied on the balance and held amount of the wallet
+ * @param {Object} movement.filter the additional conditions the wallet has to fulfill for the movement to be applied
+ * @param {Object} movement.entry the additional fields of the recorded ledger entry (occupation, reference, description)
+ * @param {mongoose.ClientSession} session the session of the transaction in which the movement is applied
+ * @returns {Promise<mongoose.Document<Wallet>>} the updated wallet, null if it didn't fulfill the conditions of the movement
+ */
+const applyMovement = async (
+  { userId, type, amount, inc, filter = {}, entry = {} },
+  session,
+) => {
+  await getWallet(userId, session);
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, ...filter },
+    { $inc: inc },
+    { session, new: true },
+  );
+
+  if (!wallet) return null;
+
+  await LedgerEntry.create(
+    [
+      {
+        wallet: wallet._id,
+        user: userId,
+        type,
+        amount,
+        balance: wallet.balance,
+        held: wallet.held,
+        ...entry,
+      },
+    ],
+    { session },
+  );
+
+  return wallet;
+};
+
+/**
+ * Function used to compute the amount of money held on the wallet of a client when he starts a reservation.
+ * @param {mongoose.Document<Parking>} parking the reserved parking
+ * @param {mongoose.Document<Occupation>} booking the booking of the client for the current time slot, if there is one
+ * @param {Date|string|number} start the starting time of the reservation
+ * @returns {number} the price of the booked time slot, or the price of the hold duration if the client didn't book the parking
+ */
+exports.getHoldAmount = (parking, booking, start) =>
+  booking
+    ? computePrice(parking, booking.bookingStart, booking.bookingEnd).total
+    : computePrice(
+        parking,
+        start,
+        new Date(new Date(start).getTime() + RESERVATION_HOLD_DURATION),
+      ).total;
+
+/**
+ * Function used to check if the wallet of an user contains enough available money to pay a specific amount.
+ * @param {string} userId the id of the owner of the wallet
+ * @param {number} amount the amount of money we want to pay
+ * @returns {Promise<boolean>} true if the available amount of the wallet is sufficient, false otherwise
+ */
+exports.hasAvailableFunds = async (userId, amount) => {
+  if (amount <= 0) return true;
+
+  const wallet = await Wallet.findOne({ user: userId });
+
+  return !!wallet && wallet.available >= amount;
+};
+
+/**
+ * Function used to hold an amount of money on the wallet of a client for his active occupation.
+ * @param {Object} hold the hold we want to place
+ * @param {string} hold.userId the id of the client
+ * @param {mongoose.Document<Occupation>} hold.occupation the occupation for which the money is held
+ * @param {number} hold.amount the amount of money we want to hold
+ * @param {mongoose.ClientSession} session the session of the transaction in which the hold is placed
+ */
+exports.holdFunds = async ({ userId, occupation, amount }, session) => {
+  if (amount <= 0) return;
+
+  const wallet = await applyMovement(
+    {
+      userId,
+      type: 'hold',
+      amount,
+      inc: { held: amount },
+      filter: {
+        $expr: { $gte: [{ $subtract: ['$balance', '$held'] }, amount] },
+      },
+      entry: {
+        occupation: occupation._id,
+        description: 'Hold for the reservation of a parking.',
+      },
+    },
+    session,
+  );
+
+  if (!wallet)
+    throw new AppError(
+      'Your wallet balance is insufficient for this reservation. Please top up your wallet.',
+      402,
+    );
+};
+
+/**
+ * Function used to release the amount held for an occupation and charge its final amount on the wallet of the client. The balance of the wallet can become negative if the charged amount exceeds it.
+ * @param {Object} capture the capture we want to process
+ * @param {string} capture.userId the id of the client
+ * @param {mongoose.Document<Occupation>} capture.occupation the occupation we want to charge
+ * @param {number} capture.amount the final amount charged to the client
+ * @param {number} capture.held the amount of money held for the occupation
+ * @param {string} capture.description the description of the charge
+ * @param {mongoose.ClientSession} session the session of the transaction in which the capture is processed
+ */
+exports.captureFunds = async (
+  { userId, occupation, amount, held = 0, description },
+  session,
+) => {
+  if (held > 0)
+    await applyMovement(
+      {
+        userId,
+        type: 'release',
+        amount: held,
+        inc: { held: -held },
+        entry: {
+          occupation: occupation._id,
+          description: 'Release of the hold of the reservation.',
+        },
+      },
+      session,
+    );
+
+  if (amount > 0)
+    await applyMovement(
+      {
+        userId,
+        type: 'capture',
+        amount,
+        inc: { balance: -amount },
+        entry: { occupation: occupation._id, description },
+      },
+      session,
+    );
+};
+
+/**
+ * Function used to add money on the wallet of an user, by charging it on his payment source through the payment provider.
+ * @param {string} userId the id of the owner of the wallet
+ * @param {number} amount the amount of money we want to add
+ * @param {string} source the token identifying the payment source of the user on the payment provider
+ * @returns {Promise<mongoose.Document<Wallet>>} the updated wallet
+ */
+exports.topUpWallet = async (userId, amount, source) => {
+  const description = 'Top-up of the wallet.';
+
+  const { reference } = await PAYMENT_PROVIDER.charge({
+    amount,
+    currency: CURRENCY,
+    source,
+    description,
+  });
+
+  try {
+    return await runTransaction(session =>
+      applyMovement(
+        {
+          userId,
+          type: 'top-up',
+          amount,
+          inc: { balance: amount },
+          entry: { provider: PAYMENT_PROVIDER.name, reference, description },
+        },
+        session,
+      ),
+    );
+  } catch (err) {
+    // The money was charged but not credited: give it back to the user
+    try {
+      await PAYMENT_PROVIDER.refund({ reference, amount });
+    } catch (refundErr) {
+      console.error(`Error while trying to refund the top-up ${reference}.`);
+      console.error(refundErr);
+    }
+
+    throw err;
+  }
+};
+
+/**
+ * Function used to refund (a part of) the amount charged for an occupation on the wallet of its client.
+ * @param {mongoose.Document<Occupation>} occupation the occupation we want to refund
+ * @param {number} amount the amount of money we want to refund
+ * @param {string} description the description of the refund
+ * @returns {Promise<mongoose.Document<Occupation>>} the refunded occupation
+ */
+exports.refundFunds = (occupation, amount, description) =>
+  runTransaction(async session => {
+    // Conditional update: the refunded amount can never exceed the captured one
+    const refundedOccupation = await Occupation.findOneAndUpdate(
+      {
+        _id: occupation._id,
+        $expr: {
+          $gte: [
+            {
+              $subtract: [
+                { $ifNull: ['$payment.captured', 0] },
+                { $ifNull: ['$payment.refunded', 0] },
+              ],
+            },
+            amount,
+          ],
+        },
+      },
+      { $inc: { 'payment.refunded': amount } },
+      { session, new: true },
+    );
+
+    if (!refundedOccupation)
+      throw new AppError(
+        "The refunded amount can't exceed the amount charged for the occupation.",
+        400,
+      );
+
+    await applyMovement(
+      {
+        userId: occupation.client,
+        type: 'refund',
+        amount,
+        inc: { balance: amount },
+        entry: { occupation: occupation._id, description },
+      },
+      session,
+    );
+
+    return refundedOccupation;
+  });